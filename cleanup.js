@@ -9,7 +9,6 @@
 
 const fs = require('fs');
 const path = require('path');
-const {spawn} = require('child_process');
 const logger = require('./src/logger');
 const Utils = require('./src/utils');
 const CONFIG = require('./src/config');
@@ -114,7 +113,7 @@ class CleanupUtility {
             const readline = require('readline');
             const rl = readline.createInterface({
                 input: process.stdin,
-                output: process.stdout
+                output: logger.output
             });
 
             logger.info('🤔 What would you like to do?');
@@ -228,13 +227,13 @@ class CleanupUtility {
             const readline = require('readline');
             const rl = readline.createInterface({
                 input: process.stdin,
-                output: process.stdout
+                output: logger.output
             });
 
             logger.warning('⚠️  This will permanently delete all listed files!');
             logger.info('');
 
-            rl.question('🤔 Are you sure you want to delete these files? (y/N): ', (answer) => {
+            rl.question(logger.formatPrompt('🤔 Are you sure you want to delete these files? (y/N): '), (answer) => {
                 rl.close();
                 resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
             });
@@ -244,11 +243,16 @@ class CleanupUtility {
 
 // Run the cleanup utility if called directly
 if (require.main === module) {
-    const cleanup = new CleanupUtility();
-    cleanup.run().catch((error) => {
-        logger.error(`❌ Cleanup failed: ${error.message}`);
-        process.exit(1);
-    });
+    Promise.resolve()
+        .then(() => {
+            // Pick up OUTPUT_DIR from the user config files
+            require('./src/userConfig').load();
+            return new CleanupUtility().run();
+        })
+        .catch((error) => {
+            logger.error(`❌ Cleanup failed: ${error.message}`);
+            process.exit(1);
+        });
 }
 
 module.exports = CleanupUtility;
@@ -7,6 +7,8 @@
  * and automatically sets them as dynamic wallpapers with intelligent automation.
  */
 
+const fs = require('fs');
+const path = require('path');
 const CONFIG = require('./src/config');
 const logger = require('./src/logger');
 const dependencyChecker = require('./src/dependencies');
@@ -14,48 +16,114 @@ const Utils = require('./src/utils');
 const VideoInfoAnalyzer = require('./src/videoInfo');
 const VideoDownloader = require('./src/downloader');
 const WallpaperManager = require('./src/wallpaperManager');
+const BatchProcessor = require('./src/batchProcessor');
+const JobJournal = require('./src/jobJournal');
+const systemPaths = require('./src/systemPaths');
+const runLog = require('./src/runLog');
+const { InvalidInput, describeError, signalExitCode, logRemediation } = require('./src/errors');
+
+const RESUME_COMMAND = 'macos-live-video-wallpaper resume';
 
 class MacOSLiveWallpaperSetter {
-    constructor() {
-        this.analyzer = new VideoInfoAnalyzer();
-        this.downloader = new VideoDownloader();
-        this.wallpaperManager = new WallpaperManager();
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Video URL or local video file; prompts interactively when omitted
+     * @param {boolean} options.yes - Skip confirmation prompts
+     * @param {boolean} options.install - Install as wallpaper after conversion (default true)
+     * @param {string} options.target - Wallpaper to replace (asset name, 1-based index or 'newest')
+     * @param {string} options.outputDir - Override for CONFIG.OUTPUT_DIR
+     * @param {string} options.batch - Batch source: file path, '-' for stdin or a playlist URL
+     * @param {boolean} options.dryRun - Print every command and file operation without executing it
+     * @param {boolean} options.refreshMetadata - Ask yt-dlp for the metadata even when it is cached
+     * @param {boolean} options.explainFormats - Log why each video format was accepted, rejected or ranked
+     * @param {boolean} options.pickFormat - List every format and let the user choose
+     * @param {string} options.videoFormat - yt-dlp format ID of the video, instead of the recommended one
+     * @param {string} options.audioFormat - yt-dlp format ID of the audio, instead of the recommended one
+     */
+    constructor(options = {}) {
+        this.options = { install: true, ...options };
+
+        if (this.options.outputDir) {
+            CONFIG.OUTPUT_DIR = path.resolve(this.options.outputDir);
+        }
+
+        this.analyzer = new VideoInfoAnalyzer({
+            refreshMetadata: this.options.refreshMetadata,
+            dryRun: this.options.dryRun,
+            explainFormats: this.options.explainFormats,
+            pickFormat: this.options.pickFormat,
+            videoFormat: this.options.videoFormat,
+            audioFormat: this.options.audioFormat
+        });
+        // Signals are handled below, so the journal is updated before the process exits
+        this.downloader = new VideoDownloader({ dryRun: this.options.dryRun, install: this.options.install, handleSignals: false });
+        this.journal = null;
+        this.wallpaperManager = this.createWallpaperManager();
         this.startTime = Date.now();
     }
 
+    /**
+     * Create the wallpaper manager for the current options
+     */
+    createWallpaperManager() {
+        return new WallpaperManager({
+            assumeYes: this.options.yes,
+            target: this.options.target,
+            dryRun: this.options.dryRun,
+            journal: this.journal
+        });
+    }
+
+    /**
+     * Record the stages of this run in a job journal
+     */
+    useJournal(journal) {
+        this.journal = journal;
+        this.downloader.journal = journal;
+        this.wallpaperManager.journal = journal;
+    }
+
+    /**
+     * Check if the run needs someone at the keyboard
+     */
+    isInteractive() {
+        return !this.options.url && !this.options.batch;
+    }
+
     /**
      * Display application header
      */
     displayHeader() {
-        console.clear();
+        if (this.isInteractive()) {
+            logger.clear();
+        }
         logger.header('macOS Live Video Wallpaper Setter v1.0.0');
-        console.log();
+        logger.newline();
         logger.info('🎥 Transform YouTube videos into stunning live wallpapers for macOS');
         logger.info('🤖 Intelligent automation with comprehensive error handling');
-        console.log();
+        logger.newline();
     }
 
     /**
-     * Get YouTube URL from user interactively
+     * Get a video URL or local file from the user interactively
      */
-    async getYouTubeUrl() {
+    async promptForInput() {
         return new Promise((resolve) => {
             const readline = require('readline');
             const rl = readline.createInterface({
                 input: process.stdin,
-                output: process.stdout
+                output: logger.output
             });
 
             const promptForUrl = () => {
-                console.log();
+                logger.newline();
                 logger.info('📺 Supported URL formats:');
-                logger.info('   • https://www.youtube.com/watch?v=VIDEO_ID');
-                logger.info('   • https://youtu.be/VIDEO_ID');
-                logger.info('   • https://www.youtube.com/embed/VIDEO_ID');
-                logger.info('   • https://www.youtube.com/v/VIDEO_ID');
-                console.log();
+                logger.info('   • Any video page yt-dlp supports (YouTube, Shorts, Vimeo, ...)');
+                logger.info('   • A direct link to an .mp4 file or an HLS (.m3u8) stream');
+                logger.info(`   • A local video file (${CONFIG.LOCAL_FILE_SETTINGS.supportedExtensions.join(', ')})`);
+                logger.newline();
 
-                rl.question('🔗 Please enter the YouTube video URL: ', (url) => {
+                rl.question(logger.formatPrompt('🔗 Please enter the video URL or file path: '), (url) => {
                     const trimmedUrl = url.trim();
 
                     if (!trimmedUrl) {
@@ -64,16 +132,30 @@ class MacOSLiveWallpaperSetter {
                         return;
                     }
 
-                    // Validate URL
-                    if (!Utils.validateYouTubeUrl(trimmedUrl)) {
-                        logger.error('❌ Invalid YouTube URL provided');
-                        logger.warning('Please provide a valid YouTube video URL and try again.');
-                        console.log();
+                    // Local video files are validated by resolveInput
+                    if (Utils.isLocalVideoFile(trimmedUrl)) {
+                        if (!fs.existsSync(path.resolve(trimmedUrl))) {
+                            logger.error(`❌ File not found: ${trimmedUrl}`);
+                            logger.newline();
+                            promptForUrl();
+                            return;
+                        }
+
+                        rl.close();
+                        resolve(trimmedUrl);
+                        return;
+                    }
+
+                    // Whether the site is supported is up to yt-dlp during analysis
+                    if (!Utils.isUrl(trimmedUrl)) {
+                        logger.error('❌ Not a URL or supported video file');
+                        logger.warning('Please provide an http(s) video URL or a local video file and try again.');
+                        logger.newline();
                         promptForUrl();
                         return;
                     }
 
-                    logger.success(`✅ Valid YouTube URL detected: ${Utils.extractVideoId(trimmedUrl)}`);
+                    logger.success(`✅ URL accepted: ${Utils.getUrlHost(trimmedUrl)}`);
                     rl.close();
                     resolve(trimmedUrl);
                 });
@@ -83,29 +165,76 @@ class MacOSLiveWallpaperSetter {
         });
     }
 
+    /**
+     * Resolve the input from options, falling back to the interactive prompt
+     *
+     * @returns {Promise<{url: string}|{file: string}>}
+     */
+    async resolveInput() {
+        const input = this.options.url ? this.options.url.trim() : await this.promptForInput();
+
+        if (Utils.isLocalVideoFile(input)) {
+            const file = path.resolve(input);
+            if (!fs.existsSync(file)) {
+                throw new InvalidInput(`Local video file not found: ${input}`);
+            }
+
+            logger.success(`✅ Local video file detected: ${path.basename(file)}`);
+            return { file };
+        }
+
+        if (!this.options.url) {
+            return { url: input };
+        }
+
+        if (!Utils.isUrl(input)) {
+            throw new InvalidInput(`Not a URL or supported video file: ${input}`);
+        }
+
+        logger.success(`✅ URL accepted: ${Utils.getUrlHost(input)}`);
+        return { url: input };
+    }
+
     /**
      * Display final summary
      */
     displaySummary(downloadPath, wallpaperInstalled = false) {
         const totalTime = ((Date.now() - this.startTime) / 1000).toFixed(1);
+        const stats = Utils.getFileStats(downloadPath);
+
+        logger.event('summary', {
+            path: downloadPath,
+            size: stats ? stats.size : null,
+            installed: wallpaperInstalled,
+            dryRun: Boolean(this.options.dryRun),
+            totalSeconds: Number(totalTime)
+        });
+
+        if (this.options.dryRun) {
+            logger.header('Dry Run Summary');
+            logger.file(`📁 Video would be saved to: ${downloadPath}`);
+            logger.plan(wallpaperInstalled
+                ? 'Plan complete - nothing was downloaded, converted or installed'
+                : 'Plan complete - nothing was downloaded or converted');
+            return;
+        }
 
         logger.header('Wallpaper Setup Summary');
         logger.success(`⏱️  Total time: ${totalTime} seconds`);
         logger.file(`📁 Video saved to: ${downloadPath}`);
 
-        const stats = Utils.getFileStats(downloadPath);
         if (stats) {
             logger.stats(`📊 Final size: ${Utils.formatFileSize(stats.size)}`);
         }
 
         if (wallpaperInstalled) {
             logger.success('🎉 Live wallpaper installed successfully!');
-            console.log();
+            logger.newline();
             logger.info('📋 Next Steps:');
             logger.info('   1. 🔄 Restart your Mac to see the live wallpaper in action');
             logger.info('   2. 🔒 If wallpaper becomes static after screen lock, run: npm run refresh-wallpaper');
             logger.info('   3. 🎬 For best results, ensure your Mac stays plugged in (power saving can pause animation)');
-            console.log();
+            logger.newline();
             logger.warning('💡 Common Issue: Live wallpapers may appear static after unlocking from lock screen');
             logger.info('   This is a known macOS behavior - use the refresh utility to fix it');
         } else {
@@ -116,20 +245,18 @@ class MacOSLiveWallpaperSetter {
     /**
      * Handle application errors
      */
-    handleError(error) {
+    async handleError(error) {
+        const details = describeError(error);
+
         logger.error(`Application error: ${error.message}`);
-        
-        // Provide helpful hints based on error type
-        if (error.message.includes('yt-dlp')) {
-            logger.warning('Make sure yt-dlp is installed and accessible');
-            logger.info('Install with: brew install yt-dlp (macOS) or pip install yt-dlp');
-        } else if (error.message.includes('ffmpeg')) {
-            logger.warning('Make sure ffmpeg is installed and accessible');
-            logger.info('Install with: brew install ffmpeg (macOS) or apt install ffmpeg (Ubuntu)');
-        } else if (error.message.includes('Video unavailable')) {
-            logger.warning('The video might be private, deleted, or region-locked');
-        } else if (error.message.includes('network') || error.message.includes('connection')) {
-            logger.warning('Check your internet connection and try again');
+        logger.event('error', { ...details, logFile: runLog.filePath });
+        logRemediation(error);
+        runLog.reportLocation();
+
+        if (this.journal) {
+            // Awaited so the journal gets back to the sudo user before exiting, or resume can't update it
+            await this.failJournal(error);
+            logger.info(`💡 Continue where this run stopped with: ${RESUME_COMMAND} ${this.journal.id}`);
         }
         
         // Cancel any ongoing download
@@ -137,23 +264,39 @@ class MacOSLiveWallpaperSetter {
             this.downloader.cancelDownload();
         }
         
-        process.exit(1);
+        process.exit(details.exitCode);
+    }
+
+    /**
+     * Mark the journal as failed; a journal that can't be written must not hide the original error
+     */
+    async failJournal(error) {
+        try {
+            await this.journal.fail(error);
+        } catch (journalError) {
+            logger.warning(`⚠️  Could not update the job journal: ${journalError.message}`);
+        }
     }
 
     /**
      * Setup graceful shutdown handlers
      */
     setupShutdownHandlers() {
-        const gracefulShutdown = (signal) => {
+        const gracefulShutdown = async (signal) => {
             logger.warning(`\nReceived ${signal}. Shutting down gracefully...`);
             
             if (this.downloader.isDownloadInProgress()) {
                 logger.info('Cancelling ongoing download...');
                 this.downloader.cancelDownload();
             }
+
+            if (this.journal) {
+                await this.failJournal(new Error(`Interrupted by ${signal}`));
+                logger.info(`💡 Resume later with: ${RESUME_COMMAND} ${this.journal.id}`);
+            }
             
             logger.info('Cleanup completed. Goodbye!');
-            process.exit(0);
+            process.exit(signalExitCode(signal));
         };
 
         process.on('SIGINT', () => gracefulShutdown('SIGINT'));
@@ -182,80 +325,179 @@ class MacOSLiveWallpaperSetter {
             // Setup shutdown handlers
             this.setupShutdownHandlers();
             
-            // Get YouTube URL interactively
-            const url = await this.getYouTubeUrl();
-            
-            // Check environment and dependencies
-            await dependencyChecker.performFullCheck();
+            // Get video URL or local file from arguments or interactively
+            const input = await this.resolveInput();
             
-            // Analyze video
-            const analysis = await this.analyzer.analyzeVideo(url);
+            await this.checkEnvironment(input);
 
-            // Perform download and conversion
-            const downloadPath = await this.downloader.performDownload(url, analysis);
-
-            // Setup wallpaper
-            logger.info('🎯 Starting wallpaper installation process...');
-            const wallpaperInstalled = await this.wallpaperManager.setupWallpaper(downloadPath);
+            // Journal every stage so an interrupted run can be resumed (a dry run changes nothing)
+            if (!this.options.dryRun) {
+                this.useJournal(await JobJournal.create(input, {
+                    install: this.options.install,
+                    target: this.options.target,
+                    yes: this.options.yes,
+                    profile: CONFIG.DOWNLOAD_SETTINGS.encodingProfile,
+                    fit: CONFIG.FIT_SETTINGS.mode,
+                    focalPoint: CONFIG.FIT_SETTINGS.focalPoint,
+                    root: systemPaths.root
+                }));
+            }
 
-            // Display summary
-            this.displaySummary(downloadPath, wallpaperInstalled);
+            await this.processJob(input);
             
         } catch (error) {
-            this.handleError(error);
+            await this.handleError(error);
         }
     }
-}
 
-// Run the application if this file is executed directly
-if (require.main === module) {
-    const args = process.argv.slice(2);
+    /**
+     * Continue an interrupted job from its last completed stage
+     *
+     * @param {string} jobId - Job to resume; the most recent unfinished job when omitted
+     */
+    async resume(jobId) {
+        try {
+            const journal = jobId ? JobJournal.load(jobId) : JobJournal.findLatestIncomplete();
+
+            if (!journal) {
+                throw new InvalidInput(`No unfinished jobs found in ${JobJournal.getJournalDir()}`);
+            }
+
+            if (journal.data.status === 'completed') {
+                throw new InvalidInput(`Job ${journal.id} already completed`);
+            }
+
+            const { input, options } = journal.data;
+
+            // Keep the options of the original run unless they are given again
+            this.options = {
+                ...this.options,
+                url: input.url || input.file,
+                install: options.install,
+                target: this.options.target || options.target,
+                yes: this.options.yes || options.yes
+            };
+
+            // A job rehearsed in a sandbox must never continue on the real system
+            if (options.root && !systemPaths.isSandboxed()) {
+                systemPaths.setRoot(options.root);
+            }
+
+            this.wallpaperManager = this.createWallpaperManager();
+            this.downloader.install = this.options.install;
+
+            // A half-finished conversion must continue with the profile and framing it started with
+            if (options.profile) {
+                CONFIG.DOWNLOAD_SETTINGS.encodingProfile = options.profile;
+            }
+
+            if (options.fit) {
+                CONFIG.FIT_SETTINGS.mode = options.fit;
+                CONFIG.FIT_SETTINGS.focalPoint = options.focalPoint || CONFIG.FIT_SETTINGS.focalPoint;
+            }
 
-    // Check for help or cleanup commands
-    if (args.includes('--help') || args.includes('-h')) {
-        displayUsage();
-        process.exit(0);
+            this.displayHeader();
+            this.setupShutdownHandlers();
+
+            logger.info(`📒 Resuming job ${journal.id} (last completed stage: ${journal.getLastStage() || 'none'})`);
+            if (journal.data.error) {
+                logger.info(`   Previous attempt stopped with: ${journal.data.error}`);
+            }
+
+            await this.checkEnvironment(input);
+
+            this.useJournal(journal);
+            await this.processJob(input);
+
+        } catch (error) {
+            await this.handleError(error);
+        }
     }
 
-    if (args.includes('--cleanup') || args.includes('cleanup')) {
-        const CleanupUtility = require('./cleanup');
-        const cleanup = new CleanupUtility();
-        cleanup.run().catch((error) => {
-            logger.error(`❌ Cleanup failed: ${error.message}`);
-            process.exit(1);
+    /**
+     * Check environment and dependencies (sudo only needed for a real installation)
+     */
+    async checkEnvironment(input) {
+        await dependencyChecker.performFullCheck({
+            requireSudo: this.options.install && !this.options.dryRun && !systemPaths.isSandboxed(),
+            dependencies: input.file ? CONFIG.LOCAL_FILE_SETTINGS.requiredDependencies : undefined
         });
-        return;
     }
 
-    const app = new MacOSLiveWallpaperSetter();
-    app.run();
-}
+    /**
+     * Analyze, download, convert and install, skipping stages the journal has finished
+     */
+    async processJob(input) {
+        const journal = this.journal;
 
-/**
- * Display usage information
- */
-function displayUsage() {
-    logger.info('🎬 macOS Live Video Wallpaper Setter');
-    logger.info('═══════════════════════════════════════');
-    logger.info('');
-    logger.info('📋 Usage:');
-    logger.info('   node index.js                       (interactive mode)');
-    logger.info('   sudo node index.js                  (recommended)');
-    logger.info('   node index.js --cleanup             (fix file permissions)');
-    logger.info('   node cleanup.js                     (alternative cleanup)');
-    logger.info('');
-    logger.info('📝 Examples:');
-    logger.info('   node index.js                       # Start interactive video downloader');
-    logger.info('   sudo node index.js                  # With wallpaper installation');
-    logger.info('   node index.js --cleanup             # Fix permission issues');
-    logger.info('');
-    logger.info('💡 Tips:');
-    logger.info('   • Use sudo for automatic wallpaper installation');
-    logger.info('   • Videos are converted to 4K 60fps HEVC .mov format');
-    logger.info('   • Original files are cleaned up after conversion');
-    logger.info('   • Run --cleanup if files require sudo to delete');
-    logger.info('   • Supports YouTube, Vimeo, and many other platforms');
-    logger.info('');
+        // Analyze video (ffprobe for local files, yt-dlp metadata for URLs)
+        let analysis = journal && journal.getAnalysis();
+        if (analysis) {
+            logger.info(`⏭️  Using video analysis from the earlier run: ${analysis.info.title}`);
+        } else {
+            analysis = input.file
+                ? await this.analyzer.analyzeLocalFile(input.file)
+                : await this.analyzer.analyzeVideo(input.url);
+
+            if (journal) {
+                await journal.recordAnalysis(analysis);
+            }
+        }
+
+        // Perform download (skipped for local files) and conversion
+        const downloadPath = input.file
+            ? await this.downloader.processLocalFile(input.file, analysis)
+            : await this.downloader.performDownload(input.url, analysis);
+
+        // Setup wallpaper
+        let wallpaperInstalled = false;
+        if (this.options.install) {
+            logger.info('🎯 Starting wallpaper installation process...');
+            wallpaperInstalled = await this.wallpaperManager.setupWallpaper(downloadPath);
+        } else {
+            logger.info('⏭️  Skipping wallpaper installation (--no-install)');
+        }
+
+        if (journal && this.options.install && !wallpaperInstalled) {
+            await journal.fail(new Error('Wallpaper installation did not complete'));
+            logger.info(`💡 Retry the installation with: ${RESUME_COMMAND} ${journal.id}`);
+        } else if (journal) {
+            await journal.complete();
+        }
+
+        // Display summary
+        this.displaySummary(downloadPath, wallpaperInstalled);
+    }
+
+    /**
+     * Batch flow: download and convert many videos, no wallpaper installation
+     */
+    async runBatch() {
+        try {
+            this.displayHeader();
+            this.setupShutdownHandlers();
+
+            await dependencyChecker.performFullCheck({ requireSudo: false });
+
+            const batch = new BatchProcessor(this.analyzer, this.downloader, { dryRun: this.options.dryRun });
+            const results = await batch.run(this.options.batch);
+
+            const totalTime = ((Date.now() - this.startTime) / 1000).toFixed(1);
+            logger.success(`⏱️  Total time: ${totalTime} seconds`);
+
+            if (results.some(result => result.status === 'failed')) {
+                process.exitCode = 1;
+            }
+        } catch (error) {
+            await this.handleError(error);
+        }
+    }
 }
 
 module.exports = MacOSLiveWallpaperSetter;
+
+// Run the command line interface if this file is executed directly
+if (require.main === module) {
+    const CommandLineInterface = require('./src/cli');
+    new CommandLineInterface().run(process.argv.slice(2));
+}
@@ -8,12 +8,28 @@
  * wallpaper settings like "Show as screen saver" and "Show on all spaces".
  */
 
-const { exec } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const logger = require('./src/logger');
+const Utils = require('./src/utils');
+const systemPaths = require('./src/systemPaths');
+const commandRunner = require('./src/commandRunner');
+
+// Finder's current desktop picture
+const DESKTOP_PICTURE_SCRIPT = 'tell app "finder" to get posix path of (get desktop picture as alias)';
 
 class WallpaperRefresher {
-    constructor() {
-        this.methods = [
+    /**
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Print the refresh commands without executing them
+     */
+    constructor(options = {}) {
+        this.dryRun = Boolean(options.dryRun);
+        // Inside a sandbox only the wallpaper files are refreshed; the desktop and daemon are the real ones
+        this.methods = systemPaths.isSandboxed() ? [
+            { name: 'Touch Wallpaper Files', method: this.touchWallpaperFiles.bind(this), safe: true, effective: false }
+        ] : [
             { name: 'AppleScript Desktop Refresh', method: this.appleScriptDesktopRefreshWithRestore.bind(this), safe: false, effective: true },
             { name: 'Restart Wallpaper Daemon', method: this.restartWallpaperDaemonWithRestore.bind(this), safe: false, effective: true }
         ];
@@ -24,23 +40,29 @@ class WallpaperRefresher {
      * Display header
      */
     displayHeader() {
-        console.clear();
+        logger.clear();
         logger.header('macOS Live Wallpaper Refresh Utility');
-        console.log();
+        logger.newline();
         logger.info('🎯 This utility fixes live wallpapers that become static after screen lock');
         logger.info('🔄 Effective methods will be used to fix the wallpaper');
         logger.info('⚙️  Wallpaper settings will be automatically restored afterward');
-        console.log();
+        logger.newline();
     }
 
     /**
      * Check if running with sudo
      */
     checkSudoPermissions() {
+        if (systemPaths.isSandboxed()) {
+            logger.info(`🧪 Sandbox: refreshing the wallpaper files in ${systemPaths.getWallpaperDir()}`);
+            logger.newline();
+            return true;
+        }
+
         if (process.getuid && process.getuid() !== 0) {
             logger.warning('⚠️  Some refresh methods require administrator privileges');
             logger.info('💡 For best results, run with: sudo node refresh-wallpaper.js');
-            console.log();
+            logger.newline();
             return false;
         }
         return true;
@@ -54,457 +76,394 @@ class WallpaperRefresher {
             return true;
         }
 
-        return new Promise((resolve) => {
-            logger.info('🔧 Programmatically restoring wallpaper settings...');
+        logger.info('🔧 Programmatically restoring wallpaper settings...');
 
-            // Simplified and more reliable AppleScript
-            const script = `
-                tell application "System Preferences"
-                    activate
-                    set current pane to pane "com.apple.preference.desktopscreeneffect"
-                    delay 3
-                end tell
+        // Simplified and more reliable AppleScript
+        const script = `
+            tell application "System Preferences"
+                activate
+                set current pane to pane "com.apple.preference.desktopscreeneffect"
+                delay 3
+            end tell
 
-                delay 2
-
-                tell application "System Events"
-                    tell process "System Preferences"
-                        try
-                            -- Enable "Use as screen saver" if it exists and is unchecked
-                            if exists checkbox "Use as screen saver" of window 1 then
-                                set screenSaverCheckbox to checkbox "Use as screen saver" of window 1
-                                if value of screenSaverCheckbox is false then
-                                    click screenSaverCheckbox
-                                    delay 1
-                                end if
+            delay 2
+
+            tell application "System Events"
+                tell process "System Preferences"
+                    try
+                        -- Enable "Use as screen saver" if it exists and is unchecked
+                        if exists checkbox "Use as screen saver" of window 1 then
+                            set screenSaverCheckbox to checkbox "Use as screen saver" of window 1
+                            if value of screenSaverCheckbox is false then
+                                click screenSaverCheckbox
+                                delay 1
                             end if
-
-                            -- Enable "Show on all Spaces" if it exists and is unchecked
-                            if exists checkbox "Show on all Spaces" of window 1 then
-                                set allSpacesCheckbox to checkbox "Show on all Spaces" of window 1
-                                if value of allSpacesCheckbox is false then
-                                    click allSpacesCheckbox
-                                    delay 1
-                                end if
+                        end if
+
+                        -- Enable "Show on all Spaces" if it exists and is unchecked
+                        if exists checkbox "Show on all Spaces" of window 1 then
+                            set allSpacesCheckbox to checkbox "Show on all Spaces" of window 1
+                            if value of allSpacesCheckbox is false then
+                                click allSpacesCheckbox
+                                delay 1
                             end if
+                        end if
 
-                        on error errMsg
-                            -- UI might be different, continue anyway
-                        end try
-                    end tell
+                    on error errMsg
+                        -- UI might be different, continue anyway
+                    end try
                 end tell
+            end tell
 
-                delay 1
-                tell application "System Preferences" to quit
-            `;
-
-            exec(`osascript -e '${script}'`, (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('⚠️  Could not automatically restore settings via AppleScript');
-                    logger.info('💡 Will provide manual guidance instead');
-                    resolve(false);
-                } else {
-                    logger.success('✅ Wallpaper settings restored programmatically');
-                    resolve(true);
-                }
-            });
-        });
+            delay 1
+            tell application "System Preferences" to quit
+        `;
+
+        if (this.dryRun) {
+            logger.plan(`Run: ${Utils.formatCommand('osascript', ['-e', script])}`);
+            return false;
+        }
+
+        if (!await commandRunner.succeeds('osascript', ['-e', script])) {
+            logger.warning('⚠️  Could not automatically restore settings via AppleScript');
+            logger.info('💡 Will provide manual guidance instead');
+            return false;
+        }
+
+        logger.success('✅ Wallpaper settings restored programmatically');
+        return true;
     }
 
     /**
      * Try to restore settings using safe defaults commands
      */
     async restoreSettingsViaDefaults(settings) {
-        return new Promise((resolve) => {
-            logger.info('🔧 Trying to restore settings via safe defaults commands...');
-
-            // Use only safe defaults commands - no killall commands
-            const commands = [
-                // Try to refresh preferences without dangerous commands
-                'defaults read com.apple.desktop >/dev/null 2>&1' // Just read to refresh cache safely
-            ];
-
-            let completed = 0;
-            let anySuccess = false;
-
-            commands.forEach((command) => {
-                exec(command, (error, stdout, stderr) => {
-                    completed++;
-                    if (!error) anySuccess = true;
-
-                    if (completed === commands.length) {
-                        if (anySuccess) {
-                            logger.success('✅ Safe defaults refresh completed');
-                            resolve(true);
-                        } else {
-                            logger.warning('⚠️  Safe defaults method did not work');
-                            resolve(false);
-                        }
-                    }
-                });
-            });
-        });
+        logger.info('🔧 Trying to restore settings via safe defaults commands...');
+
+        // Use only safe defaults commands - no killall commands
+        const commands = [
+            // Try to refresh preferences without dangerous commands
+            ['defaults', ['read', 'com.apple.desktop']] // Just read to refresh cache safely
+        ];
+
+        if (this.dryRun) {
+            commands.forEach(([command, args]) => logger.plan(`Run: ${Utils.formatCommand(command, args)}`));
+            return false;
+        }
+
+        let anySuccess = false;
+        for (const [command, args] of commands) {
+            if (await commandRunner.succeeds(command, args, { logStderr: false })) {
+                anySuccess = true;
+            }
+        }
+
+        if (!anySuccess) {
+            logger.warning('⚠️  Safe defaults method did not work');
+            return false;
+        }
+
+        logger.success('✅ Safe defaults refresh completed');
+        return true;
     }
 
     /**
-     * Restart the wallpaper daemon with settings restoration
+     * Unload and load the wallpaper daemon, with a pause in between
      */
-    async restartWallpaperDaemonWithRestore() {
-        return new Promise(async (resolve) => {
-            logger.info('🔄 Restarting wallpaper daemon (will restore settings afterward)...');
-
-            const commands = [
-                'launchctl unload /System/Library/LaunchDaemons/com.apple.idleassetsd.plist 2>/dev/null',
-                'sleep 2',
-                'launchctl load /System/Library/LaunchDaemons/com.apple.idleassetsd.plist 2>/dev/null'
-            ];
-
-            const command = commands.join(' && ');
-
-            exec(command, async (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('⚠️  Could not restart daemon (this is normal on some macOS versions)');
-                    resolve(false);
-                } else {
-                    logger.success('✅ Wallpaper daemon restarted');
-
-                    // Wait a moment for the daemon to fully restart
-                    await new Promise(r => setTimeout(r, 3000));
-
-                    // Attempt to restore settings programmatically
-                    if (this.savedSettings) {
-                        await this.restoreWallpaperSettingsProgrammatically(this.savedSettings);
-                    }
+    async reloadWallpaperDaemon() {
+        const plist = systemPaths.getDaemonPlist();
 
-                    resolve(true);
-                }
-            });
-        });
+        if (!await commandRunner.succeeds('launchctl', ['unload', plist], { logStderr: false })) {
+            return false;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        return commandRunner.succeeds('launchctl', ['load', plist], { logStderr: false });
     }
 
     /**
-     * Original restart method (without restoration) - kept for reference
+     * Restart the wallpaper daemon with settings restoration
      */
-    async restartWallpaperDaemon() {
-        return new Promise((resolve) => {
-            logger.info('🔄 Restarting wallpaper daemon...');
-
-            const commands = [
-                'launchctl unload /System/Library/LaunchDaemons/com.apple.idleassetsd.plist 2>/dev/null',
-                'sleep 2',
-                'launchctl load /System/Library/LaunchDaemons/com.apple.idleassetsd.plist 2>/dev/null'
-            ];
-
-            const command = commands.join(' && ');
-
-            exec(command, (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('⚠️  Could not restart daemon (this is normal on some macOS versions)');
-                    resolve(false);
-                } else {
-                    logger.success('✅ Wallpaper daemon restarted');
-                    resolve(true);
-                }
-            });
-        });
-    }
+    async restartWallpaperDaemonWithRestore() {
+        logger.info('🔄 Restarting wallpaper daemon (will restore settings afterward)...');
+
+        if (this.dryRun) {
+            const plist = systemPaths.getDaemonPlist();
+            logger.plan(`Run: ${Utils.formatCommand('launchctl', ['unload', plist])}`);
+            logger.plan(`Then, after 2s: ${Utils.formatCommand('launchctl', ['load', plist])}`);
+            return false;
+        }
+
+        if (!await this.reloadWallpaperDaemon()) {
+            logger.warning('⚠️  Could not restart daemon (this is normal on some macOS versions)');
+            return false;
+        }
 
+        logger.success('✅ Wallpaper daemon restarted');
 
+        // Wait a moment for the daemon to fully restart
+        await new Promise(resolve => setTimeout(resolve, 3000));
 
-    /**
-     * Force desktop refresh using Dock restart (safe and effective)
-     */
-    async forceDesktopRefresh() {
-        return new Promise((resolve) => {
-            logger.info('🔄 Forcing desktop refresh via Dock restart...');
-
-            // Dock restart is safe - Dock automatically restarts and this often fixes wallpaper issues
-            const dockCommand = 'killall Dock 2>/dev/null';
-
-            exec(dockCommand, (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('⚠️  Could not restart Dock');
-                    resolve(false);
-                } else {
-                    logger.success('✅ Dock restarted - desktop should refresh');
-                    resolve(true);
-                }
-            });
-        });
+        // Attempt to restore settings programmatically
+        if (this.savedSettings) {
+            await this.restoreWallpaperSettingsProgrammatically(this.savedSettings);
+        }
+
+        return true;
     }
 
     /**
      * AppleScript desktop refresh with automatic settings restoration
      */
     async appleScriptDesktopRefreshWithRestore() {
-        return new Promise(async (resolve) => {
-            logger.info('🔄 Trying AppleScript desktop refresh (will restore settings)...');
-
-            const script = `
-                tell application "System Events"
-                    tell current desktop
-                        set picture rotation to 0
-                        delay 1
-                        set picture rotation to 1
-                    end tell
+        logger.info('🔄 Trying AppleScript desktop refresh (will restore settings)...');
+
+        const script = `
+            tell application "System Events"
+                tell current desktop
+                    set picture rotation to 0
+                    delay 1
+                    set picture rotation to 1
                 end tell
-            `;
-
-            exec(`osascript -e '${script}'`, async (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('⚠️  Could not force desktop refresh via AppleScript');
-                    resolve(false);
-                } else {
-                    logger.success('✅ AppleScript desktop refresh triggered');
-
-                    // Wait a moment for the refresh to complete
-                    await new Promise(r => setTimeout(r, 3000));
-
-                    // Attempt to restore settings immediately
-                    if (this.savedSettings) {
-                        logger.info('🔧 Restoring settings after AppleScript refresh...');
-                        await this.restoreWallpaperSettingsProgrammatically(this.savedSettings);
-                    }
+            end tell
+        `;
 
-                    resolve(true);
-                }
-            });
-        });
-    }
+        if (this.dryRun) {
+            logger.plan(`Run: ${Utils.formatCommand('osascript', ['-e', script])}`);
+            return false;
+        }
 
-    /**
-     * AppleScript desktop refresh using picture rotation (resets settings)
-     */
-    async appleScriptDesktopRefresh() {
-        return new Promise((resolve) => {
-            logger.info('🔄 Trying AppleScript desktop refresh...');
-
-            const script = `
-                tell application "System Events"
-                    tell current desktop
-                        set picture rotation to 0
-                        delay 1
-                        set picture rotation to 1
-                    end tell
-                end tell
-            `;
-
-            exec(`osascript -e '${script}'`, (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('⚠️  Could not force desktop refresh via AppleScript');
-                    resolve(false);
-                } else {
-                    logger.success('✅ AppleScript desktop refresh triggered');
-                    resolve(true);
-                }
-            });
-        });
+        if (!await commandRunner.succeeds('osascript', ['-e', script])) {
+            logger.warning('⚠️  Could not force desktop refresh via AppleScript');
+            return false;
+        }
+
+        logger.success('✅ AppleScript desktop refresh triggered');
+
+        // Wait a moment for the refresh to complete
+        await new Promise(resolve => setTimeout(resolve, 3000));
+
+        // Attempt to restore settings immediately
+        if (this.savedSettings) {
+            logger.info('🔧 Restoring settings after AppleScript refresh...');
+            await this.restoreWallpaperSettingsProgrammatically(this.savedSettings);
+        }
+
+        return true;
     }
 
     /**
      * Touch wallpaper files to trigger system refresh (safe method)
      */
     async touchWallpaperFiles() {
-        return new Promise((resolve) => {
-            logger.info('🔄 Touching wallpaper files to trigger refresh...');
+        logger.info('🔄 Touching wallpaper files to trigger refresh...');
 
-            const wallpaperDir = '/Library/Application Support/com.apple.idleassetsd/Customer/4KSDR240FPS';
+        const wallpaperDir = systemPaths.getWallpaperDir();
 
-            // Check if we have access to the wallpaper directory
-            exec(`ls "${wallpaperDir}" 2>/dev/null`, (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('⚠️  Cannot access wallpaper directory (need sudo for this method)');
-                    resolve(false);
-                    return;
-                }
+        // Touch all .mov files to update their modification time
+        const touchArgs = [wallpaperDir, '-name', '*.mov', '-exec', 'touch', '{}', ';'];
 
-                // Touch all .mov files to update their modification time
-                const touchCommand = `find "${wallpaperDir}" -name "*.mov" -exec touch {} \\; 2>/dev/null`;
+        if (this.dryRun) {
+            logger.plan(`Run: ${Utils.formatCommand('find', touchArgs)}`);
+            return false;
+        }
 
-                exec(touchCommand, (touchError, touchStdout, touchStderr) => {
-                    if (touchError) {
-                        logger.warning('⚠️  Could not touch wallpaper files');
-                        resolve(false);
-                    } else {
-                        logger.success('✅ Wallpaper files touched - system should refresh');
-                        resolve(true);
-                    }
-                });
-            });
-        });
-    }
+        // Check if we have access to the wallpaper directory
+        try {
+            fs.readdirSync(wallpaperDir);
+        } catch (error) {
+            logger.warning('⚠️  Cannot access wallpaper directory (need sudo for this method)');
+            return false;
+        }
 
+        if (!await commandRunner.succeeds('find', touchArgs, { logStderr: false })) {
+            logger.warning('⚠️  Could not touch wallpaper files');
+            return false;
+        }
 
+        logger.success('✅ Wallpaper files touched - system should refresh');
+        return true;
+    }
 
     /**
      * Check if there are live wallpapers in the system directory
+     *
+     * @returns {string[]} Paths of the .mov files, or of the .mp4 files if there are none
      */
     checkForLiveWallpapers() {
-        return new Promise((resolve) => {
-            const wallpaperDir = '/Library/Application Support/com.apple.idleassetsd/Customer/4KSDR240FPS';
-
-            exec(`ls "${wallpaperDir}"/*.mov 2>/dev/null || ls "${wallpaperDir}"/*.mp4 2>/dev/null`, (error, stdout) => {
-                if (!error && stdout.trim()) {
-                    const files = stdout.trim().split('\n').filter(f => f.trim());
-                    resolve(files);
-                } else {
-                    resolve([]);
-                }
-            });
-        });
+        const wallpaperDir = systemPaths.getWallpaperDir();
+        let files;
+
+        try {
+            files = fs.readdirSync(wallpaperDir);
+        } catch (error) {
+            return [];
+        }
+
+        const byExtension = extension => files
+            .filter(file => path.extname(file).toLowerCase() === extension)
+            .map(file => path.join(wallpaperDir, file));
+
+        const movies = byExtension('.mov');
+        return movies.length > 0 ? movies : byExtension('.mp4');
     }
 
     /**
      * Read current wallpaper settings to preserve them
      */
     async readWallpaperSettings() {
-        return new Promise(async (resolve) => {
-            logger.info('📖 Reading current wallpaper settings...');
+        logger.info('📖 Reading current wallpaper settings...');
 
-            // First check if there are any live wallpapers in the system
-            const liveWallpaperFiles = await this.checkForLiveWallpapers();
-            const hasLiveWallpapers = liveWallpaperFiles.length > 0;
+        // First check if there are any live wallpapers in the system
+        const liveWallpaperFiles = this.checkForLiveWallpapers();
+        const hasLiveWallpapers = liveWallpaperFiles.length > 0;
 
-            if (hasLiveWallpapers) {
-                logger.info(`🎬 Found ${liveWallpaperFiles.length} live wallpaper(s) in system directory`);
-            }
+        if (hasLiveWallpapers) {
+            logger.info(`🎬 Found ${liveWallpaperFiles.length} live wallpaper(s) in system directory`);
+        }
 
-            // Get current user
-            exec('whoami', (userError, username) => {
-                if (userError) {
-                    logger.warning('⚠️  Could not determine current user');
-                    resolve(null);
-                    return;
-                }
+        // Get current user
+        let user;
+        try {
+            user = os.userInfo().username;
+        } catch (error) {
+            logger.warning('⚠️  Could not determine current user');
+            return null;
+        }
 
-                const user = username.trim();
-                const wallpaperStorePath = `/Users/${user}/Library/Application Support/com.apple.wallpaper/Store/Index.plist`;
-
-                // Check if Sonoma+ wallpaper store exists
-                exec(`test -f "${wallpaperStorePath}"`, (testError) => {
-                    if (!testError) {
-                        // Sonoma+ method
-                        this.readSonomaWallpaperSettings(wallpaperStorePath, resolve, hasLiveWallpapers);
-                    } else {
-                        // Pre-Sonoma method
-                        this.readLegacyWallpaperSettings(user, resolve, hasLiveWallpapers);
-                    }
-                });
-            });
+        const wallpaperStorePath = systemPaths.getWallpaperStore(user);
+
+        // Check if Sonoma+ wallpaper store exists
+        if (fs.existsSync(wallpaperStorePath)) {
+            // Sonoma+ method
+            return this.readSonomaWallpaperSettings(wallpaperStorePath, hasLiveWallpapers);
+        }
+
+        // Pre-Sonoma method
+        return this.readLegacyWallpaperSettings(user, hasLiveWallpapers);
+    }
+
+    /**
+     * Path of the current desktop picture according to Finder, '' if unknown
+     */
+    async readCurrentDesktopPicture() {
+        const result = await commandRunner.run('osascript', ['-e', DESKTOP_PICTURE_SCRIPT], {
+            allowFailure: true,
+            logStderr: false
         });
+
+        return result.status === commandRunner.STATUS.OK ? result.stdout.trim() : '';
     }
 
     /**
      * Read wallpaper settings for macOS Sonoma and later
      */
-    readSonomaWallpaperSettings(wallpaperStorePath, resolve, hasLiveWallpapers = false) {
+    async readSonomaWallpaperSettings(wallpaperStorePath, hasLiveWallpapers = false) {
         // First, try to get the current desktop picture settings
-        const desktopPictureCommand = `osascript -e 'tell app "finder" to get posix path of (get desktop picture as alias)' 2>/dev/null`;
-
-        exec(desktopPictureCommand, (dpError, dpStdout) => {
-            const currentWallpaper = dpStdout ? dpStdout.trim() : '';
-            const isLiveWallpaper = currentWallpaper.includes('4KSDR240FPS') ||
-                                  currentWallpaper.endsWith('.mov') ||
-                                  currentWallpaper.endsWith('.mp4') ||
-                                  hasLiveWallpapers; // If we know there are live wallpapers, assume this might be one
-
-            // Extract wallpaper settings from Sonoma's Index.plist
-            const extractCommand = `plutil -extract AllSpacesAndDisplays xml1 -o - "${wallpaperStorePath}" 2>/dev/null`;
-
-            exec(extractCommand, (error, stdout, stderr) => {
-                // Even if we can't read the plist, we can still provide basic info
-                let showAsScreensaver = true; // Default to enabled for live wallpapers
-                let showOnAllSpaces = true; // Default to enabled
-
-                if (!error && stdout) {
-                    // More comprehensive detection of settings
-                    showAsScreensaver = stdout.includes('ScreenSaver') ||
-                                      stdout.includes('screensaver') ||
-                                      stdout.includes('UseAsScreenSaver');
-                    showOnAllSpaces = stdout.includes('AllSpaces') ||
-                                    stdout.includes('AllSpacesAndDisplays') ||
-                                    !stdout.includes('PerSpace');
-                }
+        const currentWallpaper = await this.readCurrentDesktopPicture();
+        const isLiveWallpaper = currentWallpaper.includes('4KSDR240FPS') ||
+                              currentWallpaper.endsWith('.mov') ||
+                              currentWallpaper.endsWith('.mp4') ||
+                              hasLiveWallpapers; // If we know there are live wallpapers, assume this might be one
+
+        // Extract wallpaper settings from Sonoma's Index.plist
+        const result = await commandRunner.run('plutil', ['-extract', 'AllSpacesAndDisplays', 'xml1', '-o', '-', wallpaperStorePath], {
+            allowFailure: true,
+            logStderr: false
+        });
+        const readFailed = result.status !== commandRunner.STATUS.OK;
+        const stdout = readFailed ? '' : result.stdout;
+
+        // Even if we can't read the plist, we can still provide basic info
+        let showAsScreensaver = true; // Default to enabled for live wallpapers
+        let showOnAllSpaces = true; // Default to enabled
+
+        if (stdout) {
+            // More comprehensive detection of settings
+            showAsScreensaver = stdout.includes('ScreenSaver') ||
+                              stdout.includes('screensaver') ||
+                              stdout.includes('UseAsScreenSaver');
+            showOnAllSpaces = stdout.includes('AllSpaces') ||
+                            stdout.includes('AllSpacesAndDisplays') ||
+                            !stdout.includes('PerSpace');
+        }
 
-                const settings = {
-                    version: 'sonoma',
-                    currentWallpaper: currentWallpaper,
-                    isLiveWallpaper: isLiveWallpaper,
-                    showAsScreensaver: showAsScreensaver,
-                    showOnAllSpaces: showOnAllSpaces,
-                    hasLiveWallpapers: hasLiveWallpapers,
-                    rawData: stdout || 'Could not read wallpaper store'
-                };
-
-                if (error) {
-                    logger.warning('⚠️  Could not read Sonoma wallpaper store, using defaults');
-                } else {
-                    logger.success('✅ Sonoma wallpaper settings read successfully');
-                }
+        const settings = {
+            version: 'sonoma',
+            currentWallpaper: currentWallpaper,
+            isLiveWallpaper: isLiveWallpaper,
+            showAsScreensaver: showAsScreensaver,
+            showOnAllSpaces: showOnAllSpaces,
+            hasLiveWallpapers: hasLiveWallpapers,
+            rawData: stdout || 'Could not read wallpaper store'
+        };
+
+        if (readFailed) {
+            logger.warning('⚠️  Could not read Sonoma wallpaper store, using defaults');
+        } else {
+            logger.success('✅ Sonoma wallpaper settings read successfully');
+        }
 
-                if (isLiveWallpaper) {
-                    logger.info(`📹 Live wallpaper detected: ${currentWallpaper.split('/').pop()}`);
-                } else if (hasLiveWallpapers) {
-                    logger.info('📹 Live wallpapers available in system - settings will be preserved');
-                }
+        if (isLiveWallpaper) {
+            logger.info(`📹 Live wallpaper detected: ${currentWallpaper.split('/').pop()}`);
+        } else if (hasLiveWallpapers) {
+            logger.info('📹 Live wallpapers available in system - settings will be preserved');
+        }
 
-                resolve(settings);
-            });
-        });
+        return settings;
     }
 
     /**
      * Read wallpaper settings for pre-Sonoma macOS versions
      */
-    readLegacyWallpaperSettings(user, resolve, hasLiveWallpapers = false) {
+    async readLegacyWallpaperSettings(user, hasLiveWallpapers = false) {
         // First, get the current desktop picture
-        const desktopPictureCommand = `osascript -e 'tell app "finder" to get posix path of (get desktop picture as alias)' 2>/dev/null`;
-
-        exec(desktopPictureCommand, (dpError, dpStdout) => {
-            const currentWallpaper = dpStdout ? dpStdout.trim() : '';
-            const isLiveWallpaper = currentWallpaper.includes('4KSDR240FPS') ||
-                                  currentWallpaper.endsWith('.mov') ||
-                                  currentWallpaper.endsWith('.mp4') ||
-                                  hasLiveWallpapers; // If we know there are live wallpapers, assume this might be one
-
-            // Read desktop preferences
-            const desktopPrefsCommand = `defaults -currentHost read com.apple.desktop 2>/dev/null`;
-
-            exec(desktopPrefsCommand, (error, stdout, stderr) => {
-                // Even if we can't read preferences, we can still provide basic info
-                let showAsScreensaver = true; // Default to enabled for live wallpapers
-                let showOnAllSpaces = true; // Default to enabled
-
-                if (!error && stdout) {
-                    showAsScreensaver = stdout.includes('screensaver') || stdout.includes('ScreenSaver');
-                    showOnAllSpaces = !stdout.includes('PerSpace') && !stdout.includes('per-space');
-                }
+        const currentWallpaper = await this.readCurrentDesktopPicture();
+        const isLiveWallpaper = currentWallpaper.includes('4KSDR240FPS') ||
+                              currentWallpaper.endsWith('.mov') ||
+                              currentWallpaper.endsWith('.mp4') ||
+                              hasLiveWallpapers; // If we know there are live wallpapers, assume this might be one
+
+        // Read desktop preferences
+        const result = await commandRunner.run('defaults', ['-currentHost', 'read', 'com.apple.desktop'], {
+            allowFailure: true,
+            logStderr: false
+        });
+        const readFailed = result.status !== commandRunner.STATUS.OK;
+        const stdout = readFailed ? '' : result.stdout;
 
-                const settings = {
-                    version: 'legacy',
-                    currentWallpaper: currentWallpaper,
-                    isLiveWallpaper: isLiveWallpaper,
-                    showAsScreensaver: showAsScreensaver,
-                    showOnAllSpaces: showOnAllSpaces,
-                    hasLiveWallpapers: hasLiveWallpapers,
-                    rawData: stdout || 'Could not read preferences'
-                };
-
-                if (error) {
-                    logger.warning('⚠️  Could not read legacy wallpaper preferences, using defaults');
-                } else {
-                    logger.success('✅ Legacy wallpaper settings read successfully');
-                }
+        // Even if we can't read preferences, we can still provide basic info
+        let showAsScreensaver = true; // Default to enabled for live wallpapers
+        let showOnAllSpaces = true; // Default to enabled
 
-                if (isLiveWallpaper) {
-                    logger.info(`📹 Live wallpaper detected: ${currentWallpaper.split('/').pop()}`);
-                } else if (hasLiveWallpapers) {
-                    logger.info('📹 Live wallpapers available in system - settings will be preserved');
-                }
+        if (stdout) {
+            showAsScreensaver = stdout.includes('screensaver') || stdout.includes('ScreenSaver');
+            showOnAllSpaces = !stdout.includes('PerSpace') && !stdout.includes('per-space');
+        }
 
-                resolve(settings);
-            });
-        });
+        const settings = {
+            version: 'legacy',
+            currentWallpaper: currentWallpaper,
+            isLiveWallpaper: isLiveWallpaper,
+            showAsScreensaver: showAsScreensaver,
+            showOnAllSpaces: showOnAllSpaces,
+            hasLiveWallpapers: hasLiveWallpapers,
+            rawData: stdout || 'Could not read preferences'
+        };
+
+        if (readFailed) {
+            logger.warning('⚠️  Could not read legacy wallpaper preferences, using defaults');
+        } else {
+            logger.success('✅ Legacy wallpaper settings read successfully');
+        }
+
+        if (isLiveWallpaper) {
+            logger.info(`📹 Live wallpaper detected: ${currentWallpaper.split('/').pop()}`);
+        } else if (hasLiveWallpapers) {
+            logger.info('📹 Live wallpapers available in system - settings will be preserved');
+        }
+
+        return settings;
     }
 
     /**
@@ -516,27 +475,25 @@ class WallpaperRefresher {
             return true;
         }
 
-        return new Promise((resolve) => {
-            logger.info('🔧 Checking wallpaper settings...');
+        logger.info('🔧 Checking wallpaper settings...');
 
-            // Instead of trying to automatically restore (which is unreliable),
-            // provide clear guidance to the user about what settings to check
-            this.provideSettingsGuidance(settings);
-            resolve(true);
-        });
+        // Instead of trying to automatically restore (which is unreliable),
+        // provide clear guidance to the user about what settings to check
+        await this.provideSettingsGuidance(settings);
+        return true;
     }
 
     /**
      * Provide clear guidance about wallpaper settings
      */
-    provideSettingsGuidance(settings) {
+    async provideSettingsGuidance(settings) {
         if (!settings.isLiveWallpaper && !settings.hasLiveWallpapers) {
             logger.info('ℹ️  No live wallpapers detected - no settings to preserve');
             return;
         }
 
         logger.info('⚙️  Please verify these wallpaper settings are still enabled:');
-        console.log();
+        logger.newline();
 
         if (settings.showAsScreensaver) {
             logger.info('   📺 "Use as screen saver" should be ✅ ENABLED');
@@ -550,7 +507,7 @@ class WallpaperRefresher {
             logger.info('   🖥️  "Show on all Spaces" should be ✅ ENABLED (currently appears disabled)');
         }
 
-        console.log();
+        logger.newline();
         logger.info('💡 Opening System Preferences > Wallpaper for you...');
 
         // Open System Preferences to wallpaper section
@@ -561,28 +518,29 @@ class WallpaperRefresher {
             end tell
         `;
 
-        exec(`osascript -e '${script}'`, (error) => {
-            if (error) {
-                logger.info('🔧 Please manually open: System Preferences > Wallpaper');
-            } else {
-                logger.success('✅ System Preferences opened');
-            }
-            logger.info('🔧 If settings were reset, simply toggle them back on');
-            logger.info('🎯 Focus on the checkboxes: "Use as screen saver" and "Show on all Spaces"');
-        });
-    }
-
+        if (this.dryRun) {
+            logger.plan(`Run: ${Utils.formatCommand('osascript', ['-e', script])}`);
+            return;
+        }
 
+        if (await commandRunner.succeeds('osascript', ['-e', script])) {
+            logger.success('✅ System Preferences opened');
+        } else {
+            logger.info('🔧 Please manually open: System Preferences > Wallpaper');
+        }
+        logger.info('🔧 If settings were reset, simply toggle them back on');
+        logger.info('🎯 Focus on the checkboxes: "Use as screen saver" and "Show on all Spaces"');
+    }
 
     /**
      * Run all refresh methods with settings preservation
      */
     async runAllMethods() {
         logger.info('🚀 Starting wallpaper refresh process...');
-        console.log();
+        logger.newline();
 
-        // Step 1: Read current wallpaper settings
-        this.savedSettings = await this.readWallpaperSettings();
+        // Step 1: Read current wallpaper settings (a sandbox has none to preserve)
+        this.savedSettings = systemPaths.isSandboxed() ? null : await this.readWallpaperSettings();
 
         let successCount = 0;
 
@@ -633,14 +591,16 @@ class WallpaperRefresher {
             }
         }
 
-        console.log();
-        if (successCount > 0) {
+        logger.newline();
+        if (this.dryRun) {
+            logger.plan('Refresh plan complete - nothing was executed');
+        } else if (successCount > 0) {
             logger.success(`✅ Refresh completed! ${successCount}/${this.methods.length} methods succeeded`);
             logger.info('🎬 Your live wallpaper should now be animated again');
 
             if (this.savedSettings && (this.savedSettings.isLiveWallpaper || this.savedSettings.hasLiveWallpapers)) {
                 logger.info('⚙️  Settings should be preserved - please verify if needed');
-                console.log();
+                logger.newline();
                 logger.info('📋 SUMMARY: These settings should still be enabled:');
                 logger.info('   • "Use as screen saver" should be ✅ ENABLED');
                 logger.info('   • "Show on all Spaces" should be ✅ ENABLED');
@@ -668,7 +628,7 @@ class WallpaperRefresher {
 
 // Run the utility if this file is executed directly
 if (require.main === module) {
-    const refresher = new WallpaperRefresher();
+    const refresher = new WallpaperRefresher({ dryRun: process.argv.includes('--dry-run') });
     refresher.run().catch(error => {
         logger.error(`❌ Refresh utility failed: ${error.message}`);
         process.exit(1);
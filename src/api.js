@@ -0,0 +1,274 @@
+/**
+ * Programmatic API for embedding the wallpaper setter in other Node apps
+ *
+ * Every method returns a promise and reports progress through events. Nothing
+ * here exits the process, registers signal handlers or prompts on stdin.
+ * Failures reject with the typed errors from ./errors.
+ *
+ * The settings are process-wide, not per instance: the constructor writes them
+ * to the shared CONFIG, systemPaths and logger, as the CLI does. Use one
+ * instance per process, or instances with the same settings that don't run at
+ * the same time.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger');
+const dependencyChecker = require('./dependencies');
+const Utils = require('./utils');
+const VideoInfoAnalyzer = require('./videoInfo');
+const VideoDownloader = require('./downloader');
+const WallpaperManager = require('./wallpaperManager');
+const userConfig = require('./userConfig');
+const { resolveProfile } = require('./encodingProfiles');
+const { resolveFit } = require('./framing');
+const systemPaths = require('./systemPaths');
+const { WallpaperError, InvalidInput } = require('./errors');
+
+/**
+ * Emits:
+ *   'event'  every structured event ({ type, timestamp, elapsed, ... }, same as --json)
+ *   '<type>' the same payload under its own name, e.g. 'download_progress', 'install_result'
+ *   'log'    human-readable log lines ({ level, message })
+ */
+class LiveWallpaperApi extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.outputDir - Override for CONFIG.OUTPUT_DIR
+     * @param {string} options.target - Wallpaper to replace (asset name, 1-based index or 'newest')
+     * @param {string} options.profile - Encoding profile (see CONFIG.ENCODING_PROFILES)
+     * @param {string} options.fit - Framing of sources that aren't 16:9 (see CONFIG.FIT_SETTINGS)
+     * @param {number[]} options.focalPoint - [x, y] kept in view by the smart-crop fit, 0-1 from the top left
+     * @param {string} options.root - Sandbox root for all system paths (see systemPaths.js)
+     * @param {boolean} options.dryRun - Report every command and file operation without executing it
+     * @param {boolean} options.refreshMetadata - Ask yt-dlp for the metadata even when it is cached
+     * @param {boolean} options.explainFormats - Log why each video format was accepted, rejected or ranked (format_decisions event)
+     * @param {string} options.videoFormat - yt-dlp format ID of the video, instead of the recommended one
+     * @param {string} options.audioFormat - yt-dlp format ID of the audio, instead of the recommended one
+     * @param {boolean} options.console - Keep writing human-readable logs to the terminal (default false)
+     * @param {string} options.logLevel - error, warning, info, verbose or debug (default LOGGING.level); also filters 'log' events
+     * @param {boolean} options.userConfig - Apply the user config files (default true)
+     *
+     * outputDir, root, profile, fit and focalPoint change CONFIG and systemPaths,
+     * and console and logLevel change the shared logger, for every instance in
+     * the process. A later instance overrides them, and every instance receives
+     * the events of all running tasks.
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+
+        if (options.userConfig !== false) {
+            userConfig.load();
+        }
+
+        if (options.outputDir) {
+            CONFIG.OUTPUT_DIR = path.resolve(options.outputDir);
+        }
+
+        if (options.root) {
+            systemPaths.setRoot(options.root);
+        }
+
+        if (options.profile) {
+            CONFIG.DOWNLOAD_SETTINGS.encodingProfile = options.profile;
+            resolveProfile();
+        }
+
+        if (options.fit || options.focalPoint) {
+            CONFIG.FIT_SETTINGS.mode = options.fit || CONFIG.FIT_SETTINGS.mode;
+            CONFIG.FIT_SETTINGS.focalPoint = options.focalPoint || CONFIG.FIT_SETTINGS.focalPoint;
+            resolveFit();
+        }
+
+        if (options.logLevel && !logger.setLevel(options.logLevel)) {
+            throw new InvalidInput(`Unknown log level: ${options.logLevel} (use one of: ${logger.getLevels().join(', ')})`);
+        }
+
+        logger.setSilent(!options.console);
+
+        this.analyzer = new VideoInfoAnalyzer({
+            refreshMetadata: options.refreshMetadata,
+            dryRun: options.dryRun,
+            explainFormats: options.explainFormats,
+            videoFormat: options.videoFormat,
+            audioFormat: options.audioFormat
+        });
+        this.downloader = new VideoDownloader({ dryRun: options.dryRun, handleSignals: false });
+    }
+
+    /**
+     * Run a task while forwarding logger output as events on this emitter
+     */
+    async track(task) {
+        const onEvent = (payload) => {
+            this.emit('event', payload);
+            // An 'error' emit without listeners would throw; failures reject instead
+            if (payload.type !== 'error') {
+                this.emit(payload.type, payload);
+            }
+        };
+
+        const onLog = (entry) => this.emit('log', entry);
+
+        logger.on('event', onEvent);
+        logger.on('log', onLog);
+
+        try {
+            return await task();
+        } finally {
+            logger.off('event', onEvent);
+            logger.off('log', onLog);
+        }
+    }
+
+    /**
+     * Check Node.js, system resources and external tools
+     *
+     * @param {Object} options
+     * @param {boolean} options.requireSudo - Fail when not running with elevated privileges
+     */
+    async checkEnvironment(options = {}) {
+        return this.track(() => dependencyChecker.performFullCheck({
+            requireSudo: Boolean(options.requireSudo)
+        }));
+    }
+
+    /**
+     * Analyze a video URL (any site yt-dlp supports) or local video file and select formats
+     *
+     * @returns {Promise<{info: Object, videoFormat: Object, audioFormat: Object}>}
+     */
+    async analyze(input) {
+        return this.track(() => {
+            if (Utils.isLocalVideoFile(input)) {
+                const filePath = path.resolve(input);
+                if (!fs.existsSync(filePath)) {
+                    throw new InvalidInput(`Local video file not found: ${input}`);
+                }
+                return this.analyzer.analyzeLocalFile(filePath);
+            }
+
+            if (!Utils.isUrl(input)) {
+                throw new InvalidInput(`Not a URL or supported video file: ${input}`);
+            }
+
+            return this.analyzer.analyzeVideo(input);
+        });
+    }
+
+    /**
+     * Download (or take a local file) and convert it to a wallpaper-ready .mov
+     *
+     * @param {string} input - Video URL or local video file
+     * @param {Object} analysis - Result of analyze(); analyzed on the fly when omitted
+     * @returns {Promise<string>} Path of the converted video
+     */
+    async download(input, analysis = null) {
+        const resolvedAnalysis = analysis || await this.analyze(input);
+
+        return this.track(() => (Utils.isLocalVideoFile(input)
+            ? this.downloader.processLocalFile(path.resolve(input), resolvedAnalysis)
+            : this.downloader.performDownload(input, resolvedAnalysis)));
+    }
+
+    /**
+     * Convert an existing video file to HEVC .mov
+     *
+     * @param {string} inputPath
+     * @param {Object} options
+     * @param {string} options.outputPath - Destination (default: <outputDir>/<name>.mov)
+     * @param {boolean} options.keepSource - Keep the source file (default true)
+     * @returns {Promise<string>} Path of the converted video
+     */
+    async convert(inputPath, options = {}) {
+        const filePath = path.resolve(inputPath);
+
+        if (!fs.existsSync(filePath)) {
+            throw new InvalidInput(`Input file not found: ${inputPath}`);
+        }
+
+        return this.track(() => {
+            if (!this.options.dryRun) {
+                Utils.ensureDirectoryExists(CONFIG.OUTPUT_DIR);
+            }
+
+            return this.downloader.convertToMov(filePath, {
+                outputPath: options.outputPath || this.downloader.createLocalOutputPath(filePath),
+                keepSource: options.keepSource !== false
+            });
+        });
+    }
+
+    /**
+     * Install a .mov file as wallpaper, replacing options.target
+     *
+     * Needs elevated privileges to write to the system wallpaper directory.
+     * With dryRun nothing is copied and the promise resolves to the asset that
+     * would be replaced (install_result carries dryRun: true).
+     *
+     * @returns {Promise<string>} Path of the replaced wallpaper asset
+     */
+    async install(videoPath) {
+        const filePath = path.resolve(videoPath);
+        const requiredFormat = CONFIG.WALLPAPER_SETTINGS.requiredFormat;
+
+        if (!fs.existsSync(filePath) && !this.options.dryRun) {
+            throw new InvalidInput(`Video file not found: ${videoPath}`);
+        }
+
+        if (path.extname(filePath).toLowerCase() !== requiredFormat) {
+            throw new InvalidInput(`Wallpapers must be ${requiredFormat} files - convert the video first`);
+        }
+
+        const manager = new WallpaperManager({
+            assumeYes: true,
+            target: this.options.target,
+            dryRun: this.options.dryRun
+        });
+
+        let targetPath = null;
+        const onInstall = (payload) => {
+            targetPath = payload.target || null;
+        };
+
+        this.on('install_result', onInstall);
+
+        try {
+            const installed = await this.track(() => manager.setupWallpaper(filePath));
+
+            if (!installed) {
+                throw new WallpaperError('Wallpaper installation was cancelled');
+            }
+
+            return targetPath;
+        } finally {
+            this.off('install_result', onInstall);
+        }
+    }
+
+    /**
+     * Full flow: download, convert and install
+     *
+     * @returns {Promise<{path: string, target: string}>}
+     */
+    async set(input) {
+        const videoPath = await this.download(input);
+        const target = await this.install(videoPath);
+
+        return { path: videoPath, target };
+    }
+
+    /**
+     * Cancel a running download
+     *
+     * @returns {boolean} Whether a download was running
+     */
+    cancel() {
+        return this.downloader.cancelDownload();
+    }
+}
+
+module.exports = LiveWallpaperApi;
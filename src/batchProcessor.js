@@ -0,0 +1,285 @@
+/**
+ * Batch processing of many videos with a done-archive and summary report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger');
+const Utils = require('./utils');
+const progressRenderer = require('./progressRenderer');
+const { InvalidInput, describeError } = require('./errors');
+
+class BatchProcessor {
+    /**
+     * @param {VideoInfoAnalyzer} analyzer
+     * @param {VideoDownloader} downloader
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Don't record finished videos in the archive
+     */
+    constructor(analyzer, downloader, options = {}) {
+        this.analyzer = analyzer;
+        this.downloader = downloader;
+        this.archivePath = path.join(CONFIG.OUTPUT_DIR, CONFIG.BATCH_SETTINGS.archiveFile);
+        this.archive = new Set();
+        this.dryRun = Boolean(options.dryRun);
+    }
+
+    /**
+     * Read all of stdin as text
+     */
+    readStdin() {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            process.stdin.setEncoding('utf8');
+            process.stdin.on('data', (chunk) => {
+                data += chunk;
+            });
+            process.stdin.on('end', () => resolve(data));
+            process.stdin.on('error', reject);
+        });
+    }
+
+    /**
+     * Read URLs from a file, stdin ('-') or a single playlist URL
+     */
+    async readSource(source) {
+        if (Utils.isUrl(source)) {
+            return [source];
+        }
+
+        let text;
+        if (source === '-') {
+            logger.info('📥 Reading URLs from stdin...');
+            text = await this.readStdin();
+        } else {
+            if (!fs.existsSync(source)) {
+                throw new InvalidInput(`Batch file not found: ${source}`);
+            }
+            logger.file(`📥 Reading URLs from: ${source}`);
+            text = fs.readFileSync(source, 'utf8');
+        }
+
+        // One URL per line, blank lines and # comments ignored
+        return text
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    }
+
+    /**
+     * Turn URLs into queue items, expanding playlists
+     *
+     * yt-dlp resolves every URL up front, so archived videos are known before
+     * any download starts. A URL that can't be resolved becomes a failed item.
+     */
+    async buildQueue(urls) {
+        const queue = [];
+        const seen = new Set();
+
+        const enqueue = (item) => {
+            const key = item.id ? this.getArchiveKey(item) : item.url;
+            if (!seen.has(key)) {
+                seen.add(key);
+                queue.push(item);
+            }
+        };
+
+        for (const url of urls) {
+            if (!Utils.isUrl(url)) {
+                queue.push({ url, id: null, extractor: null, title: null, error: new InvalidInput(`Not a URL: ${url}`) });
+                continue;
+            }
+
+            try {
+                const entries = await this.analyzer.resolveEntries(url);
+                entries.forEach(entry => enqueue(entry));
+            } catch (error) {
+                queue.push({ url, id: null, extractor: null, title: null, error });
+            }
+        }
+
+        return queue;
+    }
+
+    /**
+     * Load the archive of already finished videos
+     */
+    loadArchive() {
+        this.archive = new Set();
+
+        if (fs.existsSync(this.archivePath)) {
+            fs.readFileSync(this.archivePath, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(Boolean)
+                .forEach(line => this.archive.add(line));
+        }
+
+        if (this.archive.size > 0) {
+            logger.info(`📚 Archive contains ${this.archive.size} finished videos`);
+        }
+    }
+
+    /**
+     * Archive key of a video: lowercase extractor and video ID (same layout as yt-dlp --download-archive)
+     */
+    getArchiveKey(item) {
+        return `${item.extractor.toLowerCase()} ${item.id}`;
+    }
+
+    /**
+     * Check if a video was finished in an earlier run
+     */
+    isArchived(item) {
+        return Boolean(item.id && item.extractor) && this.archive.has(this.getArchiveKey(item));
+    }
+
+    /**
+     * Record a finished video in the archive
+     */
+    addToArchive(item) {
+        if (!item.id || !item.extractor || this.isArchived(item)) {
+            return;
+        }
+
+        const key = this.getArchiveKey(item);
+
+        if (this.dryRun) {
+            logger.plan(`Append "${key}" to ${this.archivePath}`);
+            return;
+        }
+
+        Utils.ensureDirectoryExists(path.dirname(this.archivePath));
+        fs.appendFileSync(this.archivePath, `${key}\n`);
+        this.archive.add(key);
+    }
+
+    /**
+     * Analyze, download and convert a single queue item
+     */
+    async processItem(item) {
+        if (item.error) {
+            throw item.error;
+        }
+
+        // Metadata of a single video came along with resolving it; playlist entries are fetched now
+        const analysis = await this.analyzer.analyzeVideo(item.url, item.info);
+        item.title = analysis.info.title;
+
+        return this.downloader.performDownload(item.url, analysis);
+    }
+
+    /**
+     * Queue item fields kept in the results (without the metadata and error object)
+     */
+    describeItem(item) {
+        return { url: item.url, extractor: item.extractor, id: item.id, title: item.title };
+    }
+
+    /**
+     * Print a table of successes and failures
+     */
+    displayReport(results) {
+        logger.header('Batch Summary');
+
+        const sizes = results.map(result => {
+            const stats = result.path ? Utils.getFileStats(result.path) : null;
+            return stats ? stats.size : null;
+        });
+
+        const rows = results.map((result, index) => ({
+            status: result.status,
+            video: (result.title || result.id || result.url).substring(0, 40),
+            size: sizes[index] ? Utils.formatFileSize(sizes[index]) : '-',
+            detail: result.status === 'failed' ? result.error : (result.path || '-')
+        }));
+
+        const width = {
+            status: Math.max(6, ...rows.map(row => row.status.length)),
+            video: Math.max(5, ...rows.map(row => row.video.length)),
+            size: Math.max(4, ...rows.map(row => row.size.length))
+        };
+
+        const formatRow = (row) => [
+            row.status.padEnd(width.status),
+            row.video.padEnd(width.video),
+            row.size.padEnd(width.size),
+            row.detail
+        ].join('  ');
+
+        logger.print(formatRow({ status: 'STATUS', video: 'VIDEO', size: 'SIZE', detail: 'PATH / ERROR' }));
+        rows.forEach(row => logger.print(formatRow(row)));
+        logger.newline();
+
+        const count = (status) => results.filter(result => result.status === status).length;
+
+        logger.event('batch_summary', {
+            done: count('done'),
+            skipped: count('skipped'),
+            failed: count('failed'),
+            results: results.map((result, index) => ({
+                url: result.url,
+                extractor: result.extractor,
+                id: result.id,
+                title: result.title,
+                status: result.status,
+                path: result.path,
+                size: sizes[index],
+                error: result.error || null,
+                code: result.code || null
+            }))
+        });
+
+        logger.stats(`📊 ${count('done')} done, ${count('skipped')} skipped, ${count('failed')} failed (${results.length} total)`);
+    }
+
+    /**
+     * Process every video from the source, continuing past failures
+     */
+    async run(source) {
+        logger.header('Batch Processing');
+
+        const urls = await this.readSource(source);
+        const queue = await this.buildQueue(urls);
+
+        if (queue.length === 0) {
+            throw new InvalidInput('No URLs found in batch input');
+        }
+
+        this.loadArchive();
+        logger.info(`📋 ${queue.length} videos queued`);
+
+        const results = [];
+        const task = progressRenderer.start('batch', `${queue.length} videos`, { symbol: logger.symbols.stats });
+
+        for (let i = 0; i < queue.length; i++) {
+            const item = queue[i];
+            task.update({ percentage: (i / queue.length) * 100, detail: `video ${i + 1} of ${queue.length}` });
+            logger.header(`Batch item ${i + 1}/${queue.length}: ${item.title || item.url}`);
+
+            logger.event('batch_item', { index: i + 1, total: queue.length, url: item.url, extractor: item.extractor, id: item.id });
+
+            if (this.isArchived(item)) {
+                logger.info('⏭️  Already finished in an earlier run, skipping');
+                results.push({ ...this.describeItem(item), status: 'skipped', path: null });
+                continue;
+            }
+
+            try {
+                const outputPath = await this.processItem(item);
+                this.addToArchive(item);
+                results.push({ ...this.describeItem(item), status: 'done', path: outputPath });
+            } catch (error) {
+                logger.error(`❌ Batch item failed: ${error.message}`);
+                results.push({ ...this.describeItem(item), status: 'failed', path: null, error: error.message, code: describeError(error).code });
+            }
+        }
+
+        task.complete();
+        this.displayReport(results);
+        return results;
+    }
+}
+
+module.exports = BatchProcessor;
@@ -0,0 +1,632 @@
+/**
+ * Unified command line interface
+ *
+ * Routes `macos-live-video-wallpaper <command>` to the individual modules so
+ * every stage (download, convert, install, ...) can also run on its own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger');
+const dependencyChecker = require('./dependencies');
+const Utils = require('./utils');
+const CliOptions = require('./cliOptions');
+const userConfig = require('./userConfig');
+const { resolveProfile } = require('./encodingProfiles');
+const { resolveFit } = require('./framing');
+const systemPaths = require('./systemPaths');
+const runLog = require('./runLog');
+const { InvalidInput, describeError, logRemediation } = require('./errors');
+
+const BIN = 'macos-live-video-wallpaper';
+
+const COMMANDS = {
+    set: {
+        summary: 'Download (or take a local file), convert and install a video as wallpaper (default)',
+        usage: '[url|file] [options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'yes', 'install', 'target', 'root', 'output-dir', 'profile', 'fit', 'focal-point', 'batch', 'dry-run', 'refresh-metadata', 'explain-formats', 'pick-format', 'video-format', 'audio-format'],
+        handler: 'runSet',
+        examples: [
+            `sudo ${BIN}                                  # Interactive mode`,
+            `sudo ${BIN} set "URL" --yes --target newest`,
+            `sudo ${BIN} set ~/Movies/drone.mp4 --yes     # Local file, no download`,
+            `${BIN} set "URL" --dry-run                    # Review the plan before granting sudo`
+        ]
+    },
+    download: {
+        summary: 'Download and convert a video without installing it',
+        usage: '<url> [options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'output-dir', 'profile', 'fit', 'focal-point', 'batch', 'dry-run', 'refresh-metadata', 'explain-formats', 'pick-format', 'video-format', 'audio-format'],
+        handler: 'runDownload',
+        examples: [
+            `${BIN} download "URL" --output-dir ~/Movies/wallpapers`,
+            `${BIN} download --batch urls.txt`,
+            `${BIN} download "URL" --profile battery-saver   # 1440p 30fps for laptops`,
+            `${BIN} download "URL" --explain-formats --dry-run  # Why this format was picked`,
+            `${BIN} download "URL" --pick-format                # Choose from every available format`,
+            `${BIN} download "URL" --video-format 299 --audio-format 140`
+        ]
+    },
+    convert: {
+        summary: 'Convert an existing video file to a wallpaper-ready HEVC .mov',
+        usage: '<file> [options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'output-dir', 'profile', 'fit', 'focal-point', 'delete-source', 'dry-run'],
+        handler: 'runConvert',
+        examples: [
+            `${BIN} convert ~/Movies/drone.mp4`,
+            `${BIN} convert ~/Movies/drone.mp4 --profile battery-saver`,
+            `${BIN} convert ~/Movies/portrait.mp4 --fit blur          # Vertical video on a blurred background`,
+            `${BIN} convert ~/Movies/cinema.mp4 --fit smart-crop --focal-point 0.3,0.5`
+        ]
+    },
+    install: {
+        summary: 'Install an existing .mov file as wallpaper',
+        usage: '<file.mov> [options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'yes', 'target', 'root', 'dry-run'],
+        handler: 'runInstall',
+        examples: [
+            `sudo ${BIN} install outputs/video.mov --target newest --yes`,
+            `${BIN} install outputs/video.mov --root /tmp/fake-mac --target newest --yes   # Rehearse in a sandbox`
+        ]
+    },
+    resume: {
+        summary: 'Continue an interrupted job from its last completed stage',
+        usage: '[job-id] [options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'yes', 'target', 'root', 'output-dir'],
+        handler: 'runResume',
+        examples: [`sudo ${BIN} resume                   # Most recent unfinished job`, `sudo ${BIN} resume 20260101-120000-VIDEO_ID`]
+    },
+    list: {
+        summary: 'List installed wallpapers, backups and unfinished jobs',
+        usage: '[options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'root', 'output-dir'],
+        handler: 'runList',
+        examples: [`${BIN} list`]
+    },
+    restore: {
+        summary: 'Restore a wallpaper backup (name, index from list, or newest)',
+        usage: '[backup] [options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'yes', 'target', 'root', 'output-dir', 'dry-run'],
+        handler: 'runRestore',
+        examples: [`sudo ${BIN} restore newest`, `sudo ${BIN} restore 2 --yes`]
+    },
+    refresh: {
+        summary: 'Restore animation of a wallpaper that became static',
+        usage: '[options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'root', 'dry-run'],
+        handler: 'runRefresh',
+        examples: [`sudo ${BIN} refresh`]
+    },
+    cleanup: {
+        summary: 'Fix permissions of files created with sudo',
+        usage: '[options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'output-dir'],
+        handler: 'runCleanup',
+        examples: [`${BIN} cleanup`]
+    },
+    doctor: {
+        summary: 'Check dependencies, privileges and the wallpaper directory',
+        usage: '[options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain', 'root'],
+        handler: 'runDoctor',
+        examples: [`${BIN} doctor`]
+    },
+    config: {
+        summary: 'Show the effective configuration and where each value came from',
+        usage: 'show [options]',
+        options: ['help', 'json', 'quiet', 'verbose', 'debug', 'plain'],
+        handler: 'runConfig',
+        examples: [`${BIN} config show`, `${BIN} config show --json`]
+    }
+};
+
+class CommandLineInterface {
+    /**
+     * Split argv into command name and remaining arguments
+     */
+    resolveCommand(argv) {
+        const [first, ...rest] = argv;
+
+        if (first && COMMANDS[first]) {
+            return { name: first, args: rest };
+        }
+
+        if (first === 'help') {
+            return { name: 'help', args: rest };
+        }
+
+        // Legacy flags from before subcommands existed
+        if (argv.includes('--cleanup')) {
+            return { name: 'cleanup', args: argv.filter(arg => arg !== '--cleanup') };
+        }
+
+        if (!first || first === '--help' || first === '-h') {
+            return { name: first ? 'help' : 'set', args: [] };
+        }
+
+        return { name: 'set', args: argv };
+    }
+
+    /**
+     * Parse arguments and run the command
+     */
+    async run(argv) {
+        const { name, args } = this.resolveCommand(argv);
+
+        if (name === 'help') {
+            if (args[0] && COMMANDS[args[0]]) {
+                this.displayCommandHelp(args[0]);
+            } else {
+                this.displayUsage();
+            }
+            return;
+        }
+
+        const command = COMMANDS[name];
+        let parsed;
+
+        try {
+            parsed = CliOptions.parse(args, CliOptions.pick(command.options));
+        } catch (error) {
+            logger.error(`❌ ${error.message}`);
+            this.displayCommandHelp(name);
+            process.exitCode = describeError(error).exitCode;
+            return;
+        }
+
+        const { options, positionals } = parsed;
+
+        if (options.json) {
+            logger.enableJsonMode();
+        }
+
+        if (options.plain) {
+            logger.setPlain(true);
+        }
+
+        if (options.help) {
+            this.displayCommandHelp(name);
+            return;
+        }
+
+        try {
+            userConfig.load();
+            this.applyLogLevel(options);
+
+            if (options.outputDir) {
+                CONFIG.OUTPUT_DIR = path.resolve(options.outputDir);
+            }
+
+            if (options.profile) {
+                CONFIG.DOWNLOAD_SETTINGS.encodingProfile = options.profile;
+            }
+
+            if (options.fit) {
+                CONFIG.FIT_SETTINGS.mode = options.fit;
+            }
+
+            if (options.focalPoint) {
+                CONFIG.FIT_SETTINGS.focalPoint = options.focalPoint.split(',').map(Number);
+            }
+
+            if (options.root) {
+                systemPaths.setRoot(options.root);
+            }
+
+            // A dry run leaves no files behind, not even a log
+            if (!options.dryRun) {
+                await runLog.start(name, argv);
+            }
+
+            if (systemPaths.isSandboxed()) {
+                logger.info(`🧪 Sandbox root: ${systemPaths.root}`);
+            }
+
+            // Fail before downloading anything when the profile or fit settings are unknown or invalid
+            if (command.options.includes('profile')) {
+                resolveProfile();
+            }
+
+            if (command.options.includes('fit')) {
+                resolveFit();
+            }
+
+            await this[command.handler](options, positionals);
+        } catch (error) {
+            const details = describeError(error);
+
+            logger.error(`❌ ${name} failed: ${error.message}`);
+            logger.event('error', { command: name, ...details, logFile: runLog.filePath });
+            logRemediation(error);
+            runLog.reportLocation();
+            process.exitCode = details.exitCode;
+        }
+    }
+
+    /**
+     * Set the log level from --quiet, --verbose or --debug, else from LOGGING.level
+     */
+    applyLogLevel(options) {
+        let level = CONFIG.LOGGING.level;
+
+        if (options.debug) {
+            level = 'debug';
+        } else if (options.verbose) {
+            level = 'verbose';
+        } else if (options.quiet) {
+            level = 'warning';
+        }
+
+        if (!logger.setLevel(level)) {
+            const source = userConfig.sources['LOGGING.level'] || 'LOG_LEVEL';
+            throw new InvalidInput(`Unknown log level "${level}" from ${source} (use one of: ${logger.getLevels().join(', ')})`, {
+                hint: {
+                    message: 'Fix the log level, or pick one for this run with --quiet, --verbose or --debug',
+                    commands: [`${BIN} config show`]
+                }
+            });
+        }
+    }
+
+    /**
+     * Require elevated privileges for system directory access (not needed for a dry run or a sandbox)
+     */
+    requireSudo(options) {
+        if (!options.dryRun && !systemPaths.isSandboxed() && !dependencyChecker.checkSudoPrivileges()) {
+            dependencyChecker.promptForSudo();
+        }
+    }
+
+    /**
+     * Full flow: download, convert and install
+     */
+    async runSet(options, positionals) {
+        const MacOSLiveWallpaperSetter = require('../index');
+        const app = new MacOSLiveWallpaperSetter({ ...options, url: positionals[0] });
+
+        if (options.batch) {
+            await app.runBatch();
+        } else {
+            await app.run();
+        }
+    }
+
+    /**
+     * Download and convert only
+     */
+    async runDownload(options, positionals) {
+        if (!positionals[0] && !options.batch) {
+            throw new InvalidInput('A video URL or --batch source is required');
+        }
+
+        await this.runSet({ ...options, install: false }, positionals);
+    }
+
+    /**
+     * Convert an existing file to HEVC .mov
+     */
+    async runConvert(options, positionals) {
+        const inputPath = positionals[0] && path.resolve(positionals[0]);
+
+        if (!inputPath || !fs.existsSync(inputPath)) {
+            throw new InvalidInput(`Input file not found: ${positionals[0] || '(none given)'}`);
+        }
+
+        await dependencyChecker.performFullCheck({
+            requireSudo: false,
+            dependencies: CONFIG.LOCAL_FILE_SETTINGS.requiredDependencies
+        });
+
+        const outputDir = options.outputDir ? CONFIG.OUTPUT_DIR : path.dirname(inputPath);
+        Utils.ensureDirectoryExists(outputDir);
+
+        const VideoDownloader = require('./downloader');
+        const downloader = new VideoDownloader({ dryRun: options.dryRun });
+        const convertedPath = await downloader.convertToMov(inputPath, {
+            outputPath: downloader.createLocalOutputPath(inputPath, outputDir),
+            keepSource: !options.deleteSource
+        });
+
+        logger.file(`📁 Converted video: ${convertedPath}`);
+    }
+
+    /**
+     * Install an existing .mov file as wallpaper
+     */
+    async runInstall(options, positionals) {
+        const videoPath = positionals[0] && path.resolve(positionals[0]);
+        const requiredFormat = CONFIG.WALLPAPER_SETTINGS.requiredFormat;
+
+        if (!videoPath || !fs.existsSync(videoPath)) {
+            throw new InvalidInput(`Video file not found: ${positionals[0] || '(none given)'}`);
+        }
+
+        if (path.extname(videoPath).toLowerCase() !== requiredFormat) {
+            throw new InvalidInput(`Wallpapers must be ${requiredFormat} files - run "${BIN} convert" first`);
+        }
+
+        this.requireSudo(options);
+
+        const WallpaperManager = require('./wallpaperManager');
+        const manager = new WallpaperManager({
+            assumeYes: options.yes,
+            target: options.target,
+            dryRun: options.dryRun
+        });
+        const installed = await manager.setupWallpaper(videoPath);
+
+        if (!installed) {
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Continue an interrupted job
+     */
+    async runResume(options, positionals) {
+        const MacOSLiveWallpaperSetter = require('../index');
+        const app = new MacOSLiveWallpaperSetter(options);
+        await app.resume(positionals[0]);
+    }
+
+    /**
+     * List installed wallpapers, backups and unfinished jobs
+     */
+    async runList() {
+        const WallpaperManager = require('./wallpaperManager');
+        const manager = new WallpaperManager();
+
+        const printEntries = (entries) => {
+            entries.forEach((entry, index) => {
+                logger.print(`  ${index + 1}. ${entry.name}`);
+                logger.print(`     📅 Modified: ${Utils.formatDate(entry.modified)} | 📊 Size: ${Utils.formatFileSize(entry.size)}`);
+            });
+            logger.newline();
+        };
+
+        logger.header('Installed Wallpapers');
+        logger.file(`📁 ${manager.targetDir}`);
+        const wallpapers = manager.getExistingWallpapers();
+        if (wallpapers.length === 0) {
+            logger.info('📭 No wallpapers found');
+        } else {
+            printEntries(wallpapers);
+        }
+
+        logger.header('Wallpaper Backups');
+        logger.file(`📁 ${manager.backupDir}`);
+        const backups = manager.getBackups();
+        if (backups.length === 0) {
+            logger.info('📭 No backups found');
+        } else {
+            printEntries(backups);
+        }
+
+        logger.header('Unfinished Jobs');
+        const JobJournal = require('./jobJournal');
+        logger.file(`📁 ${JobJournal.getJournalDir()}`);
+        const jobs = JobJournal.list().filter(journal => journal.data.status !== 'completed');
+        if (jobs.length === 0) {
+            logger.info('📭 No unfinished jobs');
+        } else {
+            jobs.forEach(journal => {
+                logger.print(`  • ${journal.id} (${journal.data.status}, last stage: ${journal.getLastStage() || 'none'})`);
+                if (journal.data.error) {
+                    logger.print(`     ⚠️  ${journal.data.error}`);
+                }
+            });
+            logger.newline();
+            logger.info(`💡 Continue with "${BIN} resume <job-id>"`);
+        }
+
+        const toEventEntry = (entry) => ({
+            name: entry.name,
+            path: entry.path,
+            size: entry.size,
+            modified: entry.modified
+        });
+
+        logger.event('list', {
+            wallpaperDir: manager.targetDir,
+            wallpapers: wallpapers.map(toEventEntry),
+            backupDir: manager.backupDir,
+            backups: backups.map(toEventEntry),
+            jobs: jobs.map(journal => ({
+                id: journal.id,
+                status: journal.data.status,
+                lastStage: journal.getLastStage(),
+                error: journal.data.error
+            }))
+        });
+    }
+
+    /**
+     * Restore a wallpaper backup
+     */
+    async runRestore(options, positionals) {
+        const WallpaperManager = require('./wallpaperManager');
+        const manager = new WallpaperManager({
+            assumeYes: options.yes,
+            target: options.target,
+            dryRun: options.dryRun
+        });
+        const backups = manager.getBackups();
+
+        if (backups.length === 0) {
+            throw new InvalidInput(`No backups found in ${manager.backupDir}`);
+        }
+
+        const selector = positionals[0] || 'newest';
+        let backup;
+
+        if (selector === 'newest') {
+            backup = backups[0];
+        } else if (/^\d+$/.test(selector)) {
+            backup = backups[parseInt(selector, 10) - 1];
+        } else {
+            backup = backups.find(entry => entry.name === selector);
+        }
+
+        if (!backup) {
+            throw new InvalidInput(`Backup not found: ${selector} (see "${BIN} list")`);
+        }
+
+        this.requireSudo(options);
+
+        const restored = await manager.restoreBackup(backup);
+        if (!restored) {
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Refresh a static wallpaper
+     */
+    async runRefresh(options) {
+        const WallpaperRefresher = require('../refresh-wallpaper');
+        await new WallpaperRefresher({ dryRun: options.dryRun }).run();
+    }
+
+    /**
+     * Fix permissions of generated files
+     */
+    async runCleanup() {
+        const CleanupUtility = require('../cleanup');
+        await new CleanupUtility().run();
+    }
+
+    /**
+     * Diagnose the environment without changing anything
+     */
+    async runDoctor() {
+        logger.header('Doctor');
+
+        dependencyChecker.checkNodeVersion();
+
+        if (systemPaths.isSandboxed()) {
+            logger.info('🧪 Running in a sandbox - sudo is not needed');
+        } else if (!dependencyChecker.checkSudoPrivileges()) {
+            logger.warning('🔐 Not running with sudo - install, restore and refresh need elevated privileges');
+        }
+
+        await dependencyChecker.checkSystemResources();
+
+        const results = await dependencyChecker.checkAllDependencies();
+        const missing = results.filter(result => !result.available);
+
+        logger.header('Wallpaper Directory');
+
+        const WallpaperManager = require('./wallpaperManager');
+        const manager = new WallpaperManager();
+
+        if (!fs.existsSync(manager.customerDir)) {
+            logger.error(`❌ Customer directory not found: ${manager.customerDir}`);
+            logger.info('This usually means macOS wallpaper system is not initialized');
+        } else {
+            logger.success(`✅ Customer directory found: ${manager.customerDir}`);
+            logger.stats(`📊 Installed wallpapers: ${manager.getExistingWallpapers().length}`);
+        }
+
+        logger.stats(`📊 Wallpaper backups: ${manager.getBackups().length}`);
+
+        logger.event('doctor', {
+            sudo: dependencyChecker.checkSudoPrivileges(),
+            root: systemPaths.root,
+            dependencies: results.map(result => ({ name: result.name, available: result.available, version: result.version || null })),
+            customerDir: manager.customerDir,
+            customerDirExists: fs.existsSync(manager.customerDir),
+            ready: missing.length === 0
+        });
+
+        if (missing.length > 0) {
+            logger.error(`❌ Missing ${missing.length} required dependencies`);
+            process.exitCode = 1;
+        } else {
+            logger.success('✅ Everything looks ready to race!');
+        }
+    }
+
+    /**
+     * Print the effective configuration with the source of every value
+     */
+    async runConfig(options, positionals) {
+        const action = positionals[0] || 'show';
+
+        if (action !== 'show') {
+            throw new InvalidInput(`Unknown config action: ${action} (expected "show")`);
+        }
+
+        logger.header('Config Files');
+        const files = userConfig.getSearchPaths().map(filePath => ({
+            path: filePath,
+            loaded: userConfig.files.includes(filePath)
+        }));
+        files.forEach(file => {
+            logger.file(`📁 ${file.path}${file.loaded ? '' : ' (not found)'}`);
+        });
+
+        logger.header('Effective Configuration');
+        const entries = userConfig.describe();
+        const width = Math.max(...entries.map(entry => entry.key.length));
+        entries.forEach(entry => {
+            logger.print(`  ${entry.key.padEnd(width)}  ${JSON.stringify(entry.value)}  (${entry.source})`);
+        });
+        logger.newline();
+
+        logger.event('config', { files, values: entries });
+    }
+
+    /**
+     * Display global usage information
+     */
+    displayUsage() {
+        logger.info('🎬 macOS Live Video Wallpaper Setter');
+        logger.info('═══════════════════════════════════════');
+        logger.info('');
+        logger.info('📋 Usage:');
+        logger.info(`   ${BIN} <command> [options]`);
+        logger.info(`   ${BIN} [url] [options]         (same as "set")`);
+        logger.info('   node index.js <command> [options]                (from a checkout)');
+        logger.info('');
+        logger.info('🧭 Commands:');
+        Object.keys(COMMANDS).forEach(name => {
+            logger.info(`   ${name.padEnd(10)} ${COMMANDS[name].summary}`);
+        });
+        logger.info('');
+        logger.info(`💡 Run "${BIN} <command> --help" for command options`);
+        logger.info('');
+        logger.info('💡 Tips:');
+        logger.info('   • Use sudo for automatic wallpaper installation');
+        logger.info('   • Videos are converted to 4K 60fps HEVC .mov format (--profile battery-saver for 1440p 30fps)');
+        logger.info('   • Original files are cleaned up after conversion');
+        logger.info('   • Run cleanup if files require sudo to delete');
+        logger.info('   • Supports every site yt-dlp supports, plus direct MP4 and HLS (.m3u8) links');
+        logger.info('');
+    }
+
+    /**
+     * Display help for a single command
+     */
+    displayCommandHelp(name) {
+        const command = COMMANDS[name];
+
+        logger.info(`🎬 ${BIN} ${name} - ${command.summary}`);
+        logger.info('');
+        logger.info('📋 Usage:');
+        logger.info(`   ${BIN} ${name} ${command.usage}`);
+        logger.info('');
+        logger.info('⚙️  Options:');
+        CliOptions.describe(CliOptions.pick(command.options)).forEach(({ flag, description }) => {
+            logger.info(`   ${flag.padEnd(34)} ${description}`);
+        });
+        logger.info('');
+        logger.info('📝 Examples:');
+        command.examples.forEach(example => logger.info(`   ${example}`));
+        logger.info('');
+    }
+}
+
+CommandLineInterface.COMMANDS = COMMANDS;
+
+module.exports = CommandLineInterface;
@@ -0,0 +1,151 @@
+/**
+ * Command line option parsing shared by all subcommands
+ */
+
+const { InvalidInput } = require('./errors');
+
+// Every option known to the CLI; each command picks the ones it accepts
+const OPTION_DEFINITIONS = {
+    help: { type: 'boolean', alias: 'h', description: 'Show usage information' },
+    cleanup: { type: 'boolean', description: 'Fix permissions of generated files (same as the cleanup command)' },
+    yes: { type: 'boolean', alias: 'y', description: 'Answer yes to every confirmation prompt' },
+    install: { type: 'boolean', default: true, description: 'Skip wallpaper installation (download and convert only)' },
+    target: { type: 'string', description: 'Wallpaper to replace: asset name, list index (1-based) or "newest"' },
+    root: { type: 'string', description: 'Sandbox root: read and write system paths under this directory (same as MLVW_ROOT)' },
+    'output-dir': { type: 'string', description: 'Directory for downloaded and converted videos' },
+    batch: { type: 'string', description: 'Download and convert every URL from a file, stdin (-) or a playlist URL' },
+    profile: { type: 'string', description: 'Encoding profile: max-quality, balanced, battery-saver, archival or one from your config' },
+    fit: { type: 'string', description: 'Framing of sources that are not 16:9: crop, smart-crop, pad, blur or stretch' },
+    'focal-point': { type: 'string', description: 'Point kept in view by --fit smart-crop, as x,y from 0 to 1 (e.g. 0.5,0.3)' },
+    'delete-source': { type: 'boolean', description: 'Delete the source MP4 after a successful conversion' },
+    'dry-run': { type: 'boolean', description: 'Print every command and file operation without executing it' },
+    'refresh-metadata': { type: 'boolean', description: 'Ask yt-dlp for the video metadata even when it is cached' },
+    'explain-formats': { type: 'boolean', description: 'Show why each video format was accepted, rejected or ranked by the format policy' },
+    'pick-format': { type: 'boolean', description: 'List every video and audio format and choose which ones to download' },
+    'video-format': { type: 'string', description: 'yt-dlp format ID of the video to download instead of the recommended one' },
+    'audio-format': { type: 'string', description: 'yt-dlp format ID of the audio to download instead of the recommended one' },
+    json: { type: 'boolean', description: 'Write machine-readable NDJSON events to stdout (human output goes to stderr)' },
+    quiet: { type: 'boolean', alias: 'q', description: 'Only show warnings and errors' },
+    verbose: { type: 'boolean', alias: 'v', description: 'Also show the commands being run and extra details' },
+    debug: { type: 'boolean', description: 'Also show the raw yt-dlp and ffmpeg output' },
+    plain: { type: 'boolean', description: 'Plain output for screen readers and logs: no colors, emoji or box drawing (same as LOGGING.plain)' }
+};
+
+class CliOptions {
+    /**
+     * Convert a kebab-case option name to camelCase
+     */
+    static toKey(name) {
+        return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    /**
+     * Find option definition by long name or alias
+     */
+    static findDefinition(name, definitions) {
+        if (definitions[name]) {
+            return { name, definition: definitions[name] };
+        }
+
+        const aliased = Object.keys(definitions).find(key => definitions[key].alias === name);
+        return aliased ? { name: aliased, definition: definitions[aliased] } : null;
+    }
+
+    /**
+     * Get the definitions for a list of option names
+     */
+    static pick(names) {
+        return names.reduce((definitions, name) => {
+            definitions[name] = OPTION_DEFINITIONS[name];
+            return definitions;
+        }, {});
+    }
+
+    /**
+     * Parse argv into options and positional arguments
+     */
+    static parse(argv, definitions = OPTION_DEFINITIONS) {
+        const options = {};
+        const positionals = [];
+
+        // Apply defaults first
+        Object.keys(definitions).forEach(name => {
+            const definition = definitions[name];
+            options[this.toKey(name)] = definition.default !== undefined
+                ? definition.default
+                : (definition.type === 'boolean' ? false : null);
+        });
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+
+            if (arg === '--') {
+                positionals.push(...argv.slice(i + 1));
+                break;
+            }
+
+            if (!arg.startsWith('-') || arg === '-') {
+                positionals.push(arg);
+                continue;
+            }
+
+            const isLong = arg.startsWith('--');
+            const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+            let match = this.findDefinition(rawName, definitions);
+            let negated = false;
+
+            // Support --no-<flag> for boolean options
+            if (!match && isLong && rawName.startsWith('no-')) {
+                match = this.findDefinition(rawName.slice(3), definitions);
+                negated = Boolean(match && match.definition.type === 'boolean');
+                if (!negated) match = null;
+            }
+
+            if (!match) {
+                throw new InvalidInput(`Unknown option: ${arg}`);
+            }
+
+            const key = this.toKey(match.name);
+
+            if (match.definition.type === 'boolean') {
+                if (inlineValue !== undefined) {
+                    throw new InvalidInput(`Option --${match.name} does not take a value`);
+                }
+                options[key] = !negated;
+                continue;
+            }
+
+            let value = inlineValue;
+            if (value === undefined) {
+                value = argv[i + 1];
+                i++;
+            }
+
+            if (value === undefined || value === '') {
+                throw new InvalidInput(`Option --${match.name} requires a value`);
+            }
+
+            options[key] = value;
+        }
+
+        return { options, positionals };
+    }
+
+    /**
+     * Describe options for usage output
+     */
+    static describe(definitions = OPTION_DEFINITIONS) {
+        return Object.keys(definitions).map(name => {
+            const definition = definitions[name];
+            const alias = definition.alias ? `-${definition.alias}, ` : '';
+            const value = definition.type === 'string' ? ' <value>' : '';
+            // Booleans that default to true are documented by their negated form
+            const flagName = definition.type === 'boolean' && definition.default === true ? `no-${name}` : name;
+            return { flag: `${alias}--${flagName}${value}`, description: definition.description };
+        });
+    }
+}
+
+CliOptions.OPTION_DEFINITIONS = OPTION_DEFINITIONS;
+
+module.exports = CliOptions;
@@ -0,0 +1,200 @@
+/**
+ * Safe execution of external commands
+ *
+ * Every child process of the app goes through run(): a command gets an
+ * argument array and never a shell, so paths and AppleScript containing quotes
+ * pass through unchanged. Each run has a timeout, captures stdout and stderr,
+ * and ends in one of the STATUS values below. Failures reject with a typed
+ * error from ./errors that carries the result as `error.result`.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger');
+const Utils = require('./utils');
+const { WallpaperError, fromSpawnError } = require('./errors');
+
+// How a command ended
+const STATUS = {
+    OK: 'ok',               // Exit code 0
+    FAILED: 'failed',       // Non-zero exit code
+    TIMEOUT: 'timeout',     // Killed after its timeout
+    KILLED: 'killed',       // Ended by a signal from elsewhere, e.g. a cancelled download
+    NOT_FOUND: 'not_found', // Not installed or not in PATH
+    DENIED: 'denied',       // Not allowed to run
+    ERROR: 'error'          // Could not be started for another reason
+};
+
+// Time a timed out command gets between SIGTERM and SIGKILL
+const KILL_GRACE_PERIOD = 5000;
+
+class CommandRunner {
+    constructor() {
+        this.STATUS = STATUS;
+    }
+
+    /**
+     * Run a command to completion
+     *
+     * @param {string} command - Executable, looked up in PATH
+     * @param {string[]} args - Arguments, passed as they are
+     * @param {Object} options
+     * @param {number} options.timeout - Milliseconds before the command is killed (default COMMAND_SETTINGS.timeout, 0 for none)
+     * @param {Function} options.onStdout - Called with every stdout chunk as text
+     * @param {Function} options.onStderr - Called with every stderr chunk as text
+     * @param {Function} options.onSpawn - Called with the child process, e.g. to cancel it later
+     * @param {boolean} options.logStderr - Log stderr as tool output at debug level (default true)
+     * @param {boolean} options.allowFailure - Resolve with the result instead of rejecting when the command fails
+     * @param {Function} options.toError - Build the error for a failed run from its result (spawn failures always use fromSpawnError)
+     * @param {string} options.cwd - Working directory
+     * @returns {Promise<Object>} { command, args, status, exitCode, signal, stdout, stderr, seconds, description, message }
+     */
+    run(command, args = [], options = {}) {
+        const name = path.basename(command);
+        const timeout = options.timeout === undefined ? CONFIG.COMMAND_SETTINGS.timeout : options.timeout;
+        const startTime = Date.now();
+
+        logger.verbose(`Run: ${Utils.formatCommand(command, args)}`);
+
+        return new Promise((resolve, reject) => {
+            let stdout = '';
+            let stderr = '';
+            let timedOut = false;
+            let settled = false;
+            let timer = null;
+            let killTimer = null;
+
+            const child = spawn(command, args, {
+                cwd: options.cwd,
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            const finish = (exitCode, signal, spawnError = null) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                clearTimeout(killTimer);
+
+                const result = {
+                    command,
+                    args,
+                    status: this.classify({ exitCode, signal, timedOut, spawnError }),
+                    exitCode,
+                    signal,
+                    stdout,
+                    stderr,
+                    seconds: (Date.now() - startTime) / 1000
+                };
+                result.description = this.describe(result, { timeout, spawnError });
+                result.message = `${name} ${result.description}`;
+
+                logger.debug(`[${name}] ${result.status} after ${result.seconds.toFixed(1)}s`);
+
+                if (result.status === STATUS.OK || options.allowFailure) {
+                    resolve(result);
+                    return;
+                }
+
+                const error = spawnError
+                    ? fromSpawnError(name, spawnError)
+                    : (options.toError ? options.toError(result) : new WallpaperError(result.message));
+                error.result = result;
+                reject(error);
+            };
+
+            child.stdout.on('data', (data) => {
+                const text = data.toString();
+                stdout += text;
+                if (options.onStdout) {
+                    options.onStdout(text);
+                }
+            });
+
+            child.stderr.on('data', (data) => {
+                const text = data.toString();
+                stderr += text;
+                if (options.logStderr !== false) {
+                    logger.toolOutput(name, text);
+                }
+                if (options.onStderr) {
+                    options.onStderr(text);
+                }
+            });
+
+            child.on('close', (code, signal) => finish(code, signal));
+            child.on('error', (error) => finish(null, null, error));
+
+            // A killed command's own children can keep the pipes, and so 'close', open
+            child.on('exit', (code, signal) => {
+                if (timedOut) {
+                    child.stdout.destroy();
+                    child.stderr.destroy();
+                    finish(code, signal);
+                }
+            });
+
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    logger.warning(`⏱️  ${name} did not finish within ${Utils.formatTime(timeout / 1000)} - stopping it`);
+                    child.kill('SIGTERM');
+                    killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_PERIOD);
+                }, timeout);
+            }
+
+            if (options.onSpawn) {
+                options.onSpawn(child);
+            }
+        });
+    }
+
+    /**
+     * Run a command and tell whether it succeeded; never rejects
+     */
+    async succeeds(command, args = [], options = {}) {
+        const result = await this.run(command, args, { ...options, allowFailure: true });
+        return result.status === STATUS.OK;
+    }
+
+    /**
+     * Classify how a command ended
+     */
+    classify({ exitCode, signal, timedOut, spawnError }) {
+        if (spawnError) {
+            if (spawnError.code === 'ENOENT') return STATUS.NOT_FOUND;
+            if (spawnError.code === 'EACCES' || spawnError.code === 'EPERM') return STATUS.DENIED;
+            return STATUS.ERROR;
+        }
+
+        if (timedOut) return STATUS.TIMEOUT;
+        if (exitCode === 0) return STATUS.OK;
+        if (exitCode === null && signal) return STATUS.KILLED;
+        return STATUS.FAILED;
+    }
+
+    /**
+     * Describe how a command ended, to follow its name, e.g. "failed with code 1"
+     */
+    describe(result, { timeout, spawnError }) {
+        switch (result.status) {
+            case STATUS.OK:
+                return 'succeeded';
+            case STATUS.TIMEOUT:
+                return `timed out after ${Utils.formatTime(timeout / 1000)}`;
+            case STATUS.KILLED:
+                return `was stopped by ${result.signal}`;
+            case STATUS.NOT_FOUND:
+                return 'is not installed or not in PATH';
+            case STATUS.DENIED:
+            case STATUS.ERROR:
+                return `could not be started: ${spawnError.message}`;
+            default:
+                return `failed with code ${result.exitCode}`;
+        }
+    }
+}
+
+module.exports = new CommandRunner();
@@ -1,5 +1,8 @@
 /**
  * Configuration and constants for the macOS Live Video Wallpaper Setter
+ *
+ * These are the defaults; user config files and MLVW_* environment variables
+ * are merged over them at startup (see userConfig.js).
  */
 
 const path = require('path');
@@ -8,13 +11,26 @@ const CONFIG = {
     // Output directory for downloaded videos
     OUTPUT_DIR: path.join(process.cwd(), 'outputs'),
     
-    // Default video quality preferences
+    // Video format selection policy (see formatPolicy.js), --explain-formats shows its decisions
     VIDEO_PREFERENCES: {
-        preferredFormats: ['mp4', 'mkv', 'webm'],
-        preferredCodecs: ['h264', 'vp9', 'av01'],
-        maxResolution: 2160, // 4K
+        // Hard constraints: formats breaking one are never downloaded (0 = no limit)
+        preferredFormats: ['mp4', 'mkv', 'webm'], // Allowed containers, best first
+        maxResolution: 2160,  // Max height, 4K
+        minFps: 0,
+        maxFps: 0,
+        maxFilesize: 0,       // Bytes, the exact or approximate size yt-dlp reports
+        excludedCodecs: [],   // Codec families: h264, hevc, vp9, vp8, av1
+        // Preferences: the accepted format with the highest weighted score wins
+        preferredCodecs: ['h264', 'vp9', 'av1'], // Codec families, best first
         preferHighFps: true,
-        prefer60fps: true
+        prefer60fps: true,    // Frame rates above 60 rate no higher than 60
+        weights: {
+            resolution: 100,
+            fps: 20,
+            codec: 10,
+            container: 5,
+            bitrate: 1
+        }
     },
     
     // Audio quality preferences
@@ -36,30 +52,143 @@ const CONFIG = {
         convertToMov: true,
         optimizeForWallpaper: true,
         useHEVC: true,
-        targetFrameRate: 60,
-        targetResolution: '3840x2160'
+        encodingProfile: 'max-quality' // Key of ENCODING_PROFILES, --profile overrides it
+    },
+
+    // HEVC encoding profiles (resolution and frame rate null = keep the source)
+    ENCODING_PROFILES: {
+        'max-quality': {
+            description: '4K 60fps 10-bit at 50 Mbps, hardware encoder with software fallback',
+            resolution: '3840x2160',
+            frameRate: 60,
+            encoder: 'auto', // auto | hevc_videotoolbox | libx265
+            bitrate: '50M',
+            maxrate: '60M',
+            bufsize: '100M',
+            crf: null, // libx265 only, used instead of the bitrate
+            pixelFormat: 'yuv420p10le',
+            preset: 'medium' // libx265 only
+        },
+        balanced: {
+            description: '4K 30fps 10-bit at 25 Mbps',
+            resolution: '3840x2160',
+            frameRate: 30,
+            encoder: 'auto',
+            bitrate: '25M',
+            maxrate: '30M',
+            bufsize: '50M',
+            crf: null,
+            pixelFormat: 'yuv420p10le',
+            preset: 'medium'
+        },
+        'battery-saver': {
+            description: '1440p 30fps 8-bit at 12 Mbps for laptops',
+            resolution: '2560x1440',
+            frameRate: 30,
+            encoder: 'auto',
+            bitrate: '12M',
+            maxrate: '15M',
+            bufsize: '24M',
+            crf: null,
+            pixelFormat: 'yuv420p',
+            preset: 'fast'
+        },
+        archival: {
+            description: 'Source resolution and frame rate, software x265 at CRF 18 (slow)',
+            resolution: null,
+            frameRate: null,
+            encoder: 'libx265',
+            bitrate: null,
+            maxrate: null,
+            bufsize: null,
+            crf: 18,
+            pixelFormat: 'yuv420p10le',
+            preset: 'slow'
+        }
+    },
+
+    // Framing of sources that aren't the shape of the profile resolution (see framing.js), --fit overrides the mode
+    FIT_SETTINGS: {
+        mode: 'crop',            // stretch, crop (around the center), smart-crop (around focalPoint), pad or blur
+        focalPoint: [0.5, 0.5],  // smart-crop: x and y of the point kept in view, 0-1 from the top left
+        padColor: 'black',       // pad: ffmpeg color name or #RRGGBB
+        blurStrength: 20,        // blur: radius of the background blur
+        maxLostShare: 0.3        // Warn when cropping cuts off more than this share of the frame (0.3 = 30%)
     },
 
     // Wallpaper-specific settings
     WALLPAPER_SETTINGS: {
         customerDir: '/Library/Application Support/com.apple.idleassetsd/Customer',
         targetSubDir: '4KSDR240FPS',
+        daemonPlist: '/System/Library/LaunchDaemons/com.apple.idleassetsd.plist',
+        wallpaperStore: 'Library/Application Support/com.apple.wallpaper/Store/Index.plist', // Relative to the user's home
         backupDir: 'wallpaper_backups',
         requiredFormat: '.mov',
         minRecommendedResolution: 2160, // 4K
         minRecommendedDuration: 60, // 1 minute in seconds
-        maxRetryAttempts: 30,
+        maxRetryAttempts: 30, // Checks for a downloaded wallpaper before giving up
         retryInterval: 1000
     },
     
+    // Local video files used as input in place of a URL
+    LOCAL_FILE_SETTINGS: {
+        supportedExtensions: ['.mp4', '.mkv', '.webm', '.mov'],
+        requiredDependencies: ['ffmpeg'] // ffprobe ships with ffmpeg, yt-dlp isn't needed
+    },
+    
+    // Resumable job settings
+    JOB_SETTINGS: {
+        journalDir: 'jobs' // Relative to OUTPUT_DIR, one JSON journal per job
+    },
+    
+    // yt-dlp metadata cache (see metadataCache.js), --refresh-metadata bypasses it
+    METADATA_CACHE: {
+        enabled: true,
+        cacheDir: 'metadata', // Relative to OUTPUT_DIR, one JSON file per video
+        ttlHours: 24          // Older metadata is fetched again, and only used when yt-dlp can't be reached
+    },
+    
+    // Per-run log files (see runLog.js)
+    LOG_SETTINGS: {
+        enabled: true,
+        logDir: 'logs',                   // Relative to OUTPUT_DIR, one log file per run
+        maxFiles: 30,                     // Oldest logs beyond this count are deleted
+        maxTotalSize: 50 * 1024 * 1024    // Bytes; oldest logs are deleted until the rest fit
+    },
+    
+    // External commands (see commandRunner.js); downloads and encodes never time out
+    COMMAND_SETTINGS: {
+        timeout: 60 * 1000,            // Milliseconds for short commands (osascript, launchctl, ffprobe, version checks)
+        metadataTimeout: 2 * 60 * 1000 // Milliseconds for yt-dlp metadata lookups
+    },
+    
+    // Disk space and encode time estimate before a job starts (see preflight.js)
+    PREFLIGHT_SETTINGS: {
+        enabled: true,
+        safetyMargin: 0.1, // Extra space required on top of the estimate (0.1 = 10%)
+        encodeSpeed: {     // Times real time when encoding 4K 60fps; other sizes scale by pixel rate
+            hevc_videotoolbox: 2,
+            libx265: 0.15
+        }
+    },
+    
+    // Batch processing settings
+    BATCH_SETTINGS: {
+        archiveFile: 'batch_archive.txt' // Relative to OUTPUT_DIR, one "<extractor> <id>" per line
+    },
+    
     // Logging configuration
     LOGGING: {
-        level: process.env.LOG_LEVEL || 'info',
+        level: process.env.LOG_LEVEL || 'info', // error, warning, info, verbose or debug
+        plain: false,         // No colors, emoji or box drawing; line-based progress (screen readers)
+        progressInterval: 10, // Seconds between progress lines when they can't be redrawn in place
         colors: {
             info: '\x1b[36m',    // Cyan
             success: '\x1b[32m', // Green
             warning: '\x1b[33m', // Yellow
             error: '\x1b[31m',   // Red
+            verbose: '\x1b[37m', // White
+            debug: '\x1b[90m',   // Gray
             reset: '\x1b[0m'     // Reset
         },
         symbols: {
@@ -76,7 +205,10 @@ const CONFIG = {
             wallpaper: '🖼️',
             backup: '💾',
             install: '🔧',
-            convert: '🔄'
+            convert: '🔄',
+            plan: '📝',
+            verbose: '💬',
+            debug: '🐛'
         }
     },
     
@@ -99,7 +231,9 @@ const CONFIG = {
         maxTitleLength: 50,
         invalidChars: /[^\w\s-]/g,
         spaceReplacement: '_',
-        template: '{title}_{quality}.{ext}'
+        // Tokens: {title} {id} {extractor} {uploader} {upload_date} {quality} {height} {width} {fps} {vcodec} {profile} {ext}
+        template: '{title}_{quality}.{ext}',
+        onCollision: 'skip' // skip (reuse the existing file), overwrite, suffix (_1, _2, ...) or date (_YYYYMMDD-HHMMSS)
     }
 };
 
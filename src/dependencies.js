@@ -2,56 +2,24 @@
  * Environment and dependency checking
  */
 
-const { spawn } = require('child_process');
 const CONFIG = require('./config');
 const logger = require('./logger');
+const Utils = require('./utils');
+const systemPaths = require('./systemPaths');
+const commandRunner = require('./commandRunner');
+const { DependencyMissing, PermissionDenied } = require('./errors');
 
 class DependencyChecker {
     constructor() {
         this.dependencies = CONFIG.DEPENDENCIES;
     }
 
-    /**
-     * Run a command and return promise
-     */
-    runCommand(command, args = []) {
-        return new Promise((resolve, reject) => {
-            const process = spawn(command, args, { 
-                stdio: 'pipe',
-                shell: true 
-            });
-            
-            let stdout = '';
-            let stderr = '';
-            
-            process.stdout.on('data', (data) => {
-                stdout += data.toString();
-            });
-            
-            process.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
-            
-            process.on('close', (code) => {
-                if (code === 0) {
-                    resolve({ stdout, stderr, code });
-                } else {
-                    reject(new Error(`Command '${command}' failed with code ${code}: ${stderr}`));
-                }
-            });
-            
-            process.on('error', (err) => {
-                reject(err);
-            });
-        });
-    }
-
     /**
      * Check if a single dependency is available
      */
     async checkDependency(name, config) {
         try {
-            const result = await this.runCommand(config.command, config.args);
+            const result = await commandRunner.run(config.command, config.args);
             
             // Extract version from output if possible
             let version = 'unknown';
@@ -78,13 +46,12 @@ class DependencyChecker {
     }
 
     /**
-     * Check all dependencies
+     * Check all dependencies (or only the named ones)
      */
-    async checkAllDependencies() {
+    async checkAllDependencies(dependencyNames = Object.keys(this.dependencies)) {
         logger.header('Checking Dependencies');
         
         const results = [];
-        const dependencyNames = Object.keys(this.dependencies);
         
         for (const name of dependencyNames) {
             logger.info(`Checking ${name}...`);
@@ -105,8 +72,8 @@ class DependencyChecker {
     /**
      * Validate all dependencies are available
      */
-    async validateEnvironment() {
-        const results = await this.checkAllDependencies();
+    async validateEnvironment(dependencyNames) {
+        const results = await this.checkAllDependencies(dependencyNames);
         const missing = results.filter(r => !r.available);
         
         if (missing.length > 0) {
@@ -115,7 +82,9 @@ class DependencyChecker {
                 logger.error(`  - ${dep.name}: ${dep.installHint}`);
             });
             
-            throw new Error(`Missing ${missing.length} required dependencies. Please install them and try again.`);
+            throw new DependencyMissing(
+                `Missing ${missing.length} required dependencies (${missing.map(dep => dep.name).join(', ')}). Please install them and try again.`
+            );
         }
         
         logger.success('All dependencies are available!');
@@ -131,8 +100,8 @@ class DependencyChecker {
 
         logger.info(`Node.js version: ${nodeVersion}`);
 
-        if (majorVersion < 14) {
-            logger.warning('Node.js version is older than 14. Some features may not work correctly.');
+        if (majorVersion < 18) {
+            logger.warning('Node.js version is older than 18. Some features may not work correctly.');
             return false;
         }
 
@@ -168,13 +137,18 @@ class DependencyChecker {
         logger.info(`   sudo ${process.argv.join(' ')}`);
         logger.info('');
         logger.info('💡 This is required to:');
-        logger.info('   • Access /Library/Application Support/com.apple.idleassetsd/Customer');
+        logger.info(`   • Access ${systemPaths.getCustomerDir()}`);
         logger.info('   • Install wallpaper files in the system directory');
         logger.info('   • Create backups of existing wallpapers');
         logger.info('');
         logger.info('🔒 Note: Your downloads will be saved to the outputs/ directory with proper ownership');
 
-        throw new Error('Administrator privileges required. Please restart with sudo.');
+        throw new PermissionDenied('Administrator privileges required. Please restart with sudo.', {
+            hint: {
+                message: 'Restart the same command with sudo',
+                commands: [`sudo ${process.argv.join(' ')}`]
+            }
+        });
     }
 
     /**
@@ -191,6 +165,20 @@ class DependencyChecker {
         } catch (error) {
             logger.warning(`Output directory not accessible: ${error.message}`);
         }
+
+        // Free space where videos and wallpapers are written; every job checks its own needs (see preflight.js)
+        const outputVolume = await Utils.getVolumeInfo(CONFIG.OUTPUT_DIR);
+        const wallpaperVolume = await Utils.getVolumeInfo(systemPaths.getWallpaperDir());
+
+        if (outputVolume) {
+            logger.info(`Free space for outputs: ${Utils.formatFileSize(outputVolume.free)}`);
+        } else {
+            logger.warning('Could not read free space of the output directory volume');
+        }
+
+        if (wallpaperVolume && (!outputVolume || wallpaperVolume.device !== outputVolume.device)) {
+            logger.info(`Free space for wallpapers: ${Utils.formatFileSize(wallpaperVolume.free)}`);
+        }
         
         // Check memory (basic)
         const totalMem = Math.round(require('os').totalmem() / 1024 / 1024 / 1024);
@@ -203,13 +191,19 @@ class DependencyChecker {
 
     /**
      * Complete environment check including sudo privileges
+     *
+     * @param {Object} options
+     * @param {boolean} options.requireSudo - Fail when not running with elevated privileges
+     * @param {string[]} options.dependencies - Dependencies to check (default: all)
      */
-    async performFullCheck() {
+    async performFullCheck(options = {}) {
+        const { requireSudo = true, dependencies } = options;
+
         try {
             logger.header('Environment Check');
 
             // Check sudo privileges first
-            if (!this.checkSudoPrivileges()) {
+            if (!this.checkSudoPrivileges() && requireSudo) {
                 this.promptForSudo();
             }
 
@@ -220,7 +214,7 @@ class DependencyChecker {
             await this.checkSystemResources();
 
             // Check dependencies
-            await this.validateEnvironment();
+            await this.validateEnvironment(dependencies);
 
             logger.success('Environment check completed successfully!');
             return true;
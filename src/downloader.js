@@ -2,29 +2,132 @@
  * Video download and processing functionality for wallpaper setup
  */
 
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const CONFIG = require('./config');
 const logger = require('./logger');
 const Utils = require('./utils');
+const progressRenderer = require('./progressRenderer');
+const commandRunner = require('./commandRunner');
+const { resolveProfile, describeProfile } = require('./encodingProfiles');
+const { estimateJob, reportEstimate, checkDiskSpace } = require('./preflight');
+const { resolveFit, getDisplaySize, planFraming, describeFraming } = require('./framing');
+const {
+    EncodeFailed,
+    VideoUnavailable,
+    DependencyMissing,
+    fromYtDlpOutput,
+    fromFsError,
+    withContext,
+    signalExitCode
+} = require('./errors');
+
+/**
+ * Message followed by the last lines of a tool's output, if it printed any
+ */
+function withOutputTail(message, output) {
+    const tail = Utils.lastLines(output);
+    return tail ? `${message}:\n   ${tail.split('\n').join('\n   ')}` : message;
+}
 
 class VideoDownloader {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Print commands and file operations without executing them
+     * @param {boolean} options.handleSignals - Kill the download and exit on SIGINT/SIGTERM (default true)
+     * @param {JobJournal} options.journal - Journal recording completed stages for resume
+     * @param {boolean} options.install - The video will be installed, so the disk space check includes the backup and installed copy
+     */
+    constructor(options = {}) {
+        this.dryRun = Boolean(options.dryRun);
+        this.handleSignals = options.handleSignals !== false;
+        this.journal = options.journal || null;
+        this.install = Boolean(options.install);
         this.downloadSettings = CONFIG.DOWNLOAD_SETTINGS;
         this.isDownloading = false;
         this.currentProcess = null;
+        this.downloadTask = null;
+        this.cleanupHandlersRegistered = false;
     }
 
     /**
-     * Create output filename
+     * Create output filename from FILE_NAMING.template
      */
     createOutputFilename(info, videoFormat) {
-        const quality = `${videoFormat.height}p_${videoFormat.fps || 30}fps`;
-        const filename = Utils.createSafeFilename(info.title, quality, this.downloadSettings.mergeOutputFormat);
+        const quality = `${videoFormat.height ? `${videoFormat.height}p` : 'source'}_${videoFormat.fps || 30}fps`;
+        const filename = Utils.createSafeFilename({
+            title: info.title,
+            id: info.id,
+            extractor: (info.extractor_key || info.extractor || '').toLowerCase(),
+            uploader: info.uploader,
+            upload_date: info.upload_date,
+            quality,
+            height: videoFormat.height,
+            width: videoFormat.width,
+            fps: videoFormat.fps ? Math.round(videoFormat.fps) : 30,
+            // avc1.640028 -> avc1
+            vcodec: videoFormat.vcodec ? videoFormat.vcodec.split('.')[0] : null,
+            profile: CONFIG.DOWNLOAD_SETTINGS.encodingProfile,
+            ext: this.downloadSettings.mergeOutputFormat
+        });
+
+        // Don't create the output directory in dry-run mode
+        if (this.dryRun) {
+            return path.join(CONFIG.OUTPUT_DIR, filename);
+        }
+
         return Utils.getOutputPath(filename);
     }
 
+    /**
+     * Decide where to download to, applying FILE_NAMING.onCollision when a video of the same name exists
+     *
+     * @returns {{path: string, reuseExisting: boolean}} Download path, and whether an existing download or .mov there may be used
+     */
+    prepareOutputPath(analysis) {
+        // A download finished by an earlier attempt of this job is picked up whatever the policy
+        const downloaded = this.journal && this.journal.getStage('downloaded');
+        if (downloaded && fs.existsSync(downloaded.path)) {
+            return { path: downloaded.path, reuseExisting: true };
+        }
+
+        const policy = CONFIG.FILE_NAMING.onCollision;
+        const basePath = this.createOutputFilename(analysis.info, analysis.videoFormat);
+        const target = Utils.resolveCollision(basePath, { policy, relatedExtensions: ['.mov'] });
+
+        if (target.collision && policy === 'overwrite') {
+            this.removeExistingOutput(target.path);
+            return { path: target.path, reuseExisting: false };
+        }
+
+        if (target.path !== basePath) {
+            logger.warning(`File exists, using: ${path.basename(target.path)}`);
+        }
+
+        return { path: target.path, reuseExisting: true };
+    }
+
+    /**
+     * Delete an earlier download and its .mov so they can be replaced
+     */
+    removeExistingOutput(outputPath) {
+        [outputPath, outputPath.replace(/\.[^.]+$/, '.mov')]
+            .filter(filePath => fs.existsSync(filePath))
+            .forEach(filePath => {
+                if (this.dryRun) {
+                    logger.plan(`Delete existing file to overwrite it: ${filePath}`);
+                    return;
+                }
+
+                try {
+                    fs.unlinkSync(filePath);
+                    logger.warning(`♻️  Overwriting existing file: ${path.basename(filePath)}`);
+                } catch (error) {
+                    throw fromFsError(error, `Could not overwrite ${filePath}: ${error.message}`);
+                }
+            });
+    }
+
     /**
      * Check if video already exists in outputs (prioritize .mov files)
      */
@@ -50,6 +153,79 @@ class VideoDownloader {
         return { exists: false, path: null, needsConversion: false };
     }
 
+    /**
+     * Record a completed stage in the job journal, if there is one
+     */
+    async recordStage(stage, filePath) {
+        if (this.journal) {
+            await this.journal.record(stage, filePath);
+        }
+    }
+
+    /**
+     * Mark a stage as started in the job journal, if there is one
+     */
+    async beginStage(stage, filePath) {
+        if (this.journal) {
+            await this.journal.begin(stage, filePath);
+        }
+    }
+
+    /**
+     * Check if the journal has a verified stage with this output file
+     */
+    async canReuseStage(stage, filePath) {
+        const record = this.journal && this.journal.getStage(stage);
+        return Boolean(record && record.path === filePath && await this.journal.isStageValid(stage));
+    }
+
+    /**
+     * Path of a verified conversion from an earlier attempt of this job
+     */
+    async getResumedConversion() {
+        if (!this.journal || !await this.journal.isStageValid('converted')) {
+            return null;
+        }
+
+        const converted = this.journal.getStage('converted');
+        logger.info(`⏭️  Resuming job: conversion already finished (${path.basename(converted.path)})`);
+        return converted.path;
+    }
+
+    /**
+     * Delete an output file the journal shows as started but never finished
+     */
+    discardIncompleteFile(stage, filePath) {
+        if (this.journal && this.journal.isPending(stage, filePath) && fs.existsSync(filePath)) {
+            logger.warning(`⚠️  Discarding incomplete file from an interrupted run: ${path.basename(filePath)}`);
+            fs.unlinkSync(filePath);
+        }
+    }
+
+    /**
+     * Estimate disk space and encode time, and stop before writing anything when the job won't fit
+     *
+     * @param {Object} analysis
+     * @param {Object} options
+     * @param {string} options.outputDir - Directory of the output and temporary files
+     * @param {string} options.sourcePath - Source already on disk, so nothing is downloaded
+     */
+    async runPreflight(analysis, options = {}) {
+        if (!CONFIG.PREFLIGHT_SETTINGS.enabled) {
+            return null;
+        }
+
+        const estimate = estimateJob(analysis, {
+            ...options,
+            skipExtend: Boolean(this.journal && this.journal.hasStage('extended')),
+            install: this.install
+        });
+
+        reportEstimate(estimate);
+        await checkDiskSpace(estimate, { dryRun: this.dryRun });
+        return estimate;
+    }
+
     /**
      * Check video quality and warn if below 4K
      */
@@ -57,7 +233,9 @@ class VideoDownloader {
         const resolution = videoFormat.height;
         const minRecommended = CONFIG.WALLPAPER_SETTINGS.minRecommendedResolution;
 
-        if (resolution < minRecommended) {
+        if (!resolution) {
+            logger.info(`📊 The site doesn't report the resolution - check that it's at least ${minRecommended}p`);
+        } else if (resolution < minRecommended) {
             logger.warning(`⚠️  Video quality warning!`);
             logger.warning(`📊 Selected: ${resolution}p (${videoFormat.width}x${resolution})`);
             logger.warning(`🎯 Recommended: ${minRecommended}p for best wallpaper quality`);
@@ -71,75 +249,147 @@ class VideoDownloader {
      * Get video duration in seconds
      */
     async getVideoDuration(inputPath) {
-        return new Promise((resolve, reject) => {
-            const ffprobeProcess = spawn('ffprobe', [
-                '-v', 'quiet',
-                '-print_format', 'json',
-                '-show_format',
-                inputPath
-            ], { stdio: ['pipe', 'pipe', 'pipe'] });
-
-            let stdout = '';
-            let stderr = '';
-
-            ffprobeProcess.stdout.on('data', (data) => {
-                stdout += data.toString();
-            });
-
-            ffprobeProcess.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
+        const result = await commandRunner.run('ffprobe', [
+            '-v', 'quiet',
+            '-print_format', 'json',
+            '-show_format',
+            inputPath
+        ], {
+            toError: (failed) => new EncodeFailed(`ffprobe failed: ${failed.stderr || failed.message}`)
+        });
 
-            ffprobeProcess.on('close', (code) => {
-                if (code === 0) {
-                    try {
-                        const info = JSON.parse(stdout);
-                        const duration = parseFloat(info.format.duration);
-                        resolve(duration);
-                    } catch (error) {
-                        reject(new Error(`Failed to parse video duration: ${error.message}`));
-                    }
-                } else {
-                    reject(new Error(`ffprobe failed: ${stderr}`));
-                }
-            });
+        try {
+            const info = JSON.parse(result.stdout);
+            return parseFloat(info.format.duration);
+        } catch (error) {
+            throw new EncodeFailed(`Failed to parse video duration: ${error.message}`);
+        }
+    }
 
-            ffprobeProcess.on('error', (error) => {
-                reject(new Error(`ffprobe error: ${error.message}`));
-            });
+    /**
+     * Get the displayed size of a video using ffprobe
+     *
+     * @returns {Promise<{width: number, height: number, sar: number}|null>} null when the file has no readable video stream
+     */
+    async getVideoDimensions(inputPath) {
+        const result = await commandRunner.run('ffprobe', [
+            '-v', 'quiet',
+            '-print_format', 'json',
+            '-show_streams',
+            '-select_streams', 'v:0',
+            inputPath
+        ], {
+            toError: (failed) => new EncodeFailed(`ffprobe failed: ${failed.stderr || failed.message}`)
         });
+
+        try {
+            return getDisplaySize(JSON.parse(result.stdout).streams[0]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Plan how the source fills the profile resolution (see framing.js), warning when much of it is lost
+     *
+     * @param {string} inputPath
+     * @param {Object} profile - Resolved encoding profile
+     * @param {Object} sourceSize - Known { width, height }, used when the input doesn't exist yet (dry-run)
+     * @returns {Promise<Object|null>} Framing plan, null to scale without one
+     */
+    async planConversionFraming(inputPath, profile, sourceSize = null) {
+        if (!profile.resolution) {
+            return null;
+        }
+
+        const fit = resolveFit();
+        const source = this.dryRun && !fs.existsSync(inputPath)
+            ? (sourceSize && sourceSize.width && sourceSize.height ? { width: sourceSize.width, height: sourceSize.height, sar: 1 } : null)
+            : await this.getVideoDimensions(inputPath);
+
+        if (!source) {
+            if (this.dryRun) {
+                logger.plan('Aspect ratio unknown until download - the framing is chosen then');
+            } else {
+                logger.warning('⚠️  Could not read the video size - scaling without FIT_SETTINGS');
+            }
+            return null;
+        }
+
+        const framing = planFraming(source, profile.resolution, fit);
+        logger.info(`🖼️  Framing: ${describeFraming(framing)}`);
+
+        if (['crop', 'smart-crop'].includes(framing.mode) && framing.lostShare > fit.maxLostShare) {
+            logger.warning(`⚠️  ${framing.mode} cuts off ${Math.round(framing.lostShare * 100)}% of the frame (more than FIT_SETTINGS.maxLostShare ${Math.round(fit.maxLostShare * 100)}%)`);
+            logger.info('💡 --fit blur or --fit pad keep the whole frame');
+        } else if (framing.mode === 'stretch') {
+            logger.warning('⚠️  stretch distorts the video to fill the screen; --fit crop, pad or blur keep its shape');
+        }
+
+        return framing;
     }
 
     /**
      * Convert video to .mov format for wallpaper compatibility using HEVC
+     *
+     * @param {string} inputPath
+     * @param {Object} options
+     * @param {string} options.outputPath - Destination (default: input path with .mov extension)
+     * @param {boolean} options.keepSource - Keep the source file after conversion
+     * @param {number} options.duration - Known duration in seconds, used when the input doesn't exist yet (dry-run)
+     * @param {Object} options.sourceSize - Known { width, height }, used when the input doesn't exist yet (dry-run)
      */
-    async convertToMov(inputPath) {
-        const outputPath = inputPath.replace(/\.[^.]+$/, '.mov');
+    async convertToMov(inputPath, options = {}) {
+        const outputPath = options.outputPath || inputPath.replace(/\.[^.]+$/, '.mov');
+
+        // A .mov left behind by an interrupted conversion is not a finished video
+        this.discardIncompleteFile('converted', outputPath);
 
         if (fs.existsSync(outputPath)) {
             logger.success(`📁 HEVC .mov version already exists: ${path.basename(outputPath)}`);
             return outputPath;
         }
 
-        // Check video duration and extend if needed
-        const duration = await this.getVideoDuration(inputPath);
-        const minDuration = CONFIG.WALLPAPER_SETTINGS.minRecommendedDuration;
+        // Keep temporary files next to the output, not in the source folder
+        const extendedPath = outputPath.replace(/\.[^.]+$/, '_extended.mp4');
+        this.discardIncompleteFile('extended', extendedPath);
 
+        const minDuration = CONFIG.WALLPAPER_SETTINGS.minRecommendedDuration;
         let processedInputPath = inputPath;
 
-        if (duration < minDuration) {
-            logger.info(`⏱️  Video duration: ${Utils.formatTime(duration)} (${duration.toFixed(1)}s)`);
-            logger.info(`🔄 Extending video to minimum 3 minutes for better wallpaper experience...`);
-            processedInputPath = await this.extendVideo(inputPath, minDuration);
+        if (await this.canReuseStage('extended', extendedPath)) {
+            logger.info('⏭️  Resuming with the extended video from the earlier run');
+            processedInputPath = extendedPath;
         } else {
-            logger.info(`⏱️  Video duration: ${Utils.formatTime(duration)} - Perfect for wallpaper!`);
+            // Check video duration and extend if needed
+            const duration = this.dryRun && !fs.existsSync(inputPath)
+                ? options.duration
+                : await this.getVideoDuration(inputPath);
+
+            if (this.dryRun && !duration) {
+                logger.plan(`Duration unknown until download - videos shorter than ${Utils.formatTime(minDuration)} would be extended first`);
+            } else if (duration < minDuration) {
+                logger.info(`⏱️  Video duration: ${Utils.formatTime(duration)} (${duration.toFixed(1)}s)`);
+                logger.info(`🔄 Extending video to minimum 3 minutes for better wallpaper experience...`);
+                await this.beginStage('extended', extendedPath);
+                processedInputPath = await this.extendVideo(inputPath, minDuration, duration, extendedPath);
+                await this.recordStage('extended', processedInputPath);
+            } else {
+                logger.info(`⏱️  Video duration: ${Utils.formatTime(duration)} - Perfect for wallpaper!`);
+            }
         }
 
-        // Try hardware-accelerated HEVC first, fallback to software if needed
-        const convertedPath = await this.convertWithHEVC(processedInputPath, outputPath);
+        // Try hardware-accelerated HEVC first (unless the profile asks for libx265), fallback to software if needed
+        const profile = resolveProfile();
+        const framing = await this.planConversionFraming(inputPath, profile, options.sourceSize);
+        await this.beginStage('converted', outputPath);
+        const convertedPath = await this.convertWithHEVC(processedInputPath, outputPath, profile.encoder === 'libx265', profile, framing);
+        await this.recordStage('converted', convertedPath);
 
         // Clean up temporary extended file if created
-        if (processedInputPath !== inputPath) {
+        if (processedInputPath !== inputPath && this.dryRun) {
+            logger.plan(`Delete temporary file: ${processedInputPath}`);
+        } else if (processedInputPath !== inputPath) {
             try {
                 fs.unlinkSync(processedInputPath);
                 logger.info('🗑️  Cleaned up temporary extended video file');
@@ -149,76 +399,99 @@ class VideoDownloader {
         }
 
         // Clean up original MP4 file after successful conversion
-        await this.cleanupSourceFile(inputPath, convertedPath);
+        if (!options.keepSource) {
+            await this.cleanupSourceFile(inputPath, convertedPath);
+        }
 
         return convertedPath;
     }
 
+    /**
+     * Build FFmpeg arguments that loop a video up to the minimum duration
+     */
+    buildExtendArgs(inputPath, outputPath, minDuration) {
+        return [
+            '-stream_loop', '-1', // Loop indefinitely
+            '-i', inputPath,
+            '-t', minDuration.toString(), // Stop at minimum duration
+            '-c', 'copy', // Copy streams without re-encoding for speed
+            '-avoid_negative_ts', 'make_zero',
+            '-fflags', '+genpts', // Generate presentation timestamps
+            '-progress', 'pipe:1', // Enable progress output
+            '-y', // Overwrite output file
+            outputPath
+        ];
+    }
+
     /**
      * Extend video by looping it to reach minimum duration
      */
-    async extendVideo(inputPath, minDuration) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const originalDuration = await this.getVideoDuration(inputPath);
-                const outputPath = inputPath.replace(/\.[^.]+$/, '_extended.mp4');
-
-                // Calculate how many loops we need
-                const loopsNeeded = Math.ceil(minDuration / originalDuration);
-
-                logger.info(`🔄 Creating extended version by looping the video...`);
-                logger.info(`📊 Original: ${Utils.formatTime(originalDuration)} → Target: ${Utils.formatTime(minDuration)} (${loopsNeeded} loops)`);
-
-                // Use FFmpeg to loop the video
-                const args = [
-                    '-stream_loop', '-1', // Loop indefinitely
-                    '-i', inputPath,
-                    '-t', minDuration.toString(), // Stop at minimum duration
-                    '-c', 'copy', // Copy streams without re-encoding for speed
-                    '-avoid_negative_ts', 'make_zero',
-                    '-fflags', '+genpts', // Generate presentation timestamps
-                    '-y', // Overwrite output file
-                    outputPath
-                ];
+    async extendVideo(inputPath, minDuration, knownDuration = null, outputPath = inputPath.replace(/\.[^.]+$/, '_extended.mp4')) {
+        let originalDuration;
+        try {
+            originalDuration = knownDuration || await this.getVideoDuration(inputPath);
+        } catch (error) {
+            throw withContext(error, 'Failed to get original video duration');
+        }
 
-                const ffmpegProcess = spawn('ffmpeg', args, {
-                    stdio: ['pipe', 'pipe', 'pipe']
-                });
+        // Calculate how many loops we need
+        const loopsNeeded = Math.ceil(minDuration / originalDuration);
 
-                let stderr = '';
+        logger.info(`🔄 Creating extended version by looping the video...`);
+        logger.info(`📊 Original: ${Utils.formatTime(originalDuration)} → Target: ${Utils.formatTime(minDuration)} (${loopsNeeded} loops)`);
 
-                ffmpegProcess.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
+        // Use FFmpeg to loop the video
+        const args = this.buildExtendArgs(inputPath, outputPath, minDuration);
 
-                ffmpegProcess.on('close', (code) => {
-                    if (code === 0) {
-                        if (fs.existsSync(outputPath)) {
-                            const stats = fs.statSync(outputPath);
-                            logger.success(`✅ Video extended successfully: ${Utils.formatFileSize(stats.size)}`);
-                            logger.info(`🎬 Extended duration: ${Utils.formatTime(minDuration)}`);
-                            resolve(outputPath);
-                        } else {
-                            reject(new Error('Extended video file not found after processing'));
-                        }
-                    } else {
-                        reject(new Error(`Video extension failed with code ${code}: ${stderr}`));
-                    }
-                });
+        if (this.dryRun) {
+            logger.plan(`Run: ${Utils.formatCommand('ffmpeg', args)}`);
+            return outputPath;
+        }
 
-                ffmpegProcess.on('error', (error) => {
-                    reject(new Error(`FFmpeg extension error: ${error.message}`));
-                });
-            } catch (error) {
-                reject(new Error(`Failed to get original video duration: ${error.message}`));
-            }
+        const task = progressRenderer.start('extend', path.basename(outputPath), {
+            symbol: logger.symbols.convert,
+            detail: `${loopsNeeded} loops`
         });
+
+        try {
+            await commandRunner.run('ffmpeg', args, {
+                timeout: 0,
+                onStdout: (output) => {
+                    const timeMatch = output.match(/out_time=(\d{2}):(\d{2}):(\d{2})/);
+                    if (timeMatch) {
+                        const currentTime = parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseInt(timeMatch[3]);
+                        task.update({ percentage: Math.min((currentTime / minDuration) * 100, 100) });
+                    }
+                },
+                toError: (result) => new EncodeFailed(withOutputTail(`Video extension ${result.description}`, result.stderr))
+            });
+        } catch (error) {
+            task.fail();
+            throw error;
+        }
+
+        if (!fs.existsSync(outputPath)) {
+            task.fail();
+            throw new EncodeFailed('Extended video file not found after processing');
+        }
+
+        const stats = fs.statSync(outputPath);
+        task.complete(`✅ Video extended successfully: ${Utils.formatFileSize(stats.size)}`);
+        logger.event('extend_complete', { path: outputPath, size: stats.size, duration: minDuration });
+        logger.info(`🎬 Extended duration: ${Utils.formatTime(minDuration)}`);
+
+        return outputPath;
     }
 
     /**
      * Fix file permissions and ownership for converted files
      */
     async fixFilePermissions(filePath) {
+        if (this.dryRun) {
+            logger.plan(`Fix ownership and permissions (chown to original user, chmod 664): ${filePath}`);
+            return;
+        }
+
         try {
             logger.info(`🔧 Fixing file permissions for: ${path.basename(filePath)}`);
 
@@ -239,6 +512,13 @@ class VideoDownloader {
      * Clean up source MP4 file after successful conversion to .mov
      */
     async cleanupSourceFile(sourcePath, convertedPath) {
+        if (this.dryRun) {
+            if (path.extname(sourcePath).toLowerCase() === '.mp4') {
+                logger.plan(`Delete source MP4 after verifying the conversion: ${sourcePath}`);
+            }
+            return;
+        }
+
         try {
             // Verify the converted file exists and has reasonable size
             if (!fs.existsSync(convertedPath)) {
@@ -287,172 +567,232 @@ class VideoDownloader {
         }
     }
 
+    /**
+     * Build FFmpeg arguments for the HEVC .mov conversion
+     *
+     * @param {string} inputPath
+     * @param {string} outputPath
+     * @param {boolean} useFallback - Use the libx265 software encoder instead of VideoToolbox
+     * @param {Object} profile - Resolved encoding profile (default: the configured profile)
+     * @param {Object} framing - Framing plan from planConversionFraming; null scales to the profile resolution as is
+     */
+    buildHEVCArgs(inputPath, outputPath, useFallback = false, profile = resolveProfile(), framing = null) {
+        const videoCodec = useFallback ? 'libx265' : 'hevc_videotoolbox';
+
+        const args = [
+            '-i', inputPath,
+            '-c:v', videoCodec,
+            '-c:a', 'aac',
+            '-tag:v', 'hvc1', // Ensure proper HEVC tag for QuickTime compatibility
+            '-movflags', '+faststart',
+            '-pix_fmt', profile.pixelFormat
+        ];
+
+        if (profile.frameRate) {
+            args.push('-r', String(profile.frameRate));
+        }
+
+        if (framing) {
+            args.push('-vf', framing.filter);
+        } else if (profile.resolution) {
+            args.push('-vf', `scale=${profile.resolution.replace('x', ':')}:flags=lanczos`);
+        }
+
+        // CRF is a libx265 feature; VideoToolbox always encodes to a bitrate
+        if (useFallback && profile.crf !== null) {
+            args.push('-crf', String(profile.crf));
+        } else {
+            args.push('-b:v', profile.bitrate);
+            if (profile.maxrate) args.push('-maxrate', profile.maxrate);
+            if (profile.bufsize) args.push('-bufsize', profile.bufsize);
+        }
+
+        // Add profile settings for software encoding
+        if (useFallback) {
+            args.push('-profile:v', profile.pixelFormat.includes('10') ? 'main10' : 'main');
+            args.push('-level', '5.1');
+            args.push('-preset', profile.preset);
+        }
+
+        args.push('-progress', 'pipe:1'); // Enable progress output
+        args.push('-y'); // Overwrite output file
+        args.push(outputPath);
+
+        return args;
+    }
+
     /**
      * Convert video using HEVC with hardware acceleration
      */
-    async convertWithHEVC(inputPath, outputPath, useFallback = false) {
-        return new Promise((resolve, reject) => {
-            if (useFallback) {
-                logger.convert('🔄 Converting to HEVC .mov format (software encoding)...');
-                logger.warning('⚠️  Hardware acceleration not available, using software encoding');
-            } else {
-                logger.convert('🔄 Converting to HEVC .mov format with hardware acceleration...');
-                logger.info('🚀 Using Apple VideoToolbox for optimal performance');
+    async convertWithHEVC(inputPath, outputPath, useFallback = false, profile = resolveProfile(), framing = null) {
+        // Only the auto encoder falls back from VideoToolbox to libx265
+        const canFallBack = !useFallback && profile.encoder === 'auto';
+
+        if (this.dryRun) {
+            logger.plan(`Encoding profile "${profile.name}": ${describeProfile(profile)}`);
+            logger.plan(`Run: ${Utils.formatCommand('ffmpeg', this.buildHEVCArgs(inputPath, outputPath, useFallback, profile, framing))}`);
+            if (canFallBack) {
+                logger.plan(`If hardware encoding fails: ${Utils.formatCommand('ffmpeg', this.buildHEVCArgs(inputPath, outputPath, true, profile, framing))}`);
             }
+            await this.fixFilePermissions(outputPath);
+            return outputPath;
+        }
 
-            logger.info('📊 Conversion settings:');
-            logger.info('   • Codec: HEVC (H.265) 10-bit');
-            logger.info('   • Resolution: 4K (3840x2160)');
-            logger.info('   • Frame Rate: 60fps');
-            logger.info('   • Bitrate: 50 Mbps');
-
-            const videoCodec = useFallback ? 'libx265' : 'hevc_videotoolbox';
-            const pixelFormat = useFallback ? 'yuv420p10le' : 'yuv420p10le';
-
-            const args = [
-                '-i', inputPath,
-                '-c:v', videoCodec,
-                '-c:a', 'aac',
-                '-tag:v', 'hvc1', // Ensure proper HEVC tag for QuickTime compatibility
-                '-movflags', '+faststart',
-                '-pix_fmt', pixelFormat,
-                '-r', '60', // Force 60fps for smooth wallpaper
-                '-vf', 'scale=3840:2160:flags=lanczos', // Ensure 4K resolution
-                '-b:v', '50M', // High bitrate for quality (50 Mbps)
-                '-maxrate', '60M',
-                '-bufsize', '100M'
-            ];
-
-            // Add profile settings for software encoding
-            if (useFallback) {
-                args.push('-profile:v', 'main10');
-                args.push('-level', '5.1');
-                args.push('-preset', 'medium'); // Balance between speed and quality
+        if (useFallback) {
+            logger.convert('🔄 Converting to HEVC .mov format (software encoding)...');
+            if (profile.encoder === 'auto') {
+                logger.warning('⚠️  Hardware acceleration not available, using software encoding');
             }
+        } else {
+            logger.convert('🔄 Converting to HEVC .mov format with hardware acceleration...');
+            logger.info('🚀 Using Apple VideoToolbox for optimal performance');
+        }
 
-            args.push('-progress', 'pipe:1'); // Enable progress output
-            args.push('-y'); // Overwrite output file
-            args.push(outputPath);
-
-            const ffmpegProcess = spawn('ffmpeg', args, {
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
+        logger.info('📊 Conversion settings:');
+        logger.info(`   • Profile: ${profile.name}`);
+        logger.info(`   • Codec: HEVC (H.265) ${profile.pixelFormat.includes('10') ? '10-bit' : '8-bit'}`);
+        logger.info(`   • Resolution: ${profile.resolution || 'same as source'}`);
+        if (framing) {
+            logger.info(`   • Framing: ${describeFraming(framing)}`);
+        }
+        logger.info(`   • Frame Rate: ${profile.frameRate ? `${profile.frameRate}fps` : 'same as source'}`);
+        logger.info(useFallback && profile.crf !== null
+            ? `   • Quality: CRF ${profile.crf} (${profile.preset})`
+            : `   • Bitrate: ${profile.bitrate}`);
+
+        const args = this.buildHEVCArgs(inputPath, outputPath, useFallback, profile, framing);
+
+        let videoDuration = null;
+        const conversionStartTime = Date.now();
+        const task = progressRenderer.start('encode', path.basename(outputPath), {
+            symbol: logger.symbols.convert,
+            detail: useFallback ? 'libx265' : 'hevc_videotoolbox'
+        });
 
-            let videoDuration = null;
-            let conversionStartTime = Date.now();
-
-            // Parse stderr for duration and other info
-            ffmpegProcess.stderr.on('data', (data) => {
-                const output = data.toString();
-
-                // Extract video duration from initial output
-                if (!videoDuration && output.includes('Duration:')) {
-                    const durationMatch = output.match(/Duration: (\d{2}):(\d{2}):(\d{2})/);
-                    if (durationMatch) {
-                        const hours = parseInt(durationMatch[1]);
-                        const minutes = parseInt(durationMatch[2]);
-                        const seconds = parseInt(durationMatch[3]);
-                        videoDuration = hours * 3600 + minutes * 60 + seconds;
-                    }
+        // Parse stderr for duration and other info
+        const onStderr = (output) => {
+            // Extract video duration from initial output
+            if (!videoDuration && output.includes('Duration:')) {
+                const durationMatch = output.match(/Duration: (\d{2}):(\d{2}):(\d{2})/);
+                if (durationMatch) {
+                    const hours = parseInt(durationMatch[1]);
+                    const minutes = parseInt(durationMatch[2]);
+                    const seconds = parseInt(durationMatch[3]);
+                    videoDuration = hours * 3600 + minutes * 60 + seconds;
                 }
-            });
+            }
+        };
 
-            // Parse stdout for progress information
-            ffmpegProcess.stdout.on('data', (data) => {
-                const output = data.toString();
+        // Parse stdout for progress information
+        const onStdout = (output) => {
+            // Extract current time from progress output
+            if (output.includes('out_time=')) {
+                const timeMatch = output.match(/out_time=(\d{2}):(\d{2}):(\d{2})/);
+                if (timeMatch && videoDuration) {
+                    const hours = parseInt(timeMatch[1]);
+                    const minutes = parseInt(timeMatch[2]);
+                    const seconds = parseInt(timeMatch[3]);
+                    const currentTime = hours * 3600 + minutes * 60 + seconds;
+
+                    const progress = Math.min((currentTime / videoDuration) * 100, 100);
+                    const elapsed = (Date.now() - conversionStartTime) / 1000;
+
+                    let eta = null;
+                    if (progress > 5) { // Only show ETA after 5% to get better estimate
+                        const estimatedTotal = elapsed / (progress / 100);
+                        eta = Math.max(0, estimatedTotal - elapsed);
+                    }
 
-                // Extract current time from progress output
-                if (output.includes('out_time=')) {
-                    const timeMatch = output.match(/out_time=(\d{2}):(\d{2}):(\d{2})/);
-                    if (timeMatch && videoDuration) {
-                        const hours = parseInt(timeMatch[1]);
-                        const minutes = parseInt(timeMatch[2]);
-                        const seconds = parseInt(timeMatch[3]);
-                        const currentTime = hours * 3600 + minutes * 60 + seconds;
-
-                        const progress = Math.min((currentTime / videoDuration) * 100, 100);
-                        const elapsed = (Date.now() - conversionStartTime) / 1000;
-
-                        let etaText = '';
-                        if (progress > 5) { // Only show ETA after 5% to get better estimate
-                            const estimatedTotal = elapsed / (progress / 100);
-                            const eta = Math.max(0, estimatedTotal - elapsed);
-                            etaText = ` | ETA: ${Utils.formatTime(eta)}`;
-                        }
+                    logger.event('conversion_progress', {
+                        percentage: Number(progress.toFixed(1)),
+                        outTime: currentTime,
+                        duration: videoDuration,
+                        eta: eta === null ? null : Math.round(eta)
+                    });
 
-                        const progressBar = Utils.createProgressBar(progress, 20);
-                        process.stdout.write(`\r🔄 Converting ${progressBar} | ${timeMatch[0].replace('out_time=', '')}${etaText}`);
-                    }
+                    // Encoding speed relative to playback, e.g. 1.5x
+                    const speedMatch = output.match(/speed=\s*([\d.]+x)/);
+                    task.update({ percentage: progress, speed: speedMatch ? speedMatch[1] : null, eta });
                 }
-            });
+            }
+        };
 
-            ffmpegProcess.on('close', (code) => {
-                console.log(); // New line after progress
+        try {
+            await commandRunner.run('ffmpeg', args, {
+                timeout: 0,
+                onStdout,
+                onStderr,
+                toError: (result) => new EncodeFailed(withOutputTail(`FFmpeg HEVC conversion ${result.description}`, result.stderr))
+            });
+        } catch (error) {
+            task.fail();
+
+            // If hardware encoding failed and we haven't tried software yet
+            const result = error.result;
+            if (canFallBack && result && result.status === commandRunner.STATUS.FAILED && [1, 69].includes(result.exitCode)) {
+                logger.warning('⚠️  Hardware acceleration failed, trying software encoding...');
+                logger.verbose(withOutputTail('FFmpeg output', result.stderr));
+                // Retry with software encoding
+                return this.convertWithHEVC(inputPath, outputPath, true, profile, framing);
+            }
 
-                if (code === 0) {
-                    const conversionTime = ((Date.now() - conversionStartTime) / 1000).toFixed(1);
-                    logger.success(`✅ HEVC conversion completed in ${conversionTime}s: ${path.basename(outputPath)}`);
+            throw error;
+        }
 
-                    // Verify output file
-                    if (fs.existsSync(outputPath)) {
-                        const stats = fs.statSync(outputPath);
-                        logger.stats(`📊 HEVC .mov size: ${Utils.formatFileSize(stats.size)}`);
-                        logger.info('🎬 Video optimized for macOS live wallpaper with 4K 60fps HEVC');
+        const conversionTime = ((Date.now() - conversionStartTime) / 1000).toFixed(1);
+        task.complete(`✅ HEVC conversion completed in ${conversionTime}s: ${path.basename(outputPath)}`);
 
-                        // Fix file permissions and ownership
-                        this.fixFilePermissions(outputPath).then(() => {
-                            // Permission fixing completed
-                        }).catch((error) => {
-                            logger.warning(`⚠️  Permission fix failed: ${error.message}`);
-                        });
+        // Verify output file
+        if (!fs.existsSync(outputPath)) {
+            throw new EncodeFailed('Conversion completed but output file not found');
+        }
 
-                        resolve(outputPath);
-                    } else {
-                        reject(new Error('Conversion completed but output file not found'));
-                    }
-                } else {
-                    // If hardware encoding failed and we haven't tried software yet
-                    if (!useFallback && (code === 1 || code === 69)) {
-                        logger.warning('⚠️  Hardware acceleration failed, trying software encoding...');
-                        // Retry with software encoding
-                        this.convertWithHEVC(inputPath, outputPath, true)
-                            .then(resolve)
-                            .catch(reject);
-                    } else {
-                        reject(new Error(`FFmpeg HEVC conversion failed with code ${code}`));
-                    }
-                }
-            });
+        const stats = fs.statSync(outputPath);
+        logger.stats(`📊 HEVC .mov size: ${Utils.formatFileSize(stats.size)}`);
+        logger.event('conversion_complete', {
+            path: outputPath,
+            size: stats.size,
+            seconds: Number(conversionTime),
+            encoder: useFallback ? 'libx265' : 'hevc_videotoolbox',
+            profile: profile.name,
+            fit: framing ? framing.mode : null
+        });
+        logger.info(`🎬 Video optimized for macOS live wallpaper with ${describeProfile(profile)} HEVC`);
 
-            ffmpegProcess.on('error', (error) => {
-                // If hardware encoding failed and we haven't tried software yet
-                if (!useFallback && error.message.includes('videotoolbox')) {
-                    logger.warning('⚠️  Hardware acceleration not available, trying software encoding...');
-                    this.convertWithHEVC(inputPath, outputPath, true)
-                        .then(resolve)
-                        .catch(reject);
-                } else {
-                    reject(new Error(`FFmpeg error: ${error.message}`));
-                }
-            });
+        // Fix file permissions and ownership
+        this.fixFilePermissions(outputPath).catch((error) => {
+            logger.warning(`⚠️  Permission fix failed: ${error.message}`);
         });
+
+        return outputPath;
     }
 
     /**
      * Setup process cleanup handlers
      */
     setupCleanupHandlers() {
-        const cleanup = () => {
+        // Register once - performDownload runs repeatedly in batch mode
+        if (this.cleanupHandlersRegistered) {
+            return;
+        }
+        this.cleanupHandlersRegistered = true;
+
+        const killChild = () => {
             if (this.currentProcess && !this.currentProcess.killed) {
                 logger.warning('Cleaning up download process...');
                 this.currentProcess.kill('SIGTERM');
             }
-            process.exit(0);
+        };
+
+        const cleanup = (signal) => {
+            killChild();
+            process.exit(signalExitCode(signal));
         };
 
         process.on('SIGINT', cleanup);
         process.on('SIGTERM', cleanup);
-        process.on('exit', cleanup);
+        // Don't call process.exit on exit - it would override the exit code
+        process.on('exit', killChild);
     }
 
     /**
@@ -465,9 +805,15 @@ class VideoDownloader {
         // Parse progress
         const progress = Utils.parseProgress(cleanLine);
         if (progress) {
-            const progressBar = Utils.createProgressBar(progress.percentage);
-            const message = `${progressBar} ${progress.totalSize} at ${progress.speed} ETA ${progress.eta}`;
-            logger.progress(message);
+            if (this.downloadTask) {
+                this.downloadTask.update({
+                    percentage: progress.percentage,
+                    speed: progress.speed,
+                    eta: progress.eta,
+                    detail: progress.totalSize
+                });
+            }
+            logger.event('download_progress', progress);
             return progress;
         }
         
@@ -475,8 +821,6 @@ class VideoDownloader {
         if (cleanLine.includes('[download] Destination:')) {
             const filename = cleanLine.split('Destination:')[1].trim();
             logger.info(`Downloading to: ${filename}`);
-        } else if (cleanLine.includes('[download] 100%')) {
-            logger.progressComplete('Download completed successfully!');
         } else if (cleanLine.includes('[ffmpeg]')) {
             logger.info('Processing with FFmpeg...');
         } else if (cleanLine.includes('Merging formats')) {
@@ -486,98 +830,120 @@ class VideoDownloader {
         return null;
     }
 
+    /**
+     * Remove the download progress row, with a summary when it succeeded
+     */
+    finishDownloadTask(summary) {
+        if (!this.downloadTask) {
+            return;
+        }
+
+        if (summary) {
+            this.downloadTask.complete(summary);
+        } else {
+            this.downloadTask.fail();
+        }
+        this.downloadTask = null;
+    }
+
+    /**
+     * Build yt-dlp arguments for downloading the selected formats
+     */
+    buildDownloadArgs(url, videoFormat, audioFormat, outputPath) {
+        const args = [
+            '-f', audioFormat ? `${videoFormat.format_id}+${audioFormat.format_id}` : videoFormat.format_id,
+            '-o', outputPath,
+            '--merge-output-format', this.downloadSettings.mergeOutputFormat,
+            '--progress',
+            '--newline'
+        ];
+
+        // Add optional settings
+        if (this.downloadSettings.embedSubtitles) {
+            args.push('--embed-subs');
+        }
+
+        if (this.downloadSettings.embedThumbnail) {
+            args.push('--embed-thumbnail');
+        }
+
+        args.push(url);
+
+        return args;
+    }
+
     /**
      * Download video with progress tracking
      */
     async downloadVideo(url, videoFormat, audioFormat, outputPath) {
-        return new Promise((resolve, reject) => {
-            logger.header('Starting Download');
-            logger.download(`Output: ${outputPath}`);
-            
-            // Ensure unique filename
-            const finalOutputPath = Utils.getUniqueFilename(outputPath);
-            if (finalOutputPath !== outputPath) {
-                logger.warning(`File exists, using: ${finalOutputPath}`);
-            }
-            
-            // Build yt-dlp arguments
-            const args = [
-                '-f', `${videoFormat.format_id}+${audioFormat.format_id}`,
-                '-o', finalOutputPath,
-                '--merge-output-format', this.downloadSettings.mergeOutputFormat,
-                '--progress',
-                '--newline'
-            ];
-            
-            // Add optional settings
-            if (this.downloadSettings.embedSubtitles) {
-                args.push('--embed-subs');
-            }
-            
-            if (this.downloadSettings.embedThumbnail) {
-                args.push('--embed-thumbnail');
-            }
-            
-            args.push(url);
-            
-            logger.info(`Command: yt-dlp ${args.join(' ')}`);
-            
-            // Start download process
-            this.currentProcess = spawn('yt-dlp', args, {
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-            
-            this.isDownloading = true;
-            
-            // Handle stdout (progress)
-            this.currentProcess.stdout.on('data', (data) => {
-                const lines = data.toString().split('\n');
-                lines.forEach(line => {
-                    if (line.trim()) {
-                        this.parseDownloadProgress(line);
-                    }
-                });
-            });
-            
-            // Handle stderr (errors and additional info)
-            this.currentProcess.stderr.on('data', (data) => {
-                const lines = data.toString().split('\n');
-                lines.forEach(line => {
-                    if (line.trim() && !line.includes('WARNING')) {
-                        logger.warning(line.trim());
-                    }
-                });
-            });
-            
-            // Handle process completion
-            this.currentProcess.on('close', (code) => {
-                this.isDownloading = false;
-                this.currentProcess = null;
-                
-                if (code === 0) {
-                    logger.success('Download completed successfully!');
-                    
-                    // Check if file exists and show stats
-                    const stats = Utils.getFileStats(finalOutputPath);
-                    if (stats) {
-                        logger.file(`Final file: ${finalOutputPath}`);
-                        logger.stats(`File size: ${Utils.formatFileSize(stats.size)}`);
-                        logger.stats(`Created: ${stats.birthtime.toLocaleString()}`);
-                    }
-                    
-                    resolve(finalOutputPath);
-                } else {
-                    reject(new Error(`Download failed with exit code ${code}`));
-                }
-            });
-            
-            // Handle process errors
-            this.currentProcess.on('error', (err) => {
-                this.isDownloading = false;
-                this.currentProcess = null;
-                reject(new Error(`Download process error: ${err.message}`));
+        logger.header('Starting Download');
+        logger.download(`Output: ${outputPath}`);
+        
+        // Build yt-dlp arguments
+        const args = this.buildDownloadArgs(url, videoFormat, audioFormat, outputPath);
+        
+        if (this.dryRun) {
+            logger.plan(`Run: ${Utils.formatCommand('yt-dlp', args)}`);
+            return outputPath;
+        }
+        
+        this.isDownloading = true;
+        this.downloadTask = progressRenderer.start('download', path.basename(outputPath));
+        
+        try {
+            await commandRunner.run('yt-dlp', args, {
+                timeout: 0,
+                // Kept to cancel the download
+                onSpawn: (child) => {
+                    this.currentProcess = child;
+                },
+                // Handle stdout (progress)
+                onStdout: (output) => {
+                    output.split('\n').forEach(line => {
+                        if (line.trim()) {
+                            this.parseDownloadProgress(line);
+                        }
+                    });
+                },
+                // Handle stderr (errors and additional info)
+                logStderr: false,
+                onStderr: (output) => {
+                    output.split('\n').forEach(line => {
+                        if (!line.trim()) {
+                            return;
+                        }
+
+                        // yt-dlp warnings are mostly noise; show them only when debugging
+                        if (line.includes('WARNING')) {
+                            logger.debug(`[yt-dlp] ${line.trim()}`);
+                        } else {
+                            logger.warning(line.trim());
+                        }
+                    });
+                },
+                toError: (result) => fromYtDlpOutput(result.stderr, `Download ${result.description}`)
             });
-        });
+        } catch (error) {
+            this.finishDownloadTask(null);
+            throw error;
+        } finally {
+            this.isDownloading = false;
+            this.currentProcess = null;
+        }
+
+        this.finishDownloadTask('Download completed successfully!');
+        
+        // Check if file exists and show stats
+        const stats = Utils.getFileStats(outputPath);
+        if (stats) {
+            logger.file(`Final file: ${outputPath}`);
+            logger.stats(`File size: ${Utils.formatFileSize(stats.size)}`);
+            logger.stats(`Created: ${stats.birthtime.toLocaleString()}`);
+        }
+        
+        logger.event('download_complete', { path: outputPath, size: stats ? stats.size : null });
+        
+        return outputPath;
     }
 
     /**
@@ -600,9 +966,14 @@ class VideoDownloader {
             } catch (error) {
                 lastError = error;
                 logger.error(`Attempt ${attempt} failed: ${error.message}`);
+
+                // Retrying can't bring back a removed video or install a missing tool
+                if (error instanceof VideoUnavailable || error instanceof DependencyMissing) {
+                    throw error;
+                }
                 
                 if (attempt === this.downloadSettings.retryAttempts) {
-                    throw new Error(`Download failed after ${this.downloadSettings.retryAttempts} attempts. Last error: ${error.message}`);
+                    throw withContext(error, `Download failed after ${this.downloadSettings.retryAttempts} attempts. Last error`);
                 }
             }
         }
@@ -629,22 +1000,82 @@ class VideoDownloader {
         return false;
     }
 
+    /**
+     * Output path for converting a local file, never overwriting the file itself
+     */
+    createLocalOutputPath(inputPath, outputDir = CONFIG.OUTPUT_DIR) {
+        const extension = CONFIG.WALLPAPER_SETTINGS.requiredFormat;
+        const baseName = path.parse(inputPath).name;
+        const outputPath = path.join(outputDir, `${baseName}${extension}`);
+
+        if (path.resolve(outputPath) === path.resolve(inputPath)) {
+            return path.join(outputDir, `${baseName}_hevc${extension}`);
+        }
+
+        return outputPath;
+    }
+
+    /**
+     * Processing workflow for a local video file: convert without downloading
+     */
+    async processLocalFile(inputPath, analysis) {
+        try {
+            const resumedPath = await this.getResumedConversion();
+            if (resumedPath) {
+                return resumedPath;
+            }
+
+            // Check video quality and warn if needed
+            this.checkVideoQuality(analysis.videoFormat);
+
+            // Don't create the output directory in dry-run mode
+            if (!this.dryRun) {
+                Utils.ensureDirectoryExists(CONFIG.OUTPUT_DIR);
+            }
+
+            const outputPath = this.createLocalOutputPath(inputPath);
+            await this.runPreflight(analysis, { outputDir: path.dirname(outputPath), sourcePath: inputPath });
+
+            // Local footage is the user's original, so it is always kept
+            return await this.convertToMov(inputPath, {
+                outputPath,
+                keepSource: true,
+                duration: analysis.info.duration,
+                sourceSize: analysis.videoFormat
+            });
+
+        } catch (error) {
+            logger.error(`❌ Processing failed: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Complete download and processing workflow for wallpaper
      */
     async performDownload(url, analysis) {
         try {
-            // Setup cleanup handlers
-            this.setupCleanupHandlers();
+            // Setup cleanup handlers (embedding apps handle signals themselves)
+            if (this.handleSignals) {
+                this.setupCleanupHandlers();
+            }
 
             // Check video quality and warn if needed
             this.checkVideoQuality(analysis.videoFormat);
 
+            const resumedPath = await this.getResumedConversion();
+            if (resumedPath) {
+                return resumedPath;
+            }
+
             // Create output filename
-            const outputPath = this.createOutputFilename(analysis.info, analysis.videoFormat);
+            const { path: outputPath, reuseExisting } = this.prepareOutputPath(analysis);
+            this.discardIncompleteFile('converted', outputPath.replace(/\.[^.]+$/, '.mov'));
 
             // Check if video already exists
-            const existingCheck = this.checkExistingVideo(outputPath);
+            const existingCheck = reuseExisting
+                ? this.checkExistingVideo(outputPath)
+                : { exists: false, path: null, needsConversion: false };
             let finalPath;
 
             if (existingCheck.exists && !existingCheck.needsConversion) {
@@ -652,7 +1083,14 @@ class VideoDownloader {
                 finalPath = existingCheck.path;
                 logger.info('⏭️  Using existing .mov video, no processing needed');
                 return finalPath;
-            } else if (existingCheck.exists && existingCheck.needsConversion) {
+            }
+
+            await this.runPreflight(analysis, {
+                outputDir: path.dirname(outputPath),
+                sourcePath: existingCheck.exists ? existingCheck.path : null
+            });
+
+            if (existingCheck.exists && existingCheck.needsConversion) {
                 // Source file exists but needs conversion
                 finalPath = existingCheck.path;
                 logger.info('⏭️  Skipping download, using existing video for conversion');
@@ -664,12 +1102,22 @@ class VideoDownloader {
                     analysis.audioFormat,
                     outputPath
                 );
-                logger.success(`📥 Video downloaded successfully: ${path.basename(finalPath)}`);
+                if (!this.dryRun) {
+                    logger.success(`📥 Video downloaded successfully: ${path.basename(finalPath)}`);
+                }
+            }
+
+            // yt-dlp only renames complete downloads into place, so an existing source is finished
+            if (this.journal && !this.journal.hasStage('downloaded')) {
+                await this.recordStage('downloaded', finalPath);
             }
 
             // Convert to .mov format for wallpaper compatibility
             if (this.downloadSettings.convertToMov) {
-                const movPath = await this.convertToMov(finalPath);
+                const movPath = await this.convertToMov(finalPath, {
+                    duration: analysis.info.duration,
+                    sourceSize: analysis.videoFormat
+                });
                 return movPath;
             }
 
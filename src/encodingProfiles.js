@@ -0,0 +1,139 @@
+/**
+ * Named encoding profiles for the HEVC wallpaper conversion
+ *
+ * Profiles live in CONFIG.ENCODING_PROFILES and user config files can add
+ * their own. Fields a profile leaves out come from the profile named in
+ * `extends` (max-quality when not given).
+ */
+
+const CONFIG = require('./config');
+const { InvalidInput } = require('./errors');
+
+const BASE_PROFILE = 'max-quality';
+
+const ENCODERS = ['auto', 'hevc_videotoolbox', 'libx265'];
+const X265_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow', 'placebo'];
+
+// Field types of a profile, checked when the user config files are loaded
+const PROFILE_SCHEMA = {
+    extends: { type: 'string' },
+    description: { type: 'string' },
+    resolution: { type: ['string', 'null'] }, // null keeps the source resolution
+    frameRate: { type: ['number', 'null'] },  // null keeps the source frame rate
+    encoder: { type: 'string' },
+    bitrate: { type: ['string', 'null'] },
+    maxrate: { type: ['string', 'null'] },
+    bufsize: { type: ['string', 'null'] },
+    crf: { type: ['number', 'null'] },        // libx265 only, replaces the bitrate
+    pixelFormat: { type: 'string' },
+    preset: { type: 'string' }               // libx265 only
+};
+
+/**
+ * Check the values of a resolved profile
+ *
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateProfile(profile) {
+    const errors = [];
+    const isRate = (value) => value === null || /^\d+(\.\d+)?[kKmM]?$/.test(value);
+
+    if (profile.resolution !== null && !/^\d+x\d+$/.test(profile.resolution)) {
+        errors.push(`resolution must look like 2560x1440 or be null (got "${profile.resolution}")`);
+    }
+
+    if (profile.frameRate !== null && !(profile.frameRate > 0)) {
+        errors.push(`frameRate must be positive or null (got ${profile.frameRate})`);
+    }
+
+    if (!ENCODERS.includes(profile.encoder)) {
+        errors.push(`encoder must be one of ${ENCODERS.join(', ')} (got "${profile.encoder}")`);
+    }
+
+    ['bitrate', 'maxrate', 'bufsize'].forEach(field => {
+        if (!isRate(profile[field])) {
+            errors.push(`${field} must look like 12M or 800k (got "${profile[field]}")`);
+        }
+    });
+
+    if (profile.crf !== null && !(profile.crf >= 0 && profile.crf <= 51)) {
+        errors.push(`crf must be between 0 and 51 (got ${profile.crf})`);
+    }
+
+    if (!X265_PRESETS.includes(profile.preset)) {
+        errors.push(`preset must be one of ${X265_PRESETS.join(', ')} (got "${profile.preset}")`);
+    }
+
+    // VideoToolbox only does bitrate control
+    if (!profile.bitrate && !(profile.encoder === 'libx265' && profile.crf !== null)) {
+        errors.push('bitrate is required unless encoder is libx265 with a crf');
+    }
+
+    return errors;
+}
+
+/**
+ * Names of all available profiles
+ */
+function listProfiles() {
+    return Object.keys(CONFIG.ENCODING_PROFILES);
+}
+
+/**
+ * Resolve a profile by name, following `extends`, and validate it
+ *
+ * @param {string} name - Profile name (default: DOWNLOAD_SETTINGS.encodingProfile)
+ * @returns {Object} Complete profile with its `name`
+ */
+function resolveProfile(name = CONFIG.DOWNLOAD_SETTINGS.encodingProfile) {
+    const profiles = CONFIG.ENCODING_PROFILES;
+    const chain = [];
+    let current = name;
+
+    while (current) {
+        if (!profiles[current]) {
+            const message = current === name
+                ? `Unknown encoding profile: ${name}`
+                : `Encoding profile "${chain[0]}" extends unknown profile "${current}"`;
+            throw new InvalidInput(`${message} (available: ${listProfiles().join(', ')})`);
+        }
+
+        if (chain.includes(current)) {
+            throw new InvalidInput(`Encoding profile "${name}" extends itself: ${[...chain, current].join(' -> ')}`);
+        }
+
+        chain.push(current);
+        current = profiles[current].extends || (current === BASE_PROFILE ? null : BASE_PROFILE);
+    }
+
+    const profile = Object.assign({}, ...chain.reverse().map(profileName => profiles[profileName]));
+    delete profile.extends;
+    profile.name = name;
+
+    const errors = validateProfile(profile);
+    if (errors.length > 0) {
+        throw new InvalidInput(`Invalid encoding profile "${name}":\n   - ${errors.join('\n   - ')}`);
+    }
+
+    return profile;
+}
+
+/**
+ * Short human-readable summary, e.g. "2560x1440 30fps 8-bit at 12M"
+ */
+function describeProfile(profile) {
+    return [
+        profile.resolution || 'source resolution',
+        profile.frameRate ? `${profile.frameRate}fps` : 'source fps',
+        profile.pixelFormat.includes('10') ? '10-bit' : '8-bit',
+        profile.encoder === 'libx265' && profile.crf !== null ? `CRF ${profile.crf}` : `at ${profile.bitrate}`
+    ].join(' ');
+}
+
+module.exports = {
+    BASE_PROFILE,
+    PROFILE_SCHEMA,
+    listProfiles,
+    resolveProfile,
+    describeProfile
+};
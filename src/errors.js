@@ -0,0 +1,291 @@
+/**
+ * Error taxonomy with stable exit codes and remediation hints
+ *
+ * Wrapper scripts can branch on the process exit code, or on the `code`
+ * field of the JSON `error` event, instead of parsing error messages.
+ */
+
+const os = require('os');
+const logger = require('./logger');
+
+const BIN = 'macos-live-video-wallpaper';
+
+// Stable exit codes - never renumber, only add
+const EXIT_CODES = {
+    UNKNOWN: 1,
+    INVALID_INPUT: 2,
+    DEPENDENCY_MISSING: 3,
+    PERMISSION_DENIED: 4,
+    NETWORK_ERROR: 5,
+    VIDEO_UNAVAILABLE: 6,
+    ENCODE_FAILED: 7,
+    INSTALL_VERIFICATION_FAILED: 8,
+    INSUFFICIENT_SPACE: 9
+};
+
+class WallpaperError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} options
+     * @param {string} options.code - Key of EXIT_CODES
+     * @param {Object} options.hint - Remediation: { message, commands }
+     * @param {Error} options.cause - Underlying error
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || 'UNKNOWN';
+        this.exitCode = EXIT_CODES[this.code];
+        this.hint = options.hint || null;
+
+        if (options.cause) {
+            this.cause = options.cause;
+        }
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            exitCode: this.exitCode,
+            message: this.message,
+            hint: this.hint
+        };
+    }
+}
+
+class InvalidInput extends WallpaperError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'INVALID_INPUT',
+            hint: {
+                message: 'Check the URL, file path or options and try again',
+                commands: [`${BIN} --help`]
+            },
+            ...options
+        });
+    }
+}
+
+class DependencyMissing extends WallpaperError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'DEPENDENCY_MISSING',
+            hint: {
+                message: 'Install the missing tools, then check the environment again',
+                commands: ['brew install yt-dlp ffmpeg', `${BIN} doctor`]
+            },
+            ...options
+        });
+    }
+}
+
+class PermissionDenied extends WallpaperError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'PERMISSION_DENIED',
+            hint: {
+                message: 'Run the command again with sudo; fix ownership of generated files with cleanup',
+                commands: [`sudo ${BIN} <command>`, `${BIN} cleanup`]
+            },
+            ...options
+        });
+    }
+}
+
+class NetworkError extends WallpaperError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'NETWORK_ERROR',
+            hint: {
+                message: 'Check your internet connection, then resume the interrupted job',
+                commands: [`${BIN} resume`]
+            },
+            ...options
+        });
+    }
+}
+
+class VideoUnavailable extends WallpaperError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'VIDEO_UNAVAILABLE',
+            hint: {
+                message: 'The video might be private, deleted, age-restricted or region-locked; an outdated yt-dlp can cause this too',
+                commands: ['yt-dlp -U']
+            },
+            ...options
+        });
+    }
+}
+
+class EncodeFailed extends WallpaperError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'ENCODE_FAILED',
+            hint: {
+                message: 'Check that the source plays and that ffmpeg has an HEVC encoder (hevc_videotoolbox or libx265)',
+                commands: ['ffmpeg -hide_banner -encoders | grep hevc', `${BIN} resume`]
+            },
+            ...options
+        });
+    }
+}
+
+class InstallVerificationFailed extends WallpaperError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'INSTALL_VERIFICATION_FAILED',
+            hint: {
+                message: 'Check free space on the system volume and the wallpaper directory, then retry the install',
+                commands: [`${BIN} doctor`, `sudo ${BIN} resume`]
+            },
+            ...options
+        });
+    }
+}
+
+class InsufficientSpace extends WallpaperError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'INSUFFICIENT_SPACE',
+            hint: {
+                message: 'Free up space (list shows old wallpaper backups), write to another volume with --output-dir, or pick a profile that makes smaller files',
+                commands: [`${BIN} list`, `${BIN} set "URL" --output-dir /Volumes/External/wallpapers`, `${BIN} set "URL" --profile battery-saver`]
+            },
+            ...options
+        });
+    }
+}
+
+/**
+ * Typed error from yt-dlp error output
+ */
+function fromYtDlpOutput(output, message) {
+    if (/Unsupported URL/i.test(output)) {
+        return new InvalidInput(message, {
+            hint: {
+                message: 'No yt-dlp extractor matches this URL and the page has no embedded video; try the direct video link or update yt-dlp',
+                commands: ['yt-dlp --list-extractors', 'yt-dlp -U']
+            }
+        });
+    }
+
+    if (/Video unavailable|Private video|This video (?:is|has been) (?:private|unavailable|removed|no longer available)|Sign in to confirm your age|not available in your country|members-only|HTTP Error 404/i.test(output)) {
+        return new VideoUnavailable(message);
+    }
+
+    if (/Unable to download (?:webpage|API page)|timed out|Connection (?:reset|refused|aborted)|getaddrinfo|Name or service not known|Temporary failure in name resolution|Network is unreachable|HTTP Error 5\d\d|SSL/i.test(output)) {
+        return new NetworkError(message);
+    }
+
+    return new WallpaperError(message);
+}
+
+/**
+ * Typed error from a failed child process spawn
+ */
+function fromSpawnError(command, error) {
+    if (error.code === 'ENOENT') {
+        // ffprobe ships with ffmpeg
+        const formula = command === 'ffprobe' ? 'ffmpeg' : command;
+        return new DependencyMissing(`${command} is not installed or not in PATH`, {
+            cause: error,
+            hint: {
+                message: `Install ${formula}, then check the environment again`,
+                commands: [`brew install ${formula}`, `${BIN} doctor`]
+            }
+        });
+    }
+
+    if (error.code === 'EACCES' || error.code === 'EPERM') {
+        return new PermissionDenied(`Not allowed to run ${command}: ${error.message}`, { cause: error });
+    }
+
+    return new WallpaperError(`${command} error: ${error.message}`, { cause: error });
+}
+
+/**
+ * Typed error from a failed file system operation
+ */
+function fromFsError(error, message = error.message) {
+    if (error instanceof WallpaperError) {
+        return error;
+    }
+
+    if (error.code === 'EACCES' || error.code === 'EPERM') {
+        return new PermissionDenied(message, { cause: error });
+    }
+
+    return new WallpaperError(message, { cause: error });
+}
+
+/**
+ * Same error type with extra context in front of the message
+ */
+function withContext(error, context) {
+    const message = `${context}: ${error.message}`;
+
+    if (error instanceof WallpaperError) {
+        return new error.constructor(message, { code: error.code, hint: error.hint, cause: error });
+    }
+
+    return new WallpaperError(message, { cause: error });
+}
+
+/**
+ * Structured description of any error, for the JSON error event
+ */
+function describeError(error) {
+    if (error instanceof WallpaperError) {
+        return error.toJSON();
+    }
+
+    return {
+        name: error.name || 'Error',
+        code: 'UNKNOWN',
+        exitCode: EXIT_CODES.UNKNOWN,
+        message: error.message,
+        hint: null
+    };
+}
+
+/**
+ * Exit code of a run stopped by a signal: 128 + the signal number, as shells report it (SIGINT 130, SIGTERM 143)
+ */
+function signalExitCode(signal) {
+    return 128 + (os.constants.signals[signal] || 0);
+}
+
+/**
+ * Print the remediation hint of an error, if it has one
+ */
+function logRemediation(error) {
+    if (!error.hint) {
+        return;
+    }
+
+    // One warning, so the commands still show with --quiet
+    const commands = (error.hint.commands || []).map(command => `\n   $ ${command}`);
+    logger.warning(`💡 ${error.hint.message}${commands.join('')}`);
+}
+
+module.exports = {
+    EXIT_CODES,
+    WallpaperError,
+    InvalidInput,
+    DependencyMissing,
+    PermissionDenied,
+    NetworkError,
+    VideoUnavailable,
+    EncodeFailed,
+    InstallVerificationFailed,
+    InsufficientSpace,
+    fromYtDlpOutput,
+    fromSpawnError,
+    fromFsError,
+    withContext,
+    describeError,
+    signalExitCode,
+    logRemediation
+};
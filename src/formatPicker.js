@@ -0,0 +1,178 @@
+/**
+ * Manual choice of the downloaded formats
+ *
+ * --video-format and --audio-format take yt-dlp format IDs for scripts;
+ * --pick-format lists every video and audio format in a table, marks the
+ * pair the format policy recommends and asks which ones to download.
+ */
+
+const logger = require('./logger');
+const Utils = require('./utils');
+const { InvalidInput } = require('./errors');
+
+const COLUMNS = [
+    { title: 'ID', width: 10 },
+    { title: 'Resolution', width: 11 },
+    { title: 'FPS', width: 5 },
+    { title: 'Codec', width: 18 },
+    { title: 'HDR', width: 7 },
+    { title: 'Bitrate', width: 10 },
+    { title: 'Size', width: 10 }
+];
+
+/**
+ * Table cells of a format, in COLUMNS order
+ */
+function getCells(format, kind) {
+    const size = format.filesize
+        ? Utils.formatFileSize(format.filesize)
+        : (format.filesize_approx ? `~${Utils.formatFileSize(format.filesize_approx)}` : '-');
+    const bitrate = kind === 'video' ? format.tbr || format.vbr : format.abr || format.tbr;
+
+    return [
+        format.format_id,
+        kind === 'video' ? (format.width && format.height ? `${format.width}x${format.height}` : (format.height ? `${format.height}p` : '-')) : 'audio',
+        kind === 'video' && format.fps ? String(format.fps) : '-',
+        (kind === 'video' ? format.vcodec : format.acodec) || '-',
+        kind === 'video' ? format.dynamic_range || '-' : '-',
+        bitrate ? `${Math.round(bitrate)}kbps` : '-',
+        size
+    ];
+}
+
+/**
+ * Print one table row; long cells are cut to the column width
+ */
+function printRow(marker, cells) {
+    const line = cells
+        .map((cell, index) => {
+            const width = COLUMNS[index].width;
+            const text = String(cell);
+            return (text.length >= width ? `${text.slice(0, width - 2)}…` : text).padEnd(width);
+        })
+        .join(' ');
+
+    logger.print(`  ${marker} ${line.trimEnd()}`);
+}
+
+/**
+ * Print every video and audio format, marking the recommended pair with *
+ *
+ * @param {Object[]} videoFormats
+ * @param {Object[]} audioFormats
+ * @param {Object} recommended - { videoFormat, audioFormat }, either may be null
+ */
+function printFormatTable(videoFormats, audioFormats, recommended = {}) {
+    const printSection = (title, formats, kind, chosen) => {
+        logger.newline();
+        logger.info(title);
+        printRow(' ', COLUMNS.map(column => column.title));
+        formats.forEach(format => printRow(format === chosen ? '*' : ' ', getCells(format, kind)));
+    };
+
+    logger.header('Available Formats');
+    printSection(`📺 Video formats (${videoFormats.length}):`, videoFormats, 'video', recommended.videoFormat);
+
+    if (audioFormats.length > 0) {
+        printSection(`🎵 Audio formats (${audioFormats.length}):`, audioFormats, 'audio', recommended.audioFormat);
+    }
+
+    logger.newline();
+    logger.info('* = recommended by the format policy in VIDEO_PREFERENCES and AUDIO_PREFERENCES');
+}
+
+/**
+ * Find a format by its yt-dlp format ID
+ *
+ * @param {Object[]} formats - Formats of one kind from analyzeFormats
+ * @param {string} formatId
+ * @param {string} kind - 'video' or 'audio', for the error message
+ * @throws {InvalidInput} When the video has no such format
+ */
+function findFormat(formats, formatId, kind) {
+    const format = formats.find(candidate => String(candidate.format_id) === String(formatId).trim());
+
+    if (!format) {
+        throw new InvalidInput(`No ${kind} format "${formatId}" - available: ${formats.map(candidate => candidate.format_id).join(', ') || 'none'}`, {
+            hint: {
+                message: 'List every format of the video with the format picker',
+                commands: ['macos-live-video-wallpaper download "URL" --pick-format --dry-run']
+            }
+        });
+    }
+
+    return format;
+}
+
+/**
+ * Ask for one format ID until the answer names a listed format; Enter takes the default
+ *
+ * Rejects when the input ends (Ctrl+D) before an answer.
+ */
+function askForFormat(rl, formats, kind, defaultFormat) {
+    return new Promise((resolve, reject) => {
+        const defaultText = defaultFormat ? `Enter for ${defaultFormat.format_id}` : 'required';
+        const onClose = () => reject(new InvalidInput('Format selection cancelled'));
+
+        rl.once('close', onClose);
+
+        const promptUser = () => {
+            rl.question(logger.formatPrompt(`🔢 ${kind === 'video' ? 'Video' : 'Audio'} format ID (${defaultText}): `), (answer) => {
+                if (!answer.trim() && defaultFormat) {
+                    rl.removeListener('close', onClose);
+                    resolve(defaultFormat);
+                    return;
+                }
+
+                try {
+                    const format = findFormat(formats, answer, kind);
+                    rl.removeListener('close', onClose);
+                    resolve(format);
+                } catch (error) {
+                    logger.warning(`❌ ${error.message}`);
+                    promptUser();
+                }
+            });
+        };
+
+        promptUser();
+    });
+}
+
+/**
+ * Show the format table and let the user choose the video and audio format
+ *
+ * @param {Object[]} videoFormats
+ * @param {Object[]} audioFormats
+ * @param {Object} recommended - { videoFormat, audioFormat } from the format policy
+ * @returns {Promise<{videoFormat: Object, audioFormat: Object|null}>}
+ */
+async function pickFormats(videoFormats, audioFormats, recommended = {}) {
+    printFormatTable(videoFormats, audioFormats, recommended);
+
+    const readline = require('readline');
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: logger.output
+    });
+
+    try {
+        logger.newline();
+        const videoFormat = await askForFormat(rl, videoFormats, 'video', recommended.videoFormat);
+
+        // Without separate audio the video format's own audio is used
+        const audioFormat = audioFormats.length > 0
+            ? await askForFormat(rl, audioFormats, 'audio', recommended.audioFormat)
+            : null;
+
+        return { videoFormat, audioFormat };
+    } finally {
+        rl.close();
+    }
+}
+
+module.exports = {
+    printFormatTable,
+    findFormat,
+    pickFormats
+};
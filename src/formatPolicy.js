@@ -0,0 +1,232 @@
+/**
+ * Video format selection policy
+ *
+ * CONFIG.VIDEO_PREFERENCES declares which yt-dlp formats may be downloaded and
+ * which one is best. Hard constraints (container, height, frame rate, file size,
+ * codec) reject a format outright; every format left gets a score from weighted
+ * ratings between 0 and 1, and the highest score wins. Codecs are compared by
+ * family, so a vcodec like "avc1.640033" counts as h264.
+ */
+
+const CONFIG = require('./config');
+const logger = require('./logger');
+const Utils = require('./utils');
+const { InvalidInput } = require('./errors');
+
+// Codec families and the vcodec prefixes yt-dlp and ffprobe report for them
+const CODEC_FAMILIES = {
+    h264: ['avc1', 'avc3', 'avc', 'h264'],
+    hevc: ['hvc1', 'hev1', 'hevc', 'h265'],
+    vp9: ['vp09', 'vp9'],
+    vp8: ['vp8'],
+    av1: ['av01', 'av1']
+};
+
+// Ratings that make up a score, in the order the explain output lists them
+const RATINGS = ['resolution', 'fps', 'codec', 'container', 'bitrate'];
+
+/**
+ * Codec family of a codec string, e.g. "avc1.640033" -> "h264"
+ *
+ * @returns {string|null} null when the codec is unknown or not reported
+ */
+function codecFamily(codec) {
+    if (!codec || codec === 'none') {
+        return null;
+    }
+
+    const name = String(codec).toLowerCase().split('.')[0];
+    return Object.keys(CODEC_FAMILIES).find(family => CODEC_FAMILIES[family].includes(name)) || null;
+}
+
+/**
+ * Check the codec lists of a policy and normalize them to family names
+ *
+ * @throws {InvalidInput} When a codec isn't a known family or alias
+ */
+function resolvePolicy(policy = CONFIG.VIDEO_PREFERENCES) {
+    const toFamilies = (key) => policy[key].map(codec => {
+        const family = codecFamily(codec);
+        if (!family) {
+            throw new InvalidInput(`Unknown codec "${codec}" in VIDEO_PREFERENCES.${key}`, {
+                hint: {
+                    message: `Use one of the codec families: ${Object.keys(CODEC_FAMILIES).join(', ')}`,
+                    commands: []
+                }
+            });
+        }
+        return family;
+    });
+
+    return {
+        ...policy,
+        preferredCodecs: toFamilies('preferredCodecs'),
+        excludedCodecs: toFamilies('excludedCodecs')
+    };
+}
+
+/**
+ * Size of a format in bytes, exact or approximate
+ */
+function getFilesize(format) {
+    return format.filesize || format.filesize_approx || null;
+}
+
+/**
+ * Reasons a format breaks the hard constraints of a policy; empty when it passes
+ *
+ * Values a site doesn't report can't break a constraint.
+ */
+function checkConstraints(format, policy) {
+    const reasons = [];
+    const family = codecFamily(format.vcodec);
+    const filesize = getFilesize(format);
+
+    if (!policy.preferredFormats.includes(format.ext)) {
+        reasons.push(`container ${format.ext} is not in preferredFormats`);
+    }
+
+    if (policy.maxResolution && format.height > policy.maxResolution) {
+        reasons.push(`height ${format.height}p is above maxResolution ${policy.maxResolution}p`);
+    }
+
+    if (policy.minFps && format.fps && format.fps < policy.minFps) {
+        reasons.push(`${format.fps}fps is below minFps ${policy.minFps}`);
+    }
+
+    if (policy.maxFps && format.fps > policy.maxFps) {
+        reasons.push(`${format.fps}fps is above maxFps ${policy.maxFps}`);
+    }
+
+    if (policy.maxFilesize && filesize > policy.maxFilesize) {
+        reasons.push(`${Utils.formatFileSize(filesize)} is above maxFilesize ${Utils.formatFileSize(policy.maxFilesize)}`);
+    }
+
+    if (family && policy.excludedCodecs.includes(family)) {
+        reasons.push(`codec ${family} is in excludedCodecs`);
+    }
+
+    return reasons;
+}
+
+/**
+ * Rating between 0 and 1 of a value in a preference list, best first
+ */
+function rateListPosition(list, value) {
+    const index = list.indexOf(value);
+    return index === -1 ? 0 : (list.length - index) / list.length;
+}
+
+/**
+ * Ratings of an accepted format, relative to the best value among the accepted formats
+ */
+function rateFormat(format, policy, best) {
+    const fpsOf = (candidate) => Math.min(candidate.fps || 30, policy.prefer60fps ? 60 : Infinity);
+
+    return {
+        resolution: format.height && best.height ? format.height / best.height : 0,
+        fps: policy.preferHighFps && best.fps ? fpsOf(format) / best.fps : 0,
+        codec: rateListPosition(policy.preferredCodecs, codecFamily(format.vcodec)),
+        container: rateListPosition(policy.preferredFormats, format.ext),
+        bitrate: format.tbr && best.tbr ? format.tbr / best.tbr : 0
+    };
+}
+
+/**
+ * Judge every video format against the policy
+ *
+ * @param {Object[]} formats - yt-dlp video formats, worst first as yt-dlp lists them
+ * @param {Object} policy - Video preferences (default CONFIG.VIDEO_PREFERENCES)
+ * @returns {Object[]} Decisions { format, family, accepted, reasons, ratings, score, rank },
+ *   accepted formats best first, then the rejected ones
+ */
+function evaluateFormats(formats, policy = CONFIG.VIDEO_PREFERENCES) {
+    const resolved = resolvePolicy(policy);
+    const decisions = formats.map((format, index) => {
+        const reasons = checkConstraints(format, resolved);
+        return {
+            format,
+            index,
+            family: codecFamily(format.vcodec),
+            accepted: reasons.length === 0,
+            reasons,
+            ratings: null,
+            score: null,
+            rank: null
+        };
+    });
+
+    const accepted = decisions.filter(decision => decision.accepted);
+    const best = {
+        height: Math.max(0, ...accepted.map(decision => decision.format.height || 0)),
+        fps: Math.max(0, ...accepted.map(decision => Math.min(decision.format.fps || 30, resolved.prefer60fps ? 60 : Infinity))),
+        tbr: Math.max(0, ...accepted.map(decision => decision.format.tbr || 0))
+    };
+
+    accepted.forEach(decision => {
+        decision.ratings = rateFormat(decision.format, resolved, best);
+        decision.score = RATINGS.reduce((score, name) => score + (resolved.weights[name] || 0) * decision.ratings[name], 0);
+    });
+
+    // Equal scores keep yt-dlp's own order, where later formats are better
+    accepted
+        .sort((a, b) => (b.score - a.score) || (b.index - a.index))
+        .forEach((decision, index) => {
+            decision.rank = index + 1;
+        });
+
+    return [...accepted, ...decisions.filter(decision => !decision.accepted)];
+}
+
+/**
+ * Short description of a format, e.g. "137 1080p 30fps mp4 h264 (avc1.640028) 10.0 MB"
+ */
+function describeFormat(format) {
+    return [
+        format.format_id,
+        format.height ? `${format.height}p` : '?p',
+        `${format.fps || '?'}fps`,
+        format.ext,
+        `${codecFamily(format.vcodec) || 'unknown'} (${format.vcodec || 'not reported'})`,
+        getFilesize(format) ? Utils.formatFileSize(getFilesize(format)) : 'size unknown'
+    ].join(' ');
+}
+
+/**
+ * Log why each format was accepted, rejected or ranked where it is
+ */
+function explainDecisions(decisions, policy = CONFIG.VIDEO_PREFERENCES) {
+    logger.header('Format Decisions');
+
+    decisions.forEach(decision => {
+        if (!decision.accepted) {
+            logger.info(`❌ ${describeFormat(decision.format)}`);
+            logger.info(`      rejected: ${decision.reasons.join('; ')}`);
+            return;
+        }
+
+        const parts = RATINGS
+            .filter(name => policy.weights[name])
+            .map(name => `${name} ${(policy.weights[name] * decision.ratings[name]).toFixed(1)}`);
+
+        logger.info(`${decision.rank === 1 ? '✅' : '  '} #${decision.rank} ${describeFormat(decision.format)}`);
+        logger.info(`      score ${decision.score.toFixed(1)} = ${parts.join(' + ') || 'no weights'}`);
+    });
+
+    logger.event('format_decisions', {
+        decisions: decisions.map(decision => ({
+            formatId: decision.format.format_id,
+            accepted: decision.accepted,
+            rank: decision.rank,
+            score: decision.score === null ? null : Math.round(decision.score * 10) / 10,
+            reasons: decision.reasons
+        }))
+    });
+}
+
+module.exports = {
+    CODEC_FAMILIES,
+    codecFamily,
+    evaluateFormats,
+    explainDecisions
+};
@@ -0,0 +1,191 @@
+/**
+ * Framing of sources whose aspect ratio differs from the output resolution
+ *
+ * A vertical Short, 4:3 archival footage or a 21:9 cinema clip doesn't fill a
+ * 16:9 wallpaper. FIT_SETTINGS.mode picks what happens instead of stretching:
+ * crop to fill (around the center or a focal point), pad with bars, or fill
+ * the bars with a blurred copy of the video. Sources that already match the
+ * output shape are scaled as they are.
+ */
+
+const CONFIG = require('./config');
+const { InvalidInput } = require('./errors');
+
+const FIT_MODES = ['stretch', 'crop', 'smart-crop', 'pad', 'blur'];
+
+// Aspect ratios that differ by less than this count as the same shape
+const ASPECT_TOLERANCE = 0.01;
+
+// Names of common aspect ratios, for messages
+const KNOWN_ASPECTS = [
+    ['16:9', 16 / 9], ['9:16', 9 / 16], ['4:3', 4 / 3], ['3:4', 3 / 4],
+    ['1:1', 1], ['21:9', 64 / 27], ['2.39:1', 2.39], ['1.85:1', 1.85], ['3:2', 3 / 2], ['16:10', 16 / 10]
+];
+
+/**
+ * Name of an aspect ratio, e.g. "9:16", or "1.43:1" when it isn't a common one
+ */
+function describeAspect(aspect) {
+    const known = KNOWN_ASPECTS.find(([, value]) => Math.abs(value - aspect) / value < ASPECT_TOLERANCE);
+    return known ? known[0] : `${aspect.toFixed(2)}:1`;
+}
+
+/**
+ * Validated FIT_SETTINGS
+ *
+ * @returns {Object} { mode, focalPoint: {x, y}, padColor, blurStrength, maxLostShare }
+ * @throws {InvalidInput} When a setting is out of range
+ */
+function resolveFit(settings = CONFIG.FIT_SETTINGS) {
+    const errors = [];
+    const [x, y] = settings.focalPoint;
+
+    if (!FIT_MODES.includes(settings.mode)) {
+        errors.push(`mode must be one of ${FIT_MODES.join(', ')} (got "${settings.mode}")`);
+    }
+
+    if (settings.focalPoint.length !== 2 || ![x, y].every(value => value >= 0 && value <= 1)) {
+        errors.push(`focalPoint must be two numbers between 0 and 1, like 0.5,0.3 (got ${settings.focalPoint.join(',')})`);
+    }
+
+    if (!/^(#[0-9a-fA-F]{6}|[a-zA-Z]+)(@[\d.]+)?$/.test(settings.padColor)) {
+        errors.push(`padColor must be a color name or #RRGGBB (got "${settings.padColor}")`);
+    }
+
+    if (!(settings.blurStrength > 0)) {
+        errors.push(`blurStrength must be positive (got ${settings.blurStrength})`);
+    }
+
+    if (!(settings.maxLostShare >= 0 && settings.maxLostShare <= 1)) {
+        errors.push(`maxLostShare must be between 0 and 1 (got ${settings.maxLostShare})`);
+    }
+
+    if (errors.length > 0) {
+        throw new InvalidInput(`Invalid FIT_SETTINGS: ${errors.join('; ')}`, {
+            hint: {
+                message: `Fit modes: ${FIT_MODES.join(', ')}`,
+                commands: ['macos-live-video-wallpaper download "URL" --fit blur --dry-run']
+            }
+        });
+    }
+
+    return { ...settings, focalPoint: { x, y } };
+}
+
+/**
+ * Displayed size of an ffprobe video stream: rotation and non-square pixels applied
+ *
+ * @returns {{width: number, height: number, sar: number}|null} sar is the pixel aspect ratio
+ */
+function getDisplaySize(stream) {
+    if (!stream || !stream.width || !stream.height) {
+        return null;
+    }
+
+    const [num, den] = String(stream.sample_aspect_ratio || '1:1').split(':').map(Number);
+    const sar = num > 0 && den > 0 ? num / den : 1;
+
+    // Phones record portrait video as landscape frames with a rotation
+    const rotationData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const rotation = Math.abs(Number(rotationData ? rotationData.rotation : (stream.tags && stream.tags.rotate) || 0));
+    const width = stream.width * sar;
+
+    return rotation % 180 === 90
+        ? { width: stream.height, height: width, sar }
+        : { width, height: stream.height, sar };
+}
+
+/**
+ * Nearest even number, as 4:2:0 video needs even sizes
+ */
+function even(value) {
+    return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Plan how a source is framed in the output resolution
+ *
+ * @param {Object} source - Displayed { width, height, sar } (see getDisplaySize)
+ * @param {string} resolution - Output "WIDTHxHEIGHT" of the encoding profile
+ * @param {Object} fit - Result of resolveFit()
+ * @returns {Object|null} { mode, sourceAspect, targetAspect, lostShare, filter }; null when the profile keeps the source resolution
+ */
+function planFraming(source, resolution, fit = resolveFit()) {
+    if (!resolution) {
+        return null;
+    }
+
+    const [width, height] = resolution.split('x').map(Number);
+    const sourceAspect = source.width / source.height;
+    const targetAspect = width / height;
+    const matches = Math.abs(sourceAspect - targetAspect) / targetAspect < ASPECT_TOLERANCE;
+    const mode = matches ? 'scale' : fit.mode;
+
+    // Share of the source frame that cropping removes, or of the output frame the bars take
+    const lostShare = matches ? 0 : 1 - Math.min(sourceAspect, targetAspect) / Math.max(sourceAspect, targetAspect);
+
+    // Non-square pixels are made square first, so the fits below see the displayed shape
+    const squarePixels = source.sar && Math.abs(source.sar - 1) > ASPECT_TOLERANCE ? 'scale=iw*sar:ih,setsar=1,' : '';
+    const fill = `scale=${width}:${height}:force_original_aspect_ratio=increase:flags=lanczos`;
+    const fitInside = `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2:flags=lanczos`;
+    const { x, y } = fit.focalPoint;
+
+    const filters = {
+        scale: () => `scale=${width}:${height}:flags=lanczos`,
+        stretch: () => `scale=${width}:${height}:flags=lanczos,setsar=1`,
+        crop: () => `${fill},crop=${width}:${height}`,
+        'smart-crop': () => `${fill},crop=${width}:${height}:(iw-ow)*${x}:(ih-oh)*${y}`,
+        pad: () => `${fitInside},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${fit.padColor}`,
+        // The background is blurred at a quarter of the size, which is far faster at 4K
+        blur: () => {
+            const smallWidth = even(width / 4);
+            const smallHeight = even(height / 4);
+            return [
+                'split=2[bg][fg]',
+                `[bg]scale=${smallWidth}:${smallHeight}:force_original_aspect_ratio=increase,crop=${smallWidth}:${smallHeight},` +
+                    `boxblur=${fit.blurStrength}:2,scale=${width}:${height},setsar=1[bg]`,
+                `[fg]${fitInside},setsar=1[fg]`,
+                '[bg][fg]overlay=(W-w)/2:(H-h)/2'
+            ].join(';');
+        }
+    };
+
+    return {
+        mode,
+        sourceAspect,
+        targetAspect,
+        lostShare,
+        filter: `${squarePixels}${filters[mode]()}`
+    };
+}
+
+/**
+ * Describe a framing plan, e.g. "crop 9:16 to 16:9 (68% of the frame cut off)"
+ */
+function describeFraming(framing) {
+    const shapes = `${describeAspect(framing.sourceAspect)} to ${describeAspect(framing.targetAspect)}`;
+    const share = `${Math.round(framing.lostShare * 100)}%`;
+
+    switch (framing.mode) {
+        case 'scale':
+            return `scale (${describeAspect(framing.sourceAspect)} already fits)`;
+        case 'crop':
+        case 'smart-crop':
+            return `${framing.mode} ${shapes} (${share} of the frame cut off)`;
+        case 'pad':
+            return `pad ${shapes} (bars cover ${share} of the screen)`;
+        case 'blur':
+            return `blur ${shapes} (blurred background on ${share} of the screen)`;
+        default:
+            return `stretch ${shapes} (distorted)`;
+    }
+}
+
+module.exports = {
+    FIT_MODES,
+    describeAspect,
+    resolveFit,
+    getDisplaySize,
+    planFraming,
+    describeFraming
+};
@@ -0,0 +1,279 @@
+/**
+ * Persistent job journal for resuming interrupted runs
+ *
+ * Every job gets a JSON file in outputs/jobs/ that records the completed
+ * stages with their file paths and checksums, so a rerun can tell a finished
+ * file from a half-written one and continue after the last good stage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger');
+const Utils = require('./utils');
+const { InvalidInput, WallpaperError } = require('./errors');
+
+// Stages in pipeline order
+const STAGES = ['analyzed', 'downloaded', 'extended', 'converted', 'backed_up', 'installed'];
+
+// Bulky yt-dlp metadata no stage reads again; the chosen formats are saved on their own
+const UNSAVED_INFO_KEYS = ['formats', 'requested_formats', 'thumbnails', 'subtitles', 'automatic_captions', 'heatmap'];
+const UNSAVED_FORMAT_KEYS = ['fragments'];
+
+class JobJournal {
+    /**
+     * @param {string} filePath - Location of the journal file
+     * @param {Object} data - Journal contents
+     */
+    constructor(filePath, data) {
+        this.filePath = filePath;
+        this.data = data;
+    }
+
+    /**
+     * Directory holding all job journals
+     */
+    static getJournalDir() {
+        return path.join(CONFIG.OUTPUT_DIR, CONFIG.JOB_SETTINGS.journalDir);
+    }
+
+    /**
+     * Start a new job journal
+     *
+     * @param {Object} input - { url } or { file } as resolved by the CLI
+     * @param {Object} options - Options needed to resume the job (install, target, yes, profile, fit, focalPoint, root)
+     */
+    static async create(input, options = {}) {
+        const journalDir = this.getJournalDir();
+        Utils.ensureDirectoryExists(journalDir);
+
+        const now = new Date();
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        const name = input.url
+            ? (Utils.getUrlVideoId(input.url) || Utils.getUrlHost(input.url) || 'video')
+            : path.parse(input.file).name;
+        const id = `${stamp}-${name.replace(/[^\w-]/g, '_').substring(0, 40)}`;
+
+        const journal = new JobJournal(path.join(journalDir, `${id}.json`), {
+            id,
+            input,
+            options,
+            status: 'running',
+            error: null,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            pending: null,
+            stages: {}
+        });
+
+        await journal.save();
+        logger.file(`📒 Job journal: ${journal.filePath}`);
+
+        return journal;
+    }
+
+    /**
+     * Load a job journal by ID
+     */
+    static load(id) {
+        const filePath = path.join(this.getJournalDir(), `${id}.json`);
+
+        if (!fs.existsSync(filePath)) {
+            throw new InvalidInput(`Job not found: ${id}`);
+        }
+
+        try {
+            return new JobJournal(filePath, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        } catch (error) {
+            throw new WallpaperError(`Job journal is corrupted: ${filePath} (${error.message})`, { cause: error });
+        }
+    }
+
+    /**
+     * All job journals, newest first (unreadable journals are skipped)
+     */
+    static list() {
+        const journalDir = this.getJournalDir();
+
+        if (!fs.existsSync(journalDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(journalDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return this.load(path.basename(file, '.json'));
+                } catch (error) {
+                    logger.warning(`⚠️  Skipping unreadable job journal: ${file}`);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.data.updatedAt) - new Date(a.data.updatedAt));
+    }
+
+    /**
+     * Most recently updated job that didn't complete
+     */
+    static findLatestIncomplete() {
+        return this.list().find(journal => journal.data.status !== 'completed') || null;
+    }
+
+    get id() {
+        return this.data.id;
+    }
+
+    /**
+     * Write the journal atomically so a crash never leaves it half-written
+     */
+    async save() {
+        this.data.updatedAt = new Date().toISOString();
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+
+        // Keep the journal deletable by the original user when running with sudo
+        await Utils.fixFilePermissions(this.filePath);
+    }
+
+    /**
+     * Get the record of a completed stage
+     */
+    getStage(stage) {
+        return this.data.stages[stage] || null;
+    }
+
+    /**
+     * Check if a stage was recorded as completed
+     */
+    hasStage(stage) {
+        return Boolean(this.getStage(stage));
+    }
+
+    /**
+     * Last completed stage in pipeline order
+     */
+    getLastStage() {
+        return [...STAGES].reverse().find(stage => this.hasStage(stage)) || null;
+    }
+
+    /**
+     * Check that a completed stage's file still exists and matches its checksum
+     */
+    async isStageValid(stage) {
+        const record = this.getStage(stage);
+
+        if (!record) {
+            return false;
+        }
+
+        if (!record.path) {
+            return true;
+        }
+
+        const stats = Utils.getFileStats(record.path);
+        if (!stats || stats.size !== record.size) {
+            return false;
+        }
+
+        logger.search(`Verifying checksum of ${path.basename(record.path)}...`);
+        const checksum = await Utils.calculateChecksum(record.path);
+
+        if (checksum !== record.checksum) {
+            logger.warning(`⚠️  Checksum mismatch for ${path.basename(record.path)} - stage "${stage}" will be redone`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Mark a stage as started, so its output file is known to be incomplete until recorded
+     */
+    async begin(stage, filePath) {
+        this.data.pending = { stage, path: filePath, startedAt: new Date().toISOString() };
+        await this.save();
+    }
+
+    /**
+     * Check if a file is the output of a stage that started but never finished
+     */
+    isPending(stage, filePath) {
+        const pending = this.data.pending;
+        return Boolean(pending && pending.stage === stage && pending.path === filePath);
+    }
+
+    /**
+     * Record a completed stage with the checksum of its output file
+     */
+    async record(stage, filePath = null, extra = {}) {
+        const record = { completedAt: new Date().toISOString(), ...extra };
+
+        if (filePath) {
+            const stats = Utils.getFileStats(filePath);
+            record.path = filePath;
+            record.size = stats ? stats.size : null;
+            record.checksum = stats ? await Utils.calculateChecksum(filePath) : null;
+        }
+
+        this.data.stages[stage] = record;
+
+        if (this.data.pending && this.data.pending.stage === stage) {
+            this.data.pending = null;
+        }
+
+        await this.save();
+    }
+
+    /**
+     * Record the analysis without the format lists and other bulky metadata
+     *
+     * Everything else is kept, as later stages read fields like upload_date and
+     * extractor (filename template) or filesize_approx and tbr (preflight).
+     */
+    async recordAnalysis(analysis) {
+        const omit = (source, keys) => (source
+            ? Object.fromEntries(Object.entries(source).filter(([key]) => !keys.includes(key)))
+            : null);
+
+        await this.record('analyzed', null, {
+            info: omit(analysis.info, UNSAVED_INFO_KEYS),
+            videoFormat: omit(analysis.videoFormat, UNSAVED_FORMAT_KEYS),
+            audioFormat: omit(analysis.audioFormat, UNSAVED_FORMAT_KEYS)
+        });
+    }
+
+    /**
+     * Analysis saved by recordAnalysis
+     */
+    getAnalysis() {
+        const record = this.getStage('analyzed');
+        return record
+            ? { info: record.info, videoFormat: record.videoFormat, audioFormat: record.audioFormat }
+            : null;
+    }
+
+    /**
+     * Mark the job as finished
+     */
+    async complete() {
+        this.data.status = 'completed';
+        this.data.error = null;
+        await this.save();
+    }
+
+    /**
+     * Mark the job as failed so it can be resumed
+     */
+    async fail(error) {
+        this.data.status = 'failed';
+        this.data.error = error.message;
+        await this.save();
+    }
+}
+
+JobJournal.STAGES = STAGES;
+
+module.exports = JobJournal;
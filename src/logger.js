@@ -2,20 +2,276 @@
  * Clean and interactive logging system
  */
 
+const EventEmitter = require('events');
 const CONFIG = require('./config');
 
-class Logger {
+// Log levels from least to most output; a level shows itself and everything before it
+const LEVELS = ['error', 'warning', 'info', 'verbose', 'debug'];
+
+// Spoken-friendly prefixes replacing the symbols in plain mode
+const PLAIN_LABELS = {
+    warning: 'Warning: ',
+    error: 'Error: ',
+    debug: 'Debug: '
+};
+
+class Logger extends EventEmitter {
     constructor() {
+        super();
         this.colors = CONFIG.LOGGING.colors;
         this.symbols = CONFIG.LOGGING.symbols;
-        this.level = CONFIG.LOGGING.level;
+        this.level = null; // null follows CONFIG.LOGGING.level
+        this.plain = null; // null follows CONFIG.LOGGING.plain
         this.startTime = Date.now();
+        this.jsonMode = false;
+        this.silent = false;
+        this.output = process.stdout;
+        this.fileSink = null;
+        this.overlay = null;
+    }
+
+    /**
+     * Turn plain mode on or off, overriding CONFIG.LOGGING.plain
+     */
+    setPlain(plain = true) {
+        this.plain = plain;
+    }
+
+    /**
+     * Check if plain mode is on: no colors, emoji or box drawing, line-based progress
+     */
+    isPlain() {
+        return this.plain !== null ? this.plain : Boolean(CONFIG.LOGGING.plain);
+    }
+
+    /**
+     * Check if a stream gets colors (a terminal, unless NO_COLOR is set or in plain mode)
+     */
+    hasColor(stream = this.output) {
+        return Boolean(stream.isTTY) && !process.env.NO_COLOR && !this.isPlain();
+    }
+
+    /**
+     * Check if progress can be redrawn in place, which needs a terminal and no plain mode
+     */
+    isInteractive() {
+        return Boolean(this.output.isTTY) && !this.isPlain();
+    }
+
+    /**
+     * Remove emoji, box drawing and progress bar glyphs, for plain mode
+     */
+    toPlainText(text) {
+        return text
+            .replace(/\[[\u2580-\u259F]*\]/g, '')
+            .replace(/[\u2500-\u259F]/g, '')
+            .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}\u{20E3}]/gu, '')
+            .split('\n')
+            .map(line => line.replace(/\s{2,}/g, ' ').trim())
+            .join('\n');
+    }
+
+    /**
+     * Prompt text for readline questions, without emoji in plain mode
+     */
+    formatPrompt(text) {
+        return this.isPlain() ? `${this.toPlainText(text)} ` : text;
+    }
+
+    /**
+     * Stop writing to the terminal; 'log' and 'event' events are still emitted
+     */
+    setSilent(silent = true) {
+        this.silent = silent;
+    }
+
+    /**
+     * Set the log level, overriding CONFIG.LOGGING.level
+     *
+     * @returns {boolean} False (and the level unchanged) when the name is unknown
+     */
+    setLevel(level) {
+        if (!LEVELS.includes(level)) {
+            return false;
+        }
+
+        this.level = level;
+        return true;
+    }
+
+    /**
+     * Current log level
+     */
+    getLevel() {
+        return this.level || CONFIG.LOGGING.level;
+    }
+
+    /**
+     * Names of all log levels, least output first
+     */
+    getLevels() {
+        return [...LEVELS];
+    }
+
+    /**
+     * Check if messages of a level are shown at the current log level
+     */
+    isEnabled(level) {
+        // Success lines are info; an unknown current level behaves like info
+        const rank = LEVELS.indexOf(level === 'success' ? 'info' : level);
+        const current = LEVELS.includes(this.getLevel()) ? this.getLevel() : 'info';
+        return rank <= LEVELS.indexOf(current);
+    }
+
+    /**
+     * Send every log line, at all levels and without colors, to a function (null to stop)
+     */
+    setFileSink(sink) {
+        this.fileSink = sink;
+    }
+
+    /**
+     * Pass a line to the file sink, if there is one
+     */
+    toFile(level, text) {
+        if (!this.fileSink) {
+            return;
+        }
+
+        const prefix = level ? `${this.getElapsedTime()} ${level.toUpperCase().padEnd(7)} ` : '';
+        this.fileSink(`${prefix}${text}`.replace(/\x1b\[[0-9;]*[A-Za-z]/g, ''));
+    }
+
+    /**
+     * Switch to JSON mode: NDJSON events on stdout, human logs on stderr
+     */
+    enableJsonMode() {
+        this.jsonMode = true;
+        this.output = process.stderr;
+    }
+
+    /**
+     * Write a line of human-readable output
+     */
+    write(line, stream = this.output) {
+        if (this.silent) {
+            return;
+        }
+
+        // Keep progress rows below the log
+        if (this.overlay) {
+            this.overlay.clear();
+        }
+
+        stream.write(`${line}\n`);
+
+        if (this.overlay) {
+            this.overlay.draw();
+        }
+    }
+
+    /**
+     * Set what is drawn below the log, e.g. progress rows ({ clear(), draw() }, null for nothing)
+     */
+    setOverlay(overlay) {
+        this.overlay = overlay;
+    }
+
+    /**
+     * Write a formatted log line and emit it as a 'log' event
+     */
+    log(level, symbol, message, stream = this.output) {
+        this.toFile(level, message);
+
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        this.emit('log', { level, message });
+
+        // Lines that were only decoration have nothing left to say in plain mode
+        if (this.isPlain() && message && !this.toPlainText(message)) {
+            return;
+        }
+
+        this.write(this.formatMessage(level, symbol, message, stream), stream);
+    }
+
+    /**
+     * Print plain text without timestamp or symbol
+     */
+    print(text = '') {
+        this.toFile(null, text);
+
+        if (!this.isEnabled('info')) {
+            return;
+        }
+
+        if (this.isPlain()) {
+            const plainText = this.toPlainText(text);
+
+            // Keep blank lines, drop separators
+            if (plainText || !text) {
+                this.write(plainText);
+            }
+            return;
+        }
+
+        this.write(text);
+    }
+
+    /**
+     * Print an empty line
+     */
+    newline() {
+        this.print();
+    }
+
+    /**
+     * Write text without a line break (progress bars, waiting dots); terminals only
+     */
+    inline(text) {
+        if (!this.silent && this.isEnabled('info') && this.isInteractive()) {
+            this.output.write(text);
+        }
+    }
+
+    /**
+     * Clear the terminal (interactive human output only)
+     */
+    clear() {
+        // Clearing would take the earlier output away from screen readers
+        if (!this.jsonMode && !this.silent && !this.isPlain()) {
+            console.clear();
+        }
+    }
+
+    /**
+     * Emit a machine-readable event; written to stdout as NDJSON in JSON mode
+     */
+    event(type, data = {}) {
+        const payload = {
+            type,
+            timestamp: new Date().toISOString(),
+            elapsed: Number(((Date.now() - this.startTime) / 1000).toFixed(1)),
+            ...data
+        };
+
+        this.emit('event', payload);
+
+        if (this.jsonMode) {
+            process.stdout.write(`${JSON.stringify(payload)}\n`);
+        }
     }
 
     /**
      * Get colored text
      */
-    colorize(text, color) {
+    colorize(text, color, stream = this.output) {
+        if (!this.hasColor(stream)) {
+            return text;
+        }
+
         return `${this.colors[color]}${text}${this.colors.reset}`;
     }
 
@@ -31,10 +287,14 @@ class Logger {
     /**
      * Format log message with timestamp and symbol
      */
-    formatMessage(level, symbol, message) {
+    formatMessage(level, symbol, message, stream = this.output) {
+        if (this.isPlain()) {
+            return `${PLAIN_LABELS[level] || ''}${this.toPlainText(message)}`;
+        }
+
         const timestamp = this.getElapsedTime();
-        const coloredSymbol = this.colorize(symbol, level);
-        const coloredMessage = this.colorize(message, level);
+        const coloredSymbol = this.colorize(symbol, level, stream);
+        const coloredMessage = this.colorize(message, level, stream);
         return `${timestamp} ${coloredSymbol} ${coloredMessage}`;
     }
 
@@ -42,137 +302,151 @@ class Logger {
      * Info level logging
      */
     info(message) {
-        console.log(this.formatMessage('info', this.symbols.info, message));
+        this.log('info', this.symbols.info, message);
     }
 
     /**
      * Success level logging
      */
     success(message) {
-        console.log(this.formatMessage('success', this.symbols.success, message));
+        this.log('success', this.symbols.success, message);
     }
 
     /**
      * Warning level logging
      */
     warning(message) {
-        console.log(this.formatMessage('warning', this.symbols.warning, message));
+        this.log('warning', this.symbols.warning, message);
     }
 
     /**
      * Error level logging
      */
     error(message) {
-        console.error(this.formatMessage('error', this.symbols.error, message));
+        this.log('error', this.symbols.error, message, process.stderr);
+    }
+
+    /**
+     * Verbose level logging (commands being run, extra details)
+     */
+    verbose(message) {
+        this.log('verbose', this.symbols.verbose, message);
+    }
+
+    /**
+     * Debug level logging
+     */
+    debug(message) {
+        this.log('debug', this.symbols.debug, message);
+    }
+
+    /**
+     * Log raw output of an external tool at debug level, one line at a time
+     */
+    toolOutput(tool, chunk) {
+        if (!this.isEnabled('debug') && !this.fileSink) {
+            return;
+        }
+
+        chunk.toString().split(/[\r\n]+/).forEach(line => {
+            if (line.trim()) {
+                this.debug(`[${tool}] ${line.trimEnd()}`);
+            }
+        });
     }
 
     /**
      * Log video information
      */
     video(message) {
-        console.log(this.formatMessage('info', this.symbols.video, message));
+        this.log('info', this.symbols.video, message);
     }
 
     /**
      * Log audio information
      */
     audio(message) {
-        console.log(this.formatMessage('info', this.symbols.audio, message));
+        this.log('info', this.symbols.audio, message);
     }
 
     /**
      * Log file information
      */
     file(message) {
-        console.log(this.formatMessage('info', this.symbols.file, message));
+        this.log('info', this.symbols.file, message);
     }
 
     /**
      * Log statistics
      */
     stats(message) {
-        console.log(this.formatMessage('info', this.symbols.stats, message));
+        this.log('info', this.symbols.stats, message);
     }
 
     /**
      * Log download progress
      */
     download(message) {
-        console.log(this.formatMessage('info', this.symbols.download, message));
+        this.log('info', this.symbols.download, message);
     }
 
     /**
      * Log search/analysis
      */
     search(message) {
-        console.log(this.formatMessage('info', this.symbols.search, message));
+        this.log('info', this.symbols.search, message);
     }
 
     /**
      * Log wallpaper operations
      */
     wallpaper(message) {
-        console.log(this.formatMessage('info', this.symbols.wallpaper, message));
+        this.log('info', this.symbols.wallpaper, message);
     }
 
     /**
      * Log backup operations
      */
     backup(message) {
-        console.log(this.formatMessage('info', this.symbols.backup, message));
+        this.log('info', this.symbols.backup, message);
     }
 
     /**
      * Log installation operations
      */
     install(message) {
-        console.log(this.formatMessage('info', this.symbols.install, message));
+        this.log('info', this.symbols.install, message);
     }
 
     /**
      * Log conversion operations
      */
     convert(message) {
-        console.log(this.formatMessage('info', this.symbols.convert, message));
-    }
-
-    /**
-     * Clear current line (for progress updates)
-     */
-    clearLine() {
-        process.stdout.write('\r\x1b[K');
-    }
-
-    /**
-     * Update progress on same line
-     */
-    progress(message) {
-        this.clearLine();
-        process.stdout.write(this.formatMessage('info', this.symbols.download, message));
+        this.log('info', this.symbols.convert, message);
     }
 
     /**
-     * Finish progress update with newline
+     * Log a planned operation (dry-run mode)
      */
-    progressComplete(message) {
-        this.clearLine();
-        this.success(message);
+    plan(message) {
+        this.log('warning', this.symbols.plan, `[dry-run] ${message}`);
+        this.event('plan', { message });
     }
 
     /**
      * Print a separator line
      */
     separator() {
-        console.log(this.colorize('─'.repeat(60), 'info'));
+        this.print(this.colorize('─'.repeat(60), 'info'));
     }
 
     /**
      * Print header with title
      */
     header(title) {
-        console.log();
+        this.newline();
         this.separator();
-        console.log(this.colorize(`  ${title}`, 'info'));
+        this.print(this.colorize(`  ${title}`, 'info'));
         this.separator();
     }
 }
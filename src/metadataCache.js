@@ -0,0 +1,150 @@
+/**
+ * Cache of yt-dlp video metadata
+ *
+ * The JSON of every analyzed video is kept in outputs/metadata/ as
+ * <extractor>_<id>.json. Lookups go straight to that file when the extractor
+ * and video ID can be read from the URL (YouTube and Vimeo links in any form);
+ * for other sites index.json maps the URLs it was fetched for to the file.
+ * Within METADATA_CACHE.ttlHours a video is analyzed without asking yt-dlp
+ * again; after that the cached copy is only used when yt-dlp can't be reached,
+ * so re-converting a downloaded video works offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger');
+const Utils = require('./utils');
+
+const INDEX_FILE = 'index.json';
+
+class MetadataCache {
+    /**
+     * Directory holding the cached metadata
+     */
+    getCacheDir() {
+        return path.join(CONFIG.OUTPUT_DIR, CONFIG.METADATA_CACHE.cacheDir);
+    }
+
+    /**
+     * Cache file of a video, by extractor and video ID
+     */
+    getEntryPath(extractor, id) {
+        const name = `${extractor}_${id}`.toLowerCase().replace(/[^\w.-]/g, '_');
+        return path.join(this.getCacheDir(), `${name}.json`);
+    }
+
+    /**
+     * URL to cache file map
+     */
+    loadIndex() {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this.getCacheDir(), INDEX_FILE), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Write a JSON file through a temporary file, so readers never see half of it
+     */
+    async writeJson(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, filePath);
+
+        // Keep the cache deletable by the original user when running with sudo
+        await Utils.fixFilePermissions(filePath);
+    }
+
+    /**
+     * Cached metadata of a URL
+     *
+     * @returns {{metadata: Object, fetchedAt: string, age: number, expired: boolean}|null} Age in seconds
+     */
+    get(url) {
+        if (!CONFIG.METADATA_CACHE.enabled) {
+            return null;
+        }
+
+        // By extractor and ID first, so every link form of a video finds it; by exact URL for other sites
+        const identity = Utils.getUrlIdentity(url);
+        const indexed = this.loadIndex()[url];
+        const entry = (identity && this.readEntry(path.basename(this.getEntryPath(identity.extractor, identity.id)), identity.id))
+            || (indexed ? this.readEntry(indexed) : null);
+
+        if (!entry) {
+            return null;
+        }
+
+        const age = (Date.now() - new Date(entry.fetchedAt).getTime()) / 1000;
+
+        return {
+            metadata: entry.metadata,
+            fetchedAt: entry.fetchedAt,
+            age,
+            expired: !(age >= 0 && age < CONFIG.METADATA_CACHE.ttlHours * 3600)
+        };
+    }
+
+    /**
+     * Read a cache file; null when it is missing, unreadable or holds another video
+     *
+     * @param {string} file - Name of the file in the cache directory
+     * @param {string} id - Expected video ID; file names are lowercase, IDs aren't
+     */
+    readEntry(file, id = null) {
+        const filePath = path.join(this.getCacheDir(), file);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return id === null || entry.id === id ? entry : null;
+        } catch (error) {
+            logger.debug(`Ignoring unreadable metadata cache file ${file}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Cache the metadata of a video for the URL it was fetched with
+     *
+     * A cache that can't be written only costs a debug message, never the run.
+     *
+     * @param {string} url
+     * @param {Object} metadata - yt-dlp JSON of a single video
+     * @param {Object} identity - { extractor, id } of the video
+     */
+    async store(url, metadata, identity) {
+        if (!CONFIG.METADATA_CACHE.enabled || !identity.id) {
+            return;
+        }
+
+        try {
+            Utils.ensureDirectoryExists(this.getCacheDir());
+
+            const entryPath = this.getEntryPath(identity.extractor, identity.id);
+            await this.writeJson(entryPath, {
+                ...identity,
+                url,
+                fetchedAt: new Date().toISOString(),
+                metadata
+            });
+
+            // The page URL yt-dlp reports finds the same file for the canonical link
+            const index = this.loadIndex();
+            [url, metadata.webpage_url].filter(Boolean).forEach(key => {
+                index[key] = path.basename(entryPath);
+            });
+            await this.writeJson(path.join(this.getCacheDir(), INDEX_FILE), index);
+
+            logger.debug(`Cached metadata: ${entryPath}`);
+        } catch (error) {
+            logger.debug(`Could not cache metadata: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new MetadataCache();
@@ -0,0 +1,270 @@
+/**
+ * Disk space and encode time estimate before a job starts
+ *
+ * A job writes the download, a temporary _extended copy for short videos, the
+ * HEVC .mov, a backup of the replaced wallpaper and the installed copy. Their
+ * sizes are estimated from the selected formats and the encoding profile, added
+ * up per volume and compared with its free space, so a full disk stops the job
+ * before it starts instead of in the middle of an encode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger');
+const Utils = require('./utils');
+const systemPaths = require('./systemPaths');
+const { resolveProfile } = require('./encodingProfiles');
+const { InsufficientSpace } = require('./errors');
+
+const AAC_BITRATE = 128 * 1000;                   // ffmpeg's default AAC bitrate, bits per second
+const REFERENCE_PIXEL_RATE = 3840 * 2160 * 60;    // PREFLIGHT_SETTINGS.encodeSpeed is measured at 4K 60fps
+
+/**
+ * Bits per second of a rate like "50M" or "800k"
+ */
+function parseRate(rate) {
+    const match = String(rate).match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+    if (!match) {
+        return null;
+    }
+
+    const multiplier = { k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1;
+    return parseFloat(match[1]) * multiplier;
+}
+
+/**
+ * Expected size of a yt-dlp format in bytes, and where the number comes from
+ */
+function estimateFormatSize(format, duration) {
+    if (!format) {
+        return { bytes: 0, source: null };
+    }
+
+    if (format.filesize) {
+        return { bytes: format.filesize, source: 'reported' };
+    }
+
+    if (format.filesize_approx) {
+        return { bytes: format.filesize_approx, source: 'approximate' };
+    }
+
+    if (format.tbr && duration) {
+        return { bytes: (format.tbr * 1000 / 8) * duration, source: 'from bitrate' };
+    }
+
+    return { bytes: null, source: 'not reported' };
+}
+
+/**
+ * Size of the largest installed wallpaper, the worst case for its backup
+ */
+function getLargestWallpaperSize() {
+    try {
+        const wallpaperDir = systemPaths.getWallpaperDir();
+        return fs.readdirSync(wallpaperDir)
+            .filter(file => file.endsWith(CONFIG.WALLPAPER_SETTINGS.requiredFormat))
+            .map(file => fs.statSync(path.join(wallpaperDir, file)).size)
+            .reduce((largest, size) => Math.max(largest, size), 0);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Rough encode time of the HEVC conversion
+ *
+ * @returns {{seconds: number, encoder: string}|null}
+ */
+function estimateEncodeTime(profile, videoFormat, outputDuration) {
+    const encoder = profile.encoder === 'auto' ? 'hevc_videotoolbox' : profile.encoder;
+    const speed = CONFIG.PREFLIGHT_SETTINGS.encodeSpeed[encoder];
+    const [width, height] = profile.resolution
+        ? profile.resolution.split('x').map(Number)
+        : [videoFormat.width, videoFormat.height];
+    const fps = profile.frameRate || videoFormat.fps || 30;
+
+    if (!speed || !width || !height || !outputDuration) {
+        return null;
+    }
+
+    const pixelRate = width * height * fps;
+    return { seconds: outputDuration / (speed * REFERENCE_PIXEL_RATE / pixelRate), encoder };
+}
+
+/**
+ * Estimate what a job writes to disk and how long its encode takes
+ *
+ * @param {Object} analysis - { info, videoFormat, audioFormat } from VideoInfoAnalyzer
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory of the download, the temporary files and the .mov
+ * @param {string} options.sourcePath - Source already on disk (local file or earlier download); nothing is downloaded
+ * @param {boolean} options.skipExtend - The extended copy is already on disk
+ * @param {boolean} options.install - A wallpaper will be backed up and replaced
+ * @param {Object} options.profile - Resolved encoding profile (default: the configured profile)
+ * @returns {Object} { items, duration, outputDuration, encode }
+ */
+function estimateJob(analysis, options = {}) {
+    const { info, videoFormat, audioFormat } = analysis;
+    const profile = options.profile || resolveProfile();
+    const outputDir = options.outputDir || CONFIG.OUTPUT_DIR;
+    const duration = info.duration || null;
+    const minDuration = CONFIG.WALLPAPER_SETTINGS.minRecommendedDuration;
+    const outputDuration = duration ? Math.max(duration, minDuration) : null;
+    const items = [];
+
+    // Download: the selected formats, merged into one file
+    let sourceBytes;
+    if (options.sourcePath) {
+        const stats = Utils.getFileStats(options.sourcePath);
+        sourceBytes = stats ? stats.size : null;
+    } else {
+        const video = estimateFormatSize(videoFormat, duration);
+        const audio = estimateFormatSize(audioFormat, duration);
+        sourceBytes = video.bytes === null || audio.bytes === null ? null : video.bytes + audio.bytes;
+        items.push({ name: 'download', label: 'Download', bytes: sourceBytes, dir: outputDir, note: video.source });
+    }
+
+    // Extended copy: the source looped up to the minimum duration without re-encoding
+    if (duration && duration < minDuration && !options.skipExtend) {
+        items.push({
+            name: 'extended',
+            label: 'Extended copy',
+            bytes: sourceBytes === null ? null : sourceBytes * (minDuration / duration),
+            dir: outputDir,
+            note: `looped to ${Utils.formatTime(minDuration)}`
+        });
+    }
+
+    // HEVC .mov: profile bitrate, or the source bitrate for a CRF encode
+    const bitrate = profile.encoder === 'libx265' && profile.crf !== null
+        ? (sourceBytes && duration ? sourceBytes * 8 / duration : null)
+        : parseRate(profile.bitrate);
+    const convertedBytes = bitrate && outputDuration ? ((bitrate + AAC_BITRATE) / 8) * outputDuration : null;
+    items.push({
+        name: 'converted',
+        label: 'HEVC .mov',
+        bytes: convertedBytes,
+        dir: outputDir,
+        note: bitrate && outputDuration ? `${(bitrate / 1e6).toFixed(1)} Mbps for ${Utils.formatTime(outputDuration)}` : null
+    });
+
+    // Backup and installation of the replaced wallpaper
+    if (options.install) {
+        items.push({
+            name: 'backup',
+            label: 'Wallpaper backup',
+            bytes: getLargestWallpaperSize(),
+            dir: path.join(CONFIG.OUTPUT_DIR, CONFIG.WALLPAPER_SETTINGS.backupDir),
+            note: 'largest installed wallpaper'
+        });
+        items.push({
+            name: 'install',
+            label: 'Installed copy',
+            bytes: convertedBytes,
+            dir: systemPaths.getWallpaperDir(),
+            note: 'in the system wallpaper directory'
+        });
+    }
+
+    return {
+        items,
+        duration,
+        outputDuration,
+        encode: estimateEncodeTime(profile, videoFormat, outputDuration)
+    };
+}
+
+/**
+ * Log the estimate, one line per item
+ */
+function reportEstimate(estimate) {
+    logger.info('💽 Disk space estimate:');
+
+    estimate.items.forEach(item => {
+        const size = item.bytes === null ? 'unknown' : Utils.formatFileSize(item.bytes);
+        logger.info(`   • ${`${item.label}:`.padEnd(18)} ${size}${item.note ? ` (${item.note})` : ''}`);
+    });
+
+    if (estimate.encode) {
+        logger.info(`⏱️  Estimated encode time: ~${Utils.formatTime(estimate.encode.seconds)} with ${estimate.encode.encoder} (rough, depends on your Mac)`);
+    }
+}
+
+/**
+ * Compare the estimate with the free space of every volume it writes to
+ *
+ * @param {Object} estimate - Result of estimateJob()
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Warn instead of stopping
+ * @returns {Promise<Object[]>} Per volume: { dir, items, required, free, fits }
+ */
+async function checkDiskSpace(estimate, options = {}) {
+    const margin = CONFIG.PREFLIGHT_SETTINGS.safetyMargin;
+    const volumes = new Map();
+
+    const unknown = estimate.items.filter(item => item.bytes === null);
+    if (unknown.length > 0) {
+        logger.warning(`⚠️  Size unknown, not part of the disk space check: ${unknown.map(item => item.label).join(', ')}`);
+    }
+
+    for (const item of estimate.items.filter(item => item.bytes)) {
+        const volume = await Utils.getVolumeInfo(item.dir);
+        const key = volume ? volume.device : item.dir;
+
+        if (!volumes.has(key)) {
+            volumes.set(key, { dir: item.dir, items: [], required: 0, free: volume ? volume.free : null });
+        }
+
+        const entry = volumes.get(key);
+        entry.items.push(item);
+        entry.required += item.bytes;
+    }
+
+    const results = [...volumes.values()].map(volume => ({
+        ...volume,
+        required: Math.ceil(volume.required * (1 + margin)),
+        fits: volume.free === null || volume.required * (1 + margin) <= volume.free
+    }));
+
+    results.forEach(volume => {
+        if (volume.free === null) {
+            logger.warning(`⚠️  Could not read the free space of the volume holding ${volume.dir}`);
+        } else {
+            logger.info(`${volume.fits ? '✅' : '❌'} Volume of ${volume.dir}: needs ${Utils.formatFileSize(volume.required)}, ${Utils.formatFileSize(volume.free)} free`);
+        }
+    });
+
+    logger.event('preflight', {
+        items: estimate.items.map(({ name, bytes, dir }) => ({ name, bytes, dir })),
+        volumes: results.map(({ dir, required, free, fits }) => ({ dir, required, free, fits })),
+        encodeSeconds: estimate.encode ? Math.round(estimate.encode.seconds) : null,
+        encoder: estimate.encode ? estimate.encode.encoder : null
+    });
+
+    const full = results.filter(volume => !volume.fits);
+    if (full.length === 0) {
+        return results;
+    }
+
+    const message = full.map(volume => [
+        `Not enough disk space on the volume of ${volume.dir}: needs ${Utils.formatFileSize(volume.required)}, ${Utils.formatFileSize(volume.free)} free`,
+        ...volume.items.map(item => `   - ${item.label}: ${Utils.formatFileSize(item.bytes)}`),
+        `   - Safety margin (${Math.round(margin * 100)}%): ${Utils.formatFileSize(volume.required - volume.items.reduce((sum, item) => sum + item.bytes, 0))}`
+    ].join('\n')).join('\n');
+
+    if (options.dryRun) {
+        logger.warning(`⚠️  ${message}`);
+        logger.plan('A real run would stop here');
+        return results;
+    }
+
+    throw new InsufficientSpace(message);
+}
+
+module.exports = {
+    parseRate,
+    estimateJob,
+    reportEstimate,
+    checkDiskSpace
+};
@@ -0,0 +1,232 @@
+/**
+ * Progress display for several tasks at once
+ *
+ * Every task (download, extend, encode, backup, batch, ...) gets its own row
+ * with stage, name, bar, speed and ETA. On a terminal the rows are redrawn in
+ * place below the regular log, and a finished row collapses into a one-line
+ * summary. Without a terminal, or in plain mode, each task logs a progress
+ * line every LOGGING.progressInterval seconds instead.
+ */
+
+const CONFIG = require('./config');
+const logger = require('./logger');
+const Utils = require('./utils');
+
+const REDRAW_INTERVAL = 100; // Milliseconds between redraws on a terminal
+const STAGE_WIDTH = 8;
+const NAME_WIDTH = 20;
+const BAR_WIDTH = 12;
+
+class ProgressTask {
+    /**
+     * @param {ProgressRenderer} renderer
+     * @param {string} stage - Pipeline stage shown in the row, e.g. 'encode'
+     * @param {string} name - What the task works on, usually a file name
+     * @param {Object} options
+     * @param {string} options.symbol - Row symbol (default: the download symbol)
+     * @param {string} options.detail - Extra text after the ETA, e.g. the encoder
+     */
+    constructor(renderer, stage, name, options = {}) {
+        this.renderer = renderer;
+        this.stage = stage;
+        this.name = name;
+        this.symbol = options.symbol || logger.symbols.download;
+        this.detail = options.detail || null;
+        this.percentage = null;
+        this.speed = null;
+        this.eta = null;
+        this.startTime = Date.now();
+        this.lastLoggedAt = 0;
+    }
+
+    /**
+     * Update the row
+     *
+     * @param {Object} values
+     * @param {number} values.percentage - 0-100, null while unknown
+     * @param {string} values.speed - e.g. '3.2MiB/s' or '2.1x'
+     * @param {number|string} values.eta - Seconds, or text as reported by the tool
+     * @param {string} values.detail - Extra text after the ETA
+     */
+    update(values = {}) {
+        ['percentage', 'speed', 'eta', 'detail'].forEach(key => {
+            if (values[key] !== undefined) {
+                this[key] = values[key];
+            }
+        });
+
+        this.renderer.changed(this);
+    }
+
+    /**
+     * Remove the row and log a one-line summary
+     */
+    complete(summary = null) {
+        this.renderer.finish(this, summary || `${this.stage} finished in ${Utils.formatTime(this.getElapsed())}: ${this.name}`);
+    }
+
+    /**
+     * Remove the row; the caller reports the failure
+     */
+    fail() {
+        this.renderer.finish(this, null);
+    }
+
+    /**
+     * Seconds since the task started
+     */
+    getElapsed() {
+        return (Date.now() - this.startTime) / 1000;
+    }
+
+    /**
+     * Row text without symbol
+     */
+    format() {
+        const name = this.name.length > NAME_WIDTH ? `${this.name.substring(0, NAME_WIDTH - 1)}…` : this.name;
+        const parts = [this.stage.padEnd(STAGE_WIDTH), name.padEnd(NAME_WIDTH)];
+
+        parts.push(this.percentage === null
+            ? `running for ${Utils.formatTime(this.getElapsed())}`
+            : Utils.createProgressBar(Math.min(this.percentage, 100), BAR_WIDTH));
+
+        if (this.speed) {
+            parts.push(this.speed);
+        }
+
+        if (this.eta !== null && this.eta !== undefined) {
+            parts.push(`ETA ${typeof this.eta === 'number' ? Utils.formatTime(this.eta) : this.eta}`);
+        }
+
+        if (this.detail) {
+            parts.push(this.detail);
+        }
+
+        return parts.join('  ');
+    }
+}
+
+class ProgressRenderer {
+    constructor() {
+        this.tasks = [];
+        this.drawnRows = 0;
+        this.lastDrawAt = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Add a task row
+     *
+     * @returns {ProgressTask}
+     */
+    start(stage, name, options = {}) {
+        const task = new ProgressTask(this, stage, name, options);
+        this.tasks.push(task);
+
+        // Regular log lines are printed above the rows
+        logger.setOverlay(this);
+
+        if (this.canDraw()) {
+            this.render(true);
+        }
+
+        return task;
+    }
+
+    /**
+     * Check if rows can be redrawn in place
+     */
+    canDraw() {
+        return logger.isInteractive() && !logger.silent && logger.isEnabled('info');
+    }
+
+    /**
+     * Show a changed task: redraw the rows, or log a line when its interval is up
+     */
+    changed(task) {
+        if (this.canDraw()) {
+            this.render();
+            return;
+        }
+
+        const now = Date.now();
+        if (now - task.lastLoggedAt >= CONFIG.LOGGING.progressInterval * 1000) {
+            task.lastLoggedAt = now;
+            logger.log('info', task.symbol, task.format());
+        }
+    }
+
+    /**
+     * Redraw the rows, at most every REDRAW_INTERVAL milliseconds
+     */
+    render(force = false) {
+        const wait = REDRAW_INTERVAL - (Date.now() - this.lastDrawAt);
+
+        if (!force && wait > 0) {
+            // Make sure the last update still shows up
+            if (!this.timer) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.render(true);
+                }, wait);
+                this.timer.unref();
+            }
+            return;
+        }
+
+        this.lastDrawAt = Date.now();
+        this.clear();
+        this.draw();
+    }
+
+    /**
+     * Write the rows below the cursor
+     */
+    draw() {
+        if (!this.canDraw() || this.tasks.length === 0) {
+            return;
+        }
+
+        // Rows that wrap would break moving the cursor back up
+        const width = Math.max(20, (logger.output.columns || 80) - 4);
+        const rows = this.tasks.map(task => {
+            const row = `${task.symbol} ${task.format()}`;
+            return row.length > width ? `${row.substring(0, width - 1)}…` : row;
+        });
+
+        logger.output.write(rows.map(row => `${logger.colorize(row, 'info')}\x1b[K\n`).join(''));
+        this.drawnRows = rows.length;
+    }
+
+    /**
+     * Erase the rows and put the cursor where the first one was
+     */
+    clear() {
+        if (this.drawnRows > 0) {
+            logger.output.write(`\x1b[${this.drawnRows}A\r\x1b[J`);
+            this.drawnRows = 0;
+        }
+    }
+
+    /**
+     * Remove a task row and log its summary in its place
+     */
+    finish(task, summary) {
+        this.tasks = this.tasks.filter(other => other !== task);
+        this.clear();
+
+        if (this.tasks.length === 0) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            logger.setOverlay(null);
+        }
+
+        if (summary) {
+            logger.success(summary);
+        } else {
+            this.draw();
+        }
+    }
+}
+
+module.exports = new ProgressRenderer();
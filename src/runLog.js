@@ -0,0 +1,165 @@
+/**
+ * Persistent log file of every CLI run
+ *
+ * Each run writes its complete log - every level, including the raw yt-dlp and
+ * ffmpeg output, without ANSI colors - to outputs/logs/<run-id>.log. Old logs
+ * are deleted by count and total size (see CONFIG.LOG_SETTINGS).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger');
+const Utils = require('./utils');
+const { version } = require('../package.json');
+
+class RunLog {
+    constructor() {
+        this.id = null;
+        this.filePath = null;
+        this.fd = null;
+        this.startTime = null;
+    }
+
+    /**
+     * Directory holding all run logs
+     */
+    getLogDir() {
+        return path.join(CONFIG.OUTPUT_DIR, CONFIG.LOG_SETTINGS.logDir);
+    }
+
+    /**
+     * Open the log file of this run and start writing every log line to it
+     *
+     * A log file that can't be created only costs a warning, never the run.
+     *
+     * @param {string} command - Subcommand being run
+     * @param {string[]} argv - Command line arguments
+     * @returns {Promise<string|null>} Path of the log file
+     */
+    async start(command, argv = []) {
+        if (!CONFIG.LOG_SETTINGS.enabled || this.fd !== null) {
+            return this.filePath;
+        }
+
+        this.startTime = new Date();
+        const stamp = this.startTime.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        this.id = `${stamp}-${command}-${process.pid}`;
+
+        try {
+            Utils.ensureDirectoryExists(this.getLogDir());
+            this.filePath = path.join(this.getLogDir(), `${this.id}.log`);
+            this.fd = fs.openSync(this.filePath, 'a');
+        } catch (error) {
+            logger.warning(`⚠️  Not writing a log file for this run: ${error.message}`);
+            this.filePath = null;
+            this.fd = null;
+            return null;
+        }
+
+        [
+            `Run:      ${this.id}`,
+            `Started:  ${this.startTime.toISOString()}`,
+            `Command:  ${Utils.formatCommand('macos-live-video-wallpaper', argv)}`,
+            `Version:  ${version} (Node.js ${process.version}, ${os.platform()} ${os.release()})`,
+            `User:     ${process.env.SUDO_USER ? `${process.env.SUDO_USER} (sudo)` : os.userInfo().username}`,
+            `Cwd:      ${process.cwd()}`,
+            ''
+        ].forEach(line => this.write(line));
+
+        logger.setFileSink(line => this.write(line));
+        process.once('exit', (code) => this.finish(code));
+
+        // Keep the log deletable by the original user when running with sudo
+        await Utils.fixFilePermissions(this.filePath);
+        this.rotate();
+
+        logger.verbose(`📄 Log file: ${this.filePath}`);
+        return this.filePath;
+    }
+
+    /**
+     * Append a line to the log file
+     */
+    write(line) {
+        if (this.fd === null) {
+            return;
+        }
+
+        try {
+            fs.writeSync(this.fd, `${line}\n`);
+        } catch (error) {
+            // A full disk shouldn't take the run down with the log
+            this.fd = null;
+            logger.setFileSink(null);
+        }
+    }
+
+    /**
+     * Write the exit code and close the log file
+     */
+    finish(exitCode = process.exitCode || 0) {
+        if (this.fd === null) {
+            return;
+        }
+
+        const seconds = ((Date.now() - this.startTime.getTime()) / 1000).toFixed(1);
+        logger.setFileSink(null);
+        this.write('');
+        this.write(`Finished: ${new Date().toISOString()} with exit code ${exitCode} after ${seconds}s`);
+
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+
+    /**
+     * Point to the log file of this run, e.g. after a failure
+     */
+    reportLocation() {
+        if (this.filePath) {
+            logger.warning(`📄 Full log of this run: ${this.filePath}`);
+        }
+    }
+
+    /**
+     * Delete the oldest logs beyond LOG_SETTINGS.maxFiles or LOG_SETTINGS.maxTotalSize
+     */
+    rotate() {
+        const { maxFiles, maxTotalSize } = CONFIG.LOG_SETTINGS;
+        const logDir = this.getLogDir();
+        let count = 0;
+        let totalSize = 0;
+
+        // Run IDs start with a timestamp, so names sort oldest first
+        const logs = fs.readdirSync(logDir)
+            .filter(file => file.endsWith('.log'))
+            .sort()
+            .reverse();
+
+        logs.forEach(file => {
+            const filePath = path.join(logDir, file);
+            const stats = Utils.getFileStats(filePath);
+
+            if (!stats) {
+                return;
+            }
+
+            count++;
+            totalSize += stats.size;
+
+            if (filePath === this.filePath || (count <= maxFiles && totalSize <= maxTotalSize)) {
+                return;
+            }
+
+            try {
+                fs.unlinkSync(filePath);
+                logger.debug(`Rotated old log file: ${file}`);
+            } catch (error) {
+                logger.debug(`Could not delete old log file ${file}: ${error.message}`);
+            }
+        });
+    }
+}
+
+module.exports = new RunLog();
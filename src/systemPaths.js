@@ -0,0 +1,76 @@
+/**
+ * Resolver for every macOS system path the tool reads or writes
+ *
+ * With a sandbox root (--root or MLVW_ROOT) each system path is placed under
+ * that directory, so installs, backups, listing and refresh can be rehearsed
+ * against a fake tree, e.g. on a Linux CI machine:
+ *
+ *   <root>/Library/Application Support/com.apple.idleassetsd/Customer/4KSDR240FPS/
+ *
+ * Commands that act on the running system (launchctl, osascript, open) are
+ * skipped inside a sandbox.
+ */
+
+const path = require('path');
+const CONFIG = require('./config');
+
+class SystemPaths {
+    constructor() {
+        this.root = null;
+
+        if (process.env.MLVW_ROOT) {
+            this.setRoot(process.env.MLVW_ROOT);
+        }
+    }
+
+    /**
+     * Use a directory as sandbox root (null for the real system)
+     */
+    setRoot(root) {
+        this.root = root ? path.resolve(root) : null;
+    }
+
+    /**
+     * Check if system paths point into a sandbox
+     */
+    isSandboxed() {
+        return Boolean(this.root);
+    }
+
+    /**
+     * Place an absolute system path under the sandbox root, if there is one
+     */
+    resolve(systemPath) {
+        return this.root ? path.join(this.root, systemPath) : systemPath;
+    }
+
+    /**
+     * idleassetsd Customer directory
+     */
+    getCustomerDir() {
+        return this.resolve(CONFIG.WALLPAPER_SETTINGS.customerDir);
+    }
+
+    /**
+     * Directory holding the installed wallpaper videos
+     */
+    getWallpaperDir() {
+        return path.join(this.getCustomerDir(), CONFIG.WALLPAPER_SETTINGS.targetSubDir);
+    }
+
+    /**
+     * launchd plist of the wallpaper daemon
+     */
+    getDaemonPlist() {
+        return this.resolve(CONFIG.WALLPAPER_SETTINGS.daemonPlist);
+    }
+
+    /**
+     * Wallpaper store of a user (macOS Sonoma and later)
+     */
+    getWallpaperStore(user) {
+        return this.resolve(path.join('/Users', user, CONFIG.WALLPAPER_SETTINGS.wallpaperStore));
+    }
+}
+
+module.exports = new SystemPaths();
@@ -0,0 +1,451 @@
+/**
+ * User configuration files merged over the defaults in config.js
+ *
+ * Files are read in this order, later files overriding earlier ones:
+ *   1. ~/.config/macos-live-wallpaper/config.json ($XDG_CONFIG_HOME is respected)
+ *   2. .livewallpaperrc in the current directory (project file, JSON)
+ *
+ * Keys use the same names as CONFIG, e.g.
+ *   { "OUTPUT_DIR": "~/Movies/wallpapers", "DOWNLOAD_SETTINGS": { "retryAttempts": 5 } }
+ *
+ * MLVW_* environment variables are applied last, so they win over every file:
+ *   MLVW_OUTPUT_DIR=/Volumes/Media/wallpapers
+ *   MLVW_DOWNLOAD_SETTINGS__ENCODING_PROFILE=battery-saver
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('./config');
+const { InvalidInput } = require('./errors');
+const { PROFILE_SCHEMA } = require('./encodingProfiles');
+
+const APP_DIR = 'macos-live-wallpaper';
+const PROJECT_FILE = '.livewallpaperrc';
+const ENV_PREFIX = 'MLVW_';
+
+// MLVW_* variables that aren't CONFIG keys
+const OTHER_ENV_VARS = [
+    'MLVW_ROOT' // Sandbox root, read by systemPaths.js
+];
+
+// Settings that can't be expressed in JSON or shouldn't change outside the code
+const FIXED_KEYS = ['DEPENDENCIES', 'FILE_NAMING.invalidChars'];
+
+// Settings holding file system paths: ~ is expanded, relative paths resolve against the config file
+const PATH_KEYS = ['OUTPUT_DIR', 'WALLPAPER_SETTINGS.customerDir'];
+
+// Settings whose keys are names chosen by the user; every entry follows the given schema
+const MAP_SCHEMAS = {
+    ENCODING_PROFILES: PROFILE_SCHEMA
+};
+
+// Settings that moved, so configs written for older versions get a pointer
+const MOVED_KEYS = {
+    'DOWNLOAD_SETTINGS.targetFrameRate': 'ENCODING_PROFILES.<profile>.frameRate',
+    'DOWNLOAD_SETTINGS.targetResolution': 'ENCODING_PROFILES.<profile>.resolution'
+};
+
+/**
+ * Describe the type of a value the way schema errors report it
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof RegExp) return 'regexp';
+    return typeof value;
+}
+
+/**
+ * Describe the types a rule accepts, e.g. "a string or null"
+ */
+function describeTypes(types) {
+    return types
+        .map(type => (type === 'null' ? 'null' : `${['array', 'object'].includes(type) ? 'an' : 'a'} ${type}`))
+        .join(' or ');
+}
+
+/**
+ * Build the schema from the default values: every key keeps the type of its default
+ */
+function buildSchema(defaults, prefix = '') {
+    return Object.keys(defaults).reduce((schema, key) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const value = defaults[key];
+        const type = typeOf(value);
+
+        if (FIXED_KEYS.includes(keyPath) || type === 'regexp') {
+            return schema;
+        }
+
+        if (MAP_SCHEMAS[keyPath]) {
+            schema[key] = { type, values: MAP_SCHEMAS[keyPath] };
+        } else if (type === 'object') {
+            schema[key] = { type, properties: buildSchema(value, keyPath) };
+        } else if (type === 'array') {
+            schema[key] = { type, items: value.length > 0 ? typeOf(value[0]) : null };
+        } else {
+            schema[key] = { type };
+        }
+
+        return schema;
+    }, {});
+}
+
+/**
+ * Flatten the schema to its leaf settings; map settings expand to their current entries
+ *
+ * @returns {Array<{keyPath: string, rule: Object}>}
+ */
+function getLeaves(schema, values, prefix = '') {
+    return Object.keys(schema).reduce((leaves, key) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+
+        if (schema[key].values) {
+            Object.keys(values[key]).forEach(entry => {
+                leaves.push(...getLeaves(schema[key].values, values[key][entry], `${keyPath}.${entry}`));
+            });
+        } else if (schema[key].type === 'object') {
+            leaves.push(...getLeaves(schema[key].properties, values[key], keyPath));
+        } else {
+            leaves.push({ keyPath, rule: schema[key] });
+        }
+
+        return leaves;
+    }, []);
+}
+
+/**
+ * Environment variable for a setting: DOWNLOAD_SETTINGS.encodingProfile -> MLVW_DOWNLOAD_SETTINGS__ENCODING_PROFILE
+ */
+function toEnvName(keyPath) {
+    return ENV_PREFIX + keyPath
+        .split('.')
+        .map(part => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toUpperCase())
+        .join('__');
+}
+
+// Built before any user file is merged, so it always reflects the shipped defaults
+const SCHEMA = buildSchema(CONFIG);
+
+class UserConfig {
+    constructor() {
+        this.loaded = false;
+        this.files = [];
+        this.sources = {};
+    }
+
+    /**
+     * Config files in the order they are applied
+     */
+    getSearchPaths() {
+        const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+
+        return [
+            path.join(configHome, APP_DIR, 'config.json'),
+            path.join(process.cwd(), PROJECT_FILE)
+        ];
+    }
+
+    /**
+     * Merge every existing config file over CONFIG (only once per process)
+     *
+     * @returns {string[]} Paths of the files that were applied
+     */
+    load() {
+        if (this.loaded) {
+            return this.files;
+        }
+
+        this.loaded = true;
+
+        this.getSearchPaths()
+            .filter(filePath => fs.existsSync(filePath))
+            .forEach(filePath => this.apply(this.readFile(filePath), filePath));
+
+        this.applyEnvironment(process.env);
+
+        return this.files;
+    }
+
+    /**
+     * Read and parse a config file
+     */
+    readFile(filePath) {
+        let text;
+
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new InvalidInput(`Cannot read config file ${filePath}: ${error.message}`, { cause: error });
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new InvalidInput(`Config file ${filePath} is not valid JSON: ${error.message}`, {
+                cause: error,
+                hint: {
+                    message: 'Config files are plain JSON - no comments or trailing commas',
+                    commands: [`node -e "JSON.parse(require('fs').readFileSync('${filePath}', 'utf8'))"`]
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate values against the schema, collecting every problem
+     *
+     * @returns {string[]} Error messages, empty when valid
+     */
+    validate(values, schema = SCHEMA, prefix = '') {
+        if (typeOf(values) !== 'object') {
+            return [`${prefix ? `"${prefix}"` : 'config'} must be an object (got ${typeOf(values)})`];
+        }
+
+        return Object.keys(values).reduce((errors, key) => {
+            const keyPath = prefix ? `${prefix}.${key}` : key;
+            const rule = schema[key];
+            const value = values[key];
+            const type = typeOf(value);
+
+            if (!rule) {
+                const suggestion = Object.keys(schema).find(known => known.toLowerCase() === key.toLowerCase());
+                if (MOVED_KEYS[keyPath]) {
+                    errors.push(`"${keyPath}" moved to "${MOVED_KEYS[keyPath]}"`);
+                } else if (suggestion) {
+                    errors.push(`Unknown key "${keyPath}" (did you mean "${prefix ? `${prefix}.` : ''}${suggestion}"?)`);
+                } else {
+                    errors.push(`Unknown key "${keyPath}"`);
+                }
+                return errors;
+            }
+
+            const types = [].concat(rule.type);
+
+            if (!types.includes(type)) {
+                errors.push(`"${keyPath}" must be ${describeTypes(types)} (got ${type})`);
+                return errors;
+            }
+
+            if (rule.values) {
+                Object.keys(value).forEach(entry => {
+                    errors.push(...this.validate(value[entry], rule.values, `${keyPath}.${entry}`));
+                });
+            } else if (rule.type === 'object') {
+                errors.push(...this.validate(value, rule.properties, keyPath));
+            } else if (rule.type === 'array' && rule.items) {
+                value.forEach((item, index) => {
+                    if (typeOf(item) !== rule.items) {
+                        errors.push(`"${keyPath}[${index}]" must be a ${rule.items} (got ${typeOf(item)})`);
+                    }
+                });
+            }
+
+            return errors;
+        }, []);
+    }
+
+    /**
+     * Resolve ~ and relative paths against the directory of the config file
+     */
+    resolvePath(value, baseDir) {
+        const expanded = value === '~' || value.startsWith('~/')
+            ? path.join(os.homedir(), value.slice(1))
+            : value;
+
+        return path.resolve(baseDir, expanded);
+    }
+
+    /**
+     * Validate a parsed config file and deep-merge it over CONFIG
+     *
+     * @param {Object} values - Parsed config file
+     * @param {string} source - Where the values came from, shown by "config show"
+     */
+    apply(values, source) {
+        const errors = this.validate(values);
+
+        if (errors.length > 0) {
+            throw new InvalidInput(`Invalid config file ${source}:\n   - ${errors.join('\n   - ')}`, {
+                hint: {
+                    message: 'Fix or remove the listed keys - names and types must match the defaults in src/config.js - then check the result',
+                    commands: ['macos-live-video-wallpaper config show']
+                }
+            });
+        }
+
+        const merge = (target, overrides, prefix) => {
+            Object.keys(overrides).forEach(key => {
+                const keyPath = prefix ? `${prefix}.${key}` : key;
+                const value = overrides[key];
+
+                if (typeOf(value) === 'object') {
+                    // New entries of map settings, e.g. a user-defined encoding profile
+                    if (!target[key]) {
+                        target[key] = {};
+                    }
+                    merge(target[key], value, keyPath);
+                    return;
+                }
+
+                // Arrays replace the default rather than extending it
+                target[key] = PATH_KEYS.includes(keyPath)
+                    ? this.resolvePath(value, path.dirname(source))
+                    : value;
+                this.sources[keyPath] = source;
+            });
+        };
+
+        merge(CONFIG, values, '');
+        this.files.push(source);
+    }
+
+    /**
+     * Convert an environment variable string to the type of a setting
+     *
+     * @returns {{value: *, error: string}}
+     */
+    coerce(text, type) {
+        const raw = text.trim();
+        const types = [].concat(type);
+
+        if (types.includes('null') && ['', 'null'].includes(raw)) {
+            return { value: null };
+        }
+
+        switch (types.find(candidate => candidate !== 'null')) {
+            case 'number': {
+                const value = Number(raw);
+                return raw !== '' && Number.isFinite(value)
+                    ? { value }
+                    : { error: `expected a number (got "${text}")` };
+            }
+
+            case 'boolean':
+                if (['true', '1', 'yes', 'on'].includes(raw.toLowerCase())) return { value: true };
+                if (['false', '0', 'no', 'off'].includes(raw.toLowerCase())) return { value: false };
+                return { error: `expected true/false, 1/0, yes/no or on/off (got "${text}")` };
+
+            default:
+                return { value: text };
+        }
+    }
+
+    /**
+     * Convert an environment variable to an array: a JSON array or a comma-separated list
+     */
+    coerceArray(text, itemType) {
+        let items;
+
+        if (text.trim().startsWith('[')) {
+            try {
+                items = JSON.parse(text);
+            } catch (error) {
+                return { error: `not a valid JSON array (${error.message})` };
+            }
+
+            if (!Array.isArray(items)) {
+                return { error: 'expected a JSON array' };
+            }
+
+            const invalid = items.findIndex(item => itemType && typeOf(item) !== itemType);
+            return invalid === -1
+                ? { value: items }
+                : { error: `item ${invalid} must be a ${itemType} (got ${typeOf(items[invalid])})` };
+        }
+
+        const values = [];
+        const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+
+        for (const part of parts) {
+            const { value, error } = this.coerce(part, itemType);
+            if (error) {
+                return { error: `item "${part}": ${error}` };
+            }
+            values.push(value);
+        }
+
+        return { value: values };
+    }
+
+    /**
+     * Apply MLVW_* environment variables, collecting every problem
+     */
+    applyEnvironment(env) {
+        const leaves = getLeaves(SCHEMA, CONFIG);
+        const byEnvName = new Map(leaves.map(leaf => [toEnvName(leaf.keyPath), leaf]));
+        const movedByEnvName = new Map(Object.keys(MOVED_KEYS).map(keyPath => [toEnvName(keyPath), MOVED_KEYS[keyPath]]));
+        const errors = [];
+        const overrides = [];
+
+        Object.keys(env)
+            .filter(name => name.startsWith(ENV_PREFIX) && !OTHER_ENV_VARS.includes(name))
+            .sort()
+            .forEach(name => {
+                const leaf = byEnvName.get(name);
+                const movedTo = movedByEnvName.get(name);
+
+                if (movedTo) {
+                    errors.push(`${name}: moved to ${movedTo} (${toEnvName(movedTo)})`);
+                    return;
+                }
+
+                if (!leaf) {
+                    const suggestion = [...byEnvName.keys()].find(known => known.replace(/_/g, '') === name.replace(/_/g, ''));
+                    errors.push(suggestion ? `${name}: unknown setting (did you mean ${suggestion}?)` : `${name}: unknown setting`);
+                    return;
+                }
+
+                const { value, error } = leaf.rule.type === 'array'
+                    ? this.coerceArray(env[name], leaf.rule.items)
+                    : this.coerce(env[name], leaf.rule.type);
+
+                if (error) {
+                    errors.push(`${name}: ${error}`);
+                    return;
+                }
+
+                overrides.push({ name, keyPath: leaf.keyPath, value });
+            });
+
+        if (errors.length > 0) {
+            throw new InvalidInput(`Invalid environment overrides:\n   - ${errors.join('\n   - ')}`, {
+                hint: {
+                    message: 'Fix or unset the listed variables; "config show --json" lists the variable of every setting',
+                    commands: ['macos-live-video-wallpaper config show --json']
+                }
+            });
+        }
+
+        overrides.forEach(({ name, keyPath, value }) => {
+            const parts = keyPath.split('.');
+            const key = parts.pop();
+            const target = parts.reduce((section, part) => section[part], CONFIG);
+
+            target[key] = PATH_KEYS.includes(keyPath) ? this.resolvePath(value, process.cwd()) : value;
+            this.sources[keyPath] = `env ${name}`;
+        });
+    }
+
+    /**
+     * Every configurable value with the place it came from
+     *
+     * @returns {Array<{key: string, env: string, value: *, source: string}>}
+     */
+    describe() {
+        return getLeaves(SCHEMA, CONFIG)
+            .map(({ keyPath }) => ({
+                key: keyPath,
+                env: toEnvName(keyPath),
+                value: keyPath.split('.').reduce((section, part) => section[part], CONFIG),
+                source: this.sources[keyPath] || 'default'
+            }))
+            // Optional fields a map entry leaves out, like the extends of a built-in profile
+            .filter(entry => entry.value !== undefined);
+    }
+}
+
+UserConfig.PROJECT_FILE = PROJECT_FILE;
+
+module.exports = new UserConfig();
@@ -5,6 +5,36 @@
 const fs = require('fs');
 const path = require('path');
 const CONFIG = require('./config');
+const { InvalidInput } = require('./errors');
+
+// Tokens available in FILE_NAMING.template
+const FILENAME_TOKENS = ['title', 'id', 'extractor', 'uploader', 'upload_date', 'quality', 'height', 'width', 'fps', 'vcodec', 'profile', 'ext'];
+
+// Values of FILE_NAMING.onCollision
+const COLLISION_POLICIES = ['skip', 'overwrite', 'suffix', 'date'];
+
+// Remediation for FILE_NAMING settings that can't be used
+const FILE_NAMING_HINT = {
+    message: 'Fix FILE_NAMING in your config file or MLVW_FILE_NAMING__* variables, then check the result',
+    commands: ['macos-live-video-wallpaper config show']
+};
+
+// Hosts (without "www.") of sites whose yt-dlp extractor is known from the URL alone
+const URL_EXTRACTORS = {
+    'youtube.com': 'Youtube',
+    'm.youtube.com': 'Youtube',
+    'music.youtube.com': 'Youtube',
+    'youtube-nocookie.com': 'Youtube',
+    'youtu.be': 'Youtube',
+    'vimeo.com': 'Vimeo',
+    'player.vimeo.com': 'Vimeo'
+};
+
+// Letters that Unicode normalization doesn't reduce to ASCII
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+    'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th', 'ı': 'i'
+};
 
 class Utils {
     /**
@@ -51,23 +81,75 @@ class Utils {
     }
 
     /**
-     * Create safe filename from title
+     * Replace accented and other Latin letters with their ASCII equivalents
+     *
+     * Letters of other scripts (Japanese, Arabic, ...) are left as they are.
      */
-    static createSafeFilename(title, quality, extension) {
+    static transliterate(text) {
+        return text
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\x00-\x7F]/g, char => TRANSLITERATIONS[char] || char);
+    }
+
+    /**
+     * Turn a value into a file name part: transliterated, without invalid characters, spaces replaced
+     */
+    static toFilenamePart(value) {
         const config = CONFIG.FILE_NAMING;
-        
-        // Clean title
-        const safeTitle = title
+
+        return this.transliterate(String(value))
             .replace(config.invalidChars, '')
-            .replace(/\s+/g, config.spaceReplacement)
-            .substring(0, config.maxTitleLength)
-            .trim();
-        
-        // Create filename
-        return config.template
-            .replace('{title}', safeTitle)
-            .replace('{quality}', quality)
-            .replace('{ext}', extension);
+            .trim()
+            .replace(/\s+/g, config.spaceReplacement);
+    }
+
+    /**
+     * File name part for a title, or the video ID when the title can't be written in ASCII
+     *
+     * Titles in scripts without a transliteration would otherwise lose all their
+     * letters and different videos would end up with the same name.
+     */
+    static createSafeTitle(title, fallback) {
+        const transliterated = this.transliterate(title || '');
+        const hasForeignLetters = /\p{L}/u.test(transliterated.replace(/[\x00-\x7F]/g, ''));
+        const safeTitle = hasForeignLetters
+            ? ''
+            : this.toFilenamePart(transliterated).substring(0, CONFIG.FILE_NAMING.maxTitleLength);
+
+        return safeTitle || this.toFilenamePart(fallback || 'video');
+    }
+
+    /**
+     * Create safe filename from FILE_NAMING.template
+     *
+     * @param {Object} tokens - Values for the template tokens (see FILENAME_TOKENS); missing values become "unknown"
+     */
+    static createSafeFilename(tokens) {
+        const template = CONFIG.FILE_NAMING.template;
+        const unknownTokens = (template.match(/\{[^}]*\}/g) || [])
+            .map(token => token.slice(1, -1))
+            .filter(token => !FILENAME_TOKENS.includes(token));
+
+        if (unknownTokens.length > 0) {
+            throw new InvalidInput(`Unknown token {${unknownTokens[0]}} in FILE_NAMING.template "${template}" (available: ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')})`, { hint: FILE_NAMING_HINT });
+        }
+
+        if (!template.endsWith('.{ext}')) {
+            throw new InvalidInput(`FILE_NAMING.template "${template}" must end with .{ext}`, { hint: FILE_NAMING_HINT });
+        }
+
+        const values = {};
+        FILENAME_TOKENS.forEach(token => {
+            const value = tokens[token];
+            values[token] = value === null || value === undefined || value === ''
+                ? 'unknown'
+                : this.toFilenamePart(value) || 'unknown';
+        });
+
+        values.title = this.createSafeTitle(tokens.title, tokens.id);
+
+        return template.replace(/\{(\w+)\}/g, (match, token) => values[token]);
     }
 
     /**
@@ -79,6 +161,31 @@ class Utils {
         }
     }
 
+    /**
+     * Copy a file through streams, reporting progress
+     *
+     * @param {Function} onProgress - Called with (copiedBytes, totalBytes)
+     */
+    static copyFileWithProgress(source, destination, onProgress = () => {}) {
+        return new Promise((resolve, reject) => {
+            const total = fs.statSync(source).size;
+            const reader = fs.createReadStream(source);
+            const writer = fs.createWriteStream(destination);
+            let copied = 0;
+
+            reader.on('data', (chunk) => {
+                copied += chunk.length;
+                onProgress(copied, total);
+            });
+
+            reader.on('error', reject);
+            writer.on('error', reject);
+            writer.on('finish', () => resolve(copied));
+
+            reader.pipe(writer);
+        });
+    }
+
     /**
      * Get file stats if file exists
      */
@@ -94,35 +201,100 @@ class Utils {
     }
 
     /**
-     * Validate YouTube URL
+     * Get the volume holding a path and its free space
+     *
+     * The path doesn't need to exist yet: its nearest existing parent is checked.
+     *
+     * @returns {Promise<{device: number, free: number}|null>} Device ID and free bytes, null if unknown
      */
-    static validateYouTubeUrl(url) {
-        const patterns = [
-            /^https?:\/\/(www\.)?youtube\.com\/watch\?v=[\w-]+/,
-            /^https?:\/\/(www\.)?youtu\.be\/[\w-]+/,
-            /^https?:\/\/(www\.)?youtube\.com\/embed\/[\w-]+/,
-            /^https?:\/\/(www\.)?youtube\.com\/v\/[\w-]+/
-        ];
-        
-        return patterns.some(pattern => pattern.test(url));
+    static async getVolumeInfo(targetPath) {
+        let existingPath = path.resolve(targetPath);
+        while (!fs.existsSync(existingPath) && path.dirname(existingPath) !== existingPath) {
+            existingPath = path.dirname(existingPath);
+        }
+
+        try {
+            const device = fs.statSync(existingPath).dev;
+
+            if (fs.statfsSync) {
+                const stats = fs.statfsSync(existingPath);
+                return { device, free: stats.bavail * stats.bsize };
+            }
+
+            // Node.js before 18.15 has no statfs; loaded here because the command runner depends on this module
+            const commandRunner = require('./commandRunner');
+            const result = await commandRunner.run('df', ['-Pk', existingPath]);
+            const available = parseInt(result.stdout.trim().split('\n').pop().split(/\s+/)[3], 10);
+            return Number.isFinite(available) ? { device, free: available * 1024 } : null;
+        } catch (error) {
+            return null;
+        }
     }
 
     /**
-     * Extract video ID from YouTube URL
+     * Check if input is an http(s) URL
+     *
+     * Only the syntax is checked; whether a site is supported is up to yt-dlp
+     * (see VideoInfoAnalyzer.getMetadata).
      */
-    static extractVideoId(url) {
-        const patterns = [
-            /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/)([^&\n?#]+)/
-        ];
-        
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match) {
-                return match[1];
+    static isUrl(input) {
+        return this.getUrlHost(input) !== null;
+    }
+
+    /**
+     * Host name of an http(s) URL without "www.", or null if input is no such URL
+     */
+    static getUrlHost(input) {
+        try {
+            const url = new URL(input);
+            if (!['http:', 'https:'].includes(url.protocol) || !url.hostname) {
+                return null;
             }
+            return url.hostname.replace(/^www\./, '');
+        } catch (error) {
+            return null;
         }
-        
-        return null;
+    }
+
+    /**
+     * Video ID in a URL: the v parameter of watch links, otherwise the last path segment
+     *
+     * Only a guess for naming things before yt-dlp reports the real ID; null when the URL has neither.
+     */
+    static getUrlVideoId(input) {
+        if (this.getUrlHost(input) === null) {
+            return null;
+        }
+
+        const url = new URL(input);
+        const segments = url.pathname.split('/').filter(Boolean);
+        return url.searchParams.get('v') || segments[segments.length - 1] || null;
+    }
+
+    /**
+     * Extractor and video ID of a URL on a well-known site, the way yt-dlp will report them
+     *
+     * Lets a YouTube video be recognized under youtu.be, /shorts/, m. or &t= links
+     * without asking yt-dlp; null for other sites.
+     *
+     * @returns {{extractor: string, id: string}|null}
+     */
+    static getUrlIdentity(input) {
+        const extractor = URL_EXTRACTORS[this.getUrlHost(input)];
+        const id = extractor ? this.getUrlVideoId(input) : null;
+        return id ? { extractor, id } : null;
+    }
+
+    /**
+     * Check if input looks like a local video file rather than a URL
+     */
+    static isLocalVideoFile(input) {
+        if (/^[a-z]+:\/\//i.test(input)) {
+            return false;
+        }
+
+        const extension = path.extname(input).toLowerCase();
+        return CONFIG.LOCAL_FILE_SETTINGS.supportedExtensions.includes(extension);
     }
 
     /**
@@ -188,11 +360,29 @@ class Utils {
     }
 
     /**
-     * Sanitize input for shell commands
+     * Format a command and its arguments as a copy-pasteable shell line
+     */
+    static formatCommand(command, args = []) {
+        const quote = (arg) => {
+            const value = String(arg);
+            if (value && /^[\w@%+=:,./-]+$/.test(value)) {
+                return value;
+            }
+            return `'${value.replace(/'/g, `'\\''`)}'`;
+        };
+
+        return [command, ...args].map(quote).join(' ');
+    }
+
+    /**
+     * Get the last non-empty lines of tool output (progress updates split on \r count as lines)
      */
-    static sanitizeInput(input) {
-        // Remove potentially dangerous characters
-        return input.replace(/[;&|`$(){}[\]]/g, '');
+    static lastLines(text, count = 15) {
+        return text.split(/[\r\n]+/)
+            .map(line => line.trimEnd())
+            .filter(line => line.trim())
+            .slice(-count)
+            .join('\n');
     }
 
     /**
@@ -204,32 +394,67 @@ class Utils {
     }
 
     /**
-     * Check if file already exists and get alternative name
+     * Get the path to write to when a file with the same name may exist
+     *
+     * Policies (FILE_NAMING.onCollision):
+     *   skip      keep the existing file and use it instead of creating a new one
+     *   overwrite replace the existing file
+     *   suffix    write to name_1, name_2, ...
+     *   date      write to name_<YYYYMMDD-HHMMSS>
+     *
+     * @param {string} basePath - Path the file would get
+     * @param {Object} options
+     * @param {string} options.policy - Collision policy (default FILE_NAMING.onCollision)
+     * @param {string[]} options.relatedExtensions - Extensions of files derived from this one that count as a collision too, e.g. the .mov converted from a download
+     * @returns {{path: string, collision: boolean}} Path to use, and whether it (or a related file) already exists
      */
-    static getUniqueFilename(basePath) {
-        if (!fs.existsSync(basePath)) {
-            return basePath;
+    static resolveCollision(basePath, options = {}) {
+        const policy = options.policy || CONFIG.FILE_NAMING.onCollision;
+        const relatedExtensions = options.relatedExtensions || [];
+
+        if (!COLLISION_POLICIES.includes(policy)) {
+            throw new InvalidInput(`Unknown collision policy: ${policy} (use one of: ${COLLISION_POLICIES.join(', ')})`, { hint: FILE_NAMING_HINT });
         }
-        
+
+        const isTaken = (candidate) => [candidate, ...relatedExtensions.map(extension => candidate.replace(/\.[^.]+$/, extension))]
+            .some(filePath => fs.existsSync(filePath));
+
+        if (!isTaken(basePath)) {
+            return { path: basePath, collision: false };
+        }
+
+        if (policy === 'skip' || policy === 'overwrite') {
+            return { path: basePath, collision: true };
+        }
+
         const dir = path.dirname(basePath);
         const ext = path.extname(basePath);
-        const name = path.basename(basePath, ext);
-        
+        let name = path.basename(basePath, ext);
+
+        if (policy === 'date') {
+            const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+            name = `${name}_${stamp}`;
+
+            if (!isTaken(path.join(dir, `${name}${ext}`))) {
+                return { path: path.join(dir, `${name}${ext}`), collision: false };
+            }
+        }
+
         let counter = 1;
         let newPath;
-        
+
         do {
             newPath = path.join(dir, `${name}_${counter}${ext}`);
             counter++;
-        } while (fs.existsSync(newPath));
-        
-        return newPath;
+        } while (isTaken(newPath));
+
+        return { path: newPath, collision: false };
     }
 
     /**
-     * Format date for display
+     * Format a yt-dlp upload date (YYYYMMDD) for display
      */
-    static formatDate(dateString) {
+    static formatUploadDate(dateString) {
         if (!dateString) return 'Unknown date';
 
         try {
@@ -247,55 +472,45 @@ class Utils {
         }
     }
 
+    /**
+     * Calculate the SHA-256 checksum of a file without loading it into memory
+     */
+    static calculateChecksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const crypto = require('crypto');
+            const hash = crypto.createHash('sha256');
+            const stream = fs.createReadStream(filePath);
+
+            stream.on('data', (chunk) => hash.update(chunk));
+            stream.on('end', () => resolve(hash.digest('hex')));
+            stream.on('error', reject);
+        });
+    }
+
     /**
      * Fix file permissions for files created with sudo
      */
     static async fixFilePermissions(filePath) {
-        return new Promise((resolve) => {
-            try {
-                const {spawn} = require('child_process');
-
-                // Get the original user info when running with sudo
-                const originalUser = process.env.SUDO_USER || process.env.USER;
-                const originalUid = process.env.SUDO_UID;
-                const originalGid = process.env.SUDO_GID;
-
-                if (originalUser && originalUid && originalGid) {
-                    // Change ownership back to original user
-                    const chownProcess = spawn('chown', [`${originalUid}:${originalGid}`, filePath], {
-                        stdio: 'pipe'
-                    });
-
-                    chownProcess.on('close', (code) => {
-                        if (code === 0) {
-                            try {
-                                // Set readable/writable permissions for user and group
-                                fs.chmodSync(filePath, 0o664); // rw-rw-r--
-                                resolve(true);
-                            } catch (chmodError) {
-                                resolve(false);
-                            }
-                        } else {
-                            resolve(false);
-                        }
-                    });
-
-                    chownProcess.on('error', () => {
-                        resolve(false);
-                    });
-                } else {
-                    // Not running with sudo, just ensure good permissions
-                    try {
-                        fs.chmodSync(filePath, 0o664); // rw-rw-r--
-                        resolve(true);
-                    } catch (error) {
-                        resolve(false);
-                    }
-                }
-            } catch (error) {
-                resolve(false);
-            }
-        });
+        // Loaded here: the command runner depends on this module
+        const commandRunner = require('./commandRunner');
+
+        // Get the original user info when running with sudo
+        const originalUser = process.env.SUDO_USER || process.env.USER;
+        const originalUid = process.env.SUDO_UID;
+        const originalGid = process.env.SUDO_GID;
+
+        // Change ownership back to original user
+        if (originalUser && originalUid && originalGid && !await commandRunner.succeeds('chown', [`${originalUid}:${originalGid}`, filePath])) {
+            return false;
+        }
+
+        try {
+            // Set readable/writable permissions for user and group
+            fs.chmodSync(filePath, 0o664); // rw-rw-r--
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
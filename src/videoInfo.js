@@ -2,73 +2,222 @@
  * Video information retrieval and analysis
  */
 
-const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
 const CONFIG = require('./config');
 const logger = require('./logger');
 const Utils = require('./utils');
+const commandRunner = require('./commandRunner');
+const metadataCache = require('./metadataCache');
+const { evaluateFormats, explainDecisions } = require('./formatPolicy');
+const { findFormat, pickFormats } = require('./formatPicker');
+const {
+    InvalidInput,
+    NetworkError,
+    VideoUnavailable,
+    fromYtDlpOutput,
+    withContext
+} = require('./errors');
 
 class VideoInfoAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.refreshMetadata - Ask yt-dlp even when the metadata cache has the video
+     * @param {boolean} options.dryRun - Read the metadata cache, but don't write to it
+     * @param {boolean} options.explainFormats - Log why each video format was accepted, rejected or ranked
+     * @param {boolean} options.pickFormat - List every format and let the user choose (see formatPicker.js)
+     * @param {string} options.videoFormat - yt-dlp format ID of the video to download instead of the recommended one
+     * @param {string} options.audioFormat - yt-dlp format ID of the audio to download instead of the recommended one
+     */
+    constructor(options = {}) {
         this.videoPrefs = CONFIG.VIDEO_PREFERENCES;
         this.audioPrefs = CONFIG.AUDIO_PREFERENCES;
+        this.refreshMetadata = Boolean(options.refreshMetadata);
+        this.dryRun = Boolean(options.dryRun);
+        this.explainFormats = Boolean(options.explainFormats);
+        this.pickFormat = Boolean(options.pickFormat);
+        this.videoFormatId = options.videoFormat || null;
+        this.audioFormatId = options.audioFormat || null;
     }
 
     /**
-     * Run yt-dlp command and return promise
+     * Run a yt-dlp metadata command
      */
-    runYtDlp(args, options = {}) {
-        return new Promise((resolve, reject) => {
-            const process = spawn('yt-dlp', args, { 
-                stdio: options.silent ? 'pipe' : 'inherit',
-                ...options 
-            });
-            
-            let stdout = '';
-            let stderr = '';
-            
-            if (options.silent) {
-                process.stdout.on('data', (data) => {
-                    stdout += data.toString();
-                });
-                
-                process.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
-            }
-            
-            process.on('close', (code) => {
-                if (code === 0) {
-                    resolve({ stdout, stderr });
-                } else {
-                    reject(new Error(`yt-dlp failed with code ${code}: ${stderr}`));
-                }
-            });
-            
-            process.on('error', (err) => {
-                reject(err);
-            });
+    runYtDlp(args) {
+        return commandRunner.run('yt-dlp', args, {
+            timeout: CONFIG.COMMAND_SETTINGS.metadataTimeout,
+            // "timed out" in the output makes a timeout a NetworkError
+            toError: (result) => fromYtDlpOutput(`${result.stderr}\n${result.message}`,
+                result.stderr.trim() ? `${result.message}: ${result.stderr.trim()}` : result.message)
         });
     }
 
     /**
-     * Get video information from URL
+     * Run ffprobe on a local file and return the parsed JSON
      */
-    async getVideoInfo(url) {
+    async runFfprobe(filePath) {
+        const result = await commandRunner.run('ffprobe', [
+            '-v', 'quiet',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            filePath
+        ], {
+            toError: (failed) => new InvalidInput(`Not a readable video file: ${filePath} (${failed.message}) ${failed.stderr}`.trim())
+        });
+
+        try {
+            return JSON.parse(result.stdout);
+        } catch (error) {
+            throw new InvalidInput(`Failed to parse ffprobe output: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse an ffprobe frame rate such as "60000/1001"
+     */
+    parseFrameRate(rate) {
+        if (!rate) {
+            return null;
+        }
+
+        const [numerator, denominator = 1] = rate.split('/').map(Number);
+        if (!numerator || !denominator) {
+            return null;
+        }
+
+        return Math.round((numerator / denominator) * 100) / 100;
+    }
+
+    /**
+     * Ask yt-dlp for the metadata of a URL
+     *
+     * Works for every site yt-dlp has an extractor for, and for direct video
+     * and HLS (.m3u8) links through its generic extractor. Playlists come back
+     * flat (entries without formats); "Unsupported URL" becomes InvalidInput.
+     *
+     * Single videos come from the metadata cache while it is fresh, and from an
+     * expired cache entry when yt-dlp can't reach the site.
+     */
+    async getMetadata(url) {
+        const cached = this.refreshMetadata ? null : metadataCache.get(url);
+
+        if (cached && !cached.expired) {
+            logger.info(`📦 Using metadata cached ${Utils.formatTime(cached.age)} ago (--refresh-metadata fetches it again)`);
+            return cached.metadata;
+        }
+
+        let metadata;
         try {
-            logger.search('Retrieving video information...');
-            
             const result = await this.runYtDlp([
-                '--dump-json',
+                '--dump-single-json',
+                '--flat-playlist',
+                '--no-playlist',
                 '--no-download',
                 url
-            ], { silent: true });
-            
-            const info = JSON.parse(result.stdout);
-            logger.success('Video information retrieved successfully');
-            
+            ]);
+            metadata = JSON.parse(result.stdout);
+        } catch (error) {
+            // Offline, old metadata beats no analysis at all
+            if (cached && error instanceof NetworkError) {
+                logger.warning(`⚠️  ${error.message}`);
+                logger.warning(`📦 Offline - using metadata cached ${Utils.formatTime(cached.age)} ago`);
+                return cached.metadata;
+            }
+            throw error;
+        }
+
+        // Playlists change, so only single videos are cached
+        if (!this.isPlaylist(metadata) && !this.dryRun) {
+            await metadataCache.store(url, metadata, this.getIdentity(metadata));
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Check if metadata describes a playlist rather than a single video
+     */
+    isPlaylist(metadata) {
+        return metadata._type === 'playlist' || metadata._type === 'multi_video';
+    }
+
+    /**
+     * Identity of a video as reported by yt-dlp: the matching extractor and its video ID
+     */
+    getIdentity(info) {
+        return {
+            extractor: info.extractor_key || info.ie_key || info.extractor || 'Generic',
+            id: info.id || null
+        };
+    }
+
+    /**
+     * Get video information from URL
+     */
+    async getVideoInfo(url) {
+        try {
+            logger.search('Retrieving video information...');
+
+            const info = await this.getMetadata(url);
+
+            if (this.isPlaylist(info)) {
+                throw new InvalidInput(`${url} is a playlist (${(info.entries || []).length} videos), not a single video`, {
+                    hint: {
+                        message: 'Process every video of a playlist with batch mode',
+                        commands: [Utils.formatCommand('macos-live-video-wallpaper', ['--batch', url])]
+                    }
+                });
+            }
+
+            const { extractor, id } = this.getIdentity(info);
+            logger.success(`Video information retrieved successfully (${extractor} ${id})`);
+
             return info;
         } catch (error) {
-            throw new Error(`Failed to get video info: ${error.message}`);
+            throw withContext(error, 'Failed to get video info');
+        }
+    }
+
+    /**
+     * Resolve a URL into the videos behind it: the entries of a playlist, or the video itself
+     *
+     * Single videos keep their full metadata in `info`, so they don't need to be fetched again.
+     *
+     * @returns {Promise<Array<{url: string, id: string, extractor: string, title: string, info: Object}>>}
+     */
+    async resolveEntries(url) {
+        try {
+            logger.search(`Resolving ${url}...`);
+
+            const metadata = await this.getMetadata(url);
+
+            if (!this.isPlaylist(metadata)) {
+                return [{
+                    url,
+                    ...this.getIdentity(metadata),
+                    title: metadata.title || null,
+                    info: metadata
+                }];
+            }
+
+            const playlistIdentity = this.getIdentity(metadata);
+            const entries = (metadata.entries || [])
+                .filter(entry => entry && entry.id)
+                .map(entry => ({
+                    url: [entry.url, entry.webpage_url].find(candidate => Utils.isUrl(candidate)) || null,
+                    extractor: entry.ie_key || playlistIdentity.extractor,
+                    id: entry.id,
+                    title: entry.title || entry.id,
+                    info: null
+                }))
+                .filter(entry => entry.url);
+
+            logger.success(`Found ${entries.length} videos in playlist: ${metadata.title || url}`);
+
+            return entries;
+        } catch (error) {
+            throw withContext(error, 'Failed to resolve URL');
         }
     }
 
@@ -76,13 +225,16 @@ class VideoInfoAnalyzer {
      * Display video information
      */
     displayVideoInfo(info) {
+        const { extractor, id } = this.getIdentity(info);
+
         logger.header('Video Information');
         
         logger.video(`Title: ${info.title}`);
+        logger.video(`Source: ${extractor} (${id})`);
         logger.video(`Uploader: ${info.uploader || 'Unknown'}`);
         logger.video(`Duration: ${Utils.formatDuration(info.duration)}`);
         logger.video(`Views: ${Utils.formatNumber(info.view_count)}`);
-        logger.video(`Upload Date: ${Utils.formatDate(info.upload_date)}`);
+        logger.video(`Upload Date: ${Utils.formatUploadDate(info.upload_date)}`);
         
         if (info.description) {
             const shortDesc = info.description.substring(0, 100) + (info.description.length > 100 ? '...' : '');
@@ -96,13 +248,11 @@ class VideoInfoAnalyzer {
     analyzeFormats(formats) {
         logger.search('Analyzing available formats...');
         
-        // Filter video formats
+        // Filter video formats (direct links and some HLS streams don't report codec or height);
+        // the format policy decides which containers are allowed
         const videoFormats = formats.filter(f => 
-            f.vcodec && 
             f.vcodec !== 'none' && 
-            f.height && 
-            f.ext !== 'mhtml' &&
-            this.videoPrefs.preferredFormats.includes(f.ext)
+            f.ext !== 'mhtml'
         );
         
         // Filter audio formats
@@ -119,53 +269,40 @@ class VideoInfoAnalyzer {
     }
 
     /**
-     * Find best video format based on preferences
+     * Find the best video format under the format policy (see formatPolicy.js)
      */
     findBestVideoFormat(videoFormats) {
         if (videoFormats.length === 0) {
-            throw new Error('No suitable video formats found');
+            throw new VideoUnavailable('No suitable video formats found');
         }
-        
-        // Group by resolution
-        const resolutions = [...new Set(videoFormats.map(f => f.height))].sort((a, b) => b - a);
-        const maxResolution = Math.min(resolutions[0], this.videoPrefs.maxResolution);
-        
-        logger.stats(`Available resolutions: ${resolutions.join('p, ')}p`);
-        logger.stats(`Selected resolution: ${maxResolution}p`);
-        
-        // Filter by max resolution
-        const candidateFormats = videoFormats.filter(f => f.height === maxResolution);
-        
-        // Sort by preferences
-        const bestVideo = candidateFormats.sort((a, b) => {
-            // Prefer specific formats
-            const aFormatScore = this.videoPrefs.preferredFormats.indexOf(a.ext);
-            const bFormatScore = this.videoPrefs.preferredFormats.indexOf(b.ext);
-            if (aFormatScore !== bFormatScore) {
-                return aFormatScore - bFormatScore;
-            }
-            
-            // Prefer higher fps if enabled
-            if (this.videoPrefs.preferHighFps) {
-                const aFps = a.fps || 30;
-                const bFps = b.fps || 30;
-                if (aFps !== bFps) {
-                    return bFps - aFps;
+
+        const decisions = evaluateFormats(videoFormats, this.videoPrefs);
+        const resolutions = [...new Set(videoFormats.filter(f => f.height).map(f => f.height))].sort((a, b) => b - a);
+
+        logger.stats(`Available resolutions: ${resolutions.length > 0 ? `${resolutions.join('p, ')}p` : 'not reported by the site'}`);
+
+        if (this.explainFormats) {
+            explainDecisions(decisions, this.videoPrefs);
+        }
+
+        const best = decisions[0];
+        if (!best.accepted) {
+            throw new VideoUnavailable(`All ${videoFormats.length} video formats break the format policy in VIDEO_PREFERENCES`, {
+                hint: {
+                    message: 'See why each format was rejected, then loosen the constraints in your config file',
+                    commands: [
+                        'macos-live-video-wallpaper download "URL" --explain-formats --dry-run',
+                        'macos-live-video-wallpaper config show'
+                    ]
                 }
-            }
-            
-            // Prefer better codecs
-            const aCodecScore = this.videoPrefs.preferredCodecs.indexOf(a.vcodec);
-            const bCodecScore = this.videoPrefs.preferredCodecs.indexOf(b.vcodec);
-            if (aCodecScore !== -1 && bCodecScore !== -1) {
-                return aCodecScore - bCodecScore;
-            }
-            
-            // Prefer larger file size (usually better quality)
-            return (b.filesize || 0) - (a.filesize || 0);
-        })[0];
-        
-        return bestVideo;
+            });
+        }
+
+        const rejected = decisions.filter(decision => !decision.accepted).length;
+        logger.stats(`Selected format ${best.format.format_id}: ${best.format.height ? `${best.format.height}p` : 'unknown resolution'}, score ${best.score.toFixed(1)}` +
+            (rejected > 0 ? ` (${rejected} of ${videoFormats.length} formats rejected by the policy)` : ''));
+
+        return best.format;
     }
 
     /**
@@ -173,7 +310,7 @@ class VideoInfoAnalyzer {
      */
     findBestAudioFormat(audioFormats) {
         if (audioFormats.length === 0) {
-            throw new Error('No suitable audio formats found');
+            throw new VideoUnavailable('No suitable audio formats found');
         }
         
         // Sort by preferences
@@ -192,9 +329,9 @@ class VideoInfoAnalyzer {
                 return bBitrate - aBitrate;
             }
             
-            // Prefer better codecs
-            const aCodecScore = this.audioPrefs.preferredCodecs.indexOf(a.acodec);
-            const bCodecScore = this.audioPrefs.preferredCodecs.indexOf(b.acodec);
+            // Prefer better codecs ("mp4a.40.2" is AAC)
+            const aCodecScore = this.audioPrefs.preferredCodecs.indexOf(this.audioCodecName(a.acodec));
+            const bCodecScore = this.audioPrefs.preferredCodecs.indexOf(this.audioCodecName(b.acodec));
             if (aCodecScore !== -1 && bCodecScore !== -1) {
                 return aCodecScore - bCodecScore;
             }
@@ -205,6 +342,67 @@ class VideoInfoAnalyzer {
         return bestAudio;
     }
 
+    /**
+     * Short audio codec name as used in AUDIO_PREFERENCES, e.g. "mp4a.40.2" -> "aac"
+     */
+    audioCodecName(codec) {
+        const name = String(codec || '').toLowerCase().split('.')[0];
+        return name === 'mp4a' ? 'aac' : name;
+    }
+
+    /**
+     * Pick the audio to merge with the video, or null when the video format carries its own
+     *
+     * Direct links and HLS streams usually only offer formats with audio and video combined.
+     */
+    selectAudioFormat(audioFormats, videoFormat) {
+        if (audioFormats.length === 0 && videoFormat.acodec !== 'none') {
+            logger.stats('No separate audio formats - using the audio of the video format');
+            return null;
+        }
+
+        return this.findBestAudioFormat(audioFormats);
+    }
+
+    /**
+     * Choose the formats to download: the recommended pair, the format IDs given
+     * as options, or the user's choice from the format picker
+     */
+    async chooseFormats(videoFormats, audioFormats) {
+        if (this.videoFormatId || this.audioFormatId) {
+            const videoFormat = this.videoFormatId
+                ? findFormat(videoFormats, this.videoFormatId, 'video')
+                : this.findBestVideoFormat(videoFormats);
+            const audioFormat = this.audioFormatId
+                ? findFormat(audioFormats, this.audioFormatId, 'audio')
+                : this.selectAudioFormat(audioFormats, videoFormat);
+
+            logger.info(`🎛️  Using the formats given on the command line: ${[this.videoFormatId, this.audioFormatId].filter(Boolean).join(', ')}`);
+            return { videoFormat, audioFormat };
+        }
+
+        if (!this.pickFormat) {
+            const videoFormat = this.findBestVideoFormat(videoFormats);
+            return { videoFormat, audioFormat: this.selectAudioFormat(audioFormats, videoFormat) };
+        }
+
+        // In the picker a policy that rejects everything only means there's no recommendation
+        let recommendedVideo = null;
+        try {
+            recommendedVideo = this.findBestVideoFormat(videoFormats);
+        } catch (error) {
+            if (!(error instanceof VideoUnavailable) || videoFormats.length === 0) {
+                throw error;
+            }
+            logger.warning(`⚠️  ${error.message} - no recommendation`);
+        }
+
+        return pickFormats(videoFormats, audioFormats, {
+            videoFormat: recommendedVideo,
+            audioFormat: audioFormats.length > 0 ? this.findBestAudioFormat(audioFormats) : null
+        });
+    }
+
     /**
      * Display selected formats
      */
@@ -212,45 +410,162 @@ class VideoInfoAnalyzer {
         logger.header('Selected Formats');
         
         const videoInfo = [
-            `${videoFormat.height}p`,
+            videoFormat.height ? `${videoFormat.height}p` : 'unknown resolution',
             `${videoFormat.fps || 30}fps`,
             videoFormat.ext,
-            `(${videoFormat.vcodec})`,
+            `(${videoFormat.vcodec || 'unknown codec'})`,
             Utils.formatFileSize(videoFormat.filesize)
         ].join(' ');
         
-        const audioInfo = [
+        const audioInfo = audioFormat ? [
             `${audioFormat.abr || 'unknown'}kbps`,
             audioFormat.ext,
             `(${audioFormat.acodec})`,
             Utils.formatFileSize(audioFormat.filesize)
-        ].join(' ');
+        ].join(' ') : 'included in the video format';
         
         logger.video(`Video: ${videoInfo}`);
         logger.audio(`Audio: ${audioInfo}`);
     }
 
+    /**
+     * Display information about a local video file
+     */
+    displayLocalFileInfo(info, videoFormat, audioFormat) {
+        logger.header('Video Information');
+
+        logger.video(`File: ${info.path}`);
+        logger.video(`Duration: ${Utils.formatDuration(info.duration)}`);
+        logger.video(`Video: ${videoFormat.width}x${videoFormat.height} ${videoFormat.fps || 'unknown'}fps (${videoFormat.vcodec})`);
+        logger.audio(`Audio: ${audioFormat ? audioFormat.acodec : 'none'}`);
+        logger.stats(`Size: ${Utils.formatFileSize(videoFormat.filesize)}`);
+    }
+
+    /**
+     * Describe selected formats for the formats_selected event
+     */
+    describeFormats(videoFormat, audioFormat) {
+        return {
+            video: {
+                formatId: videoFormat.format_id,
+                width: videoFormat.width,
+                height: videoFormat.height,
+                fps: videoFormat.fps || null,
+                ext: videoFormat.ext,
+                vcodec: videoFormat.vcodec || null,
+                filesize: videoFormat.filesize || null
+            },
+            audio: audioFormat ? {
+                formatId: audioFormat.format_id,
+                abr: audioFormat.abr || null,
+                ext: audioFormat.ext,
+                acodec: audioFormat.acodec,
+                filesize: audioFormat.filesize || null
+            } : null
+        };
+    }
+
+    /**
+     * Analyze a local video file with ffprobe, returning the same shape as analyzeVideo
+     */
+    async analyzeLocalFile(filePath) {
+        try {
+            logger.search('Probing local video file...');
+
+            const probe = await this.runFfprobe(filePath);
+            const streams = probe.streams || [];
+            const videoStream = streams.find(stream => stream.codec_type === 'video');
+            const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+            if (!videoStream) {
+                throw new InvalidInput(`No video stream found in ${path.basename(filePath)}`);
+            }
+
+            const extension = path.extname(filePath).slice(1).toLowerCase();
+
+            const info = {
+                id: null,
+                title: path.parse(filePath).name,
+                uploader: null,
+                duration: parseFloat(probe.format && probe.format.duration) || null,
+                path: filePath
+            };
+
+            const videoFormat = {
+                format_id: 'local',
+                width: videoStream.width,
+                height: videoStream.height,
+                fps: this.parseFrameRate(videoStream.avg_frame_rate) || this.parseFrameRate(videoStream.r_frame_rate),
+                ext: extension,
+                vcodec: videoStream.codec_name,
+                filesize: fs.statSync(filePath).size
+            };
+
+            const audioFormat = audioStream ? {
+                format_id: 'local',
+                abr: audioStream.bit_rate ? Math.round(audioStream.bit_rate / 1000) : null,
+                ext: extension,
+                acodec: audioStream.codec_name,
+                filesize: null
+            } : null;
+
+            logger.success('Video file probed successfully');
+            this.displayLocalFileInfo(info, videoFormat, audioFormat);
+
+            logger.event('analysis', {
+                path: filePath,
+                id: null,
+                title: info.title,
+                uploader: null,
+                duration: info.duration
+            });
+            logger.event('formats_selected', this.describeFormats(videoFormat, audioFormat));
+
+            return {
+                info,
+                videoFormat,
+                audioFormat
+            };
+
+        } catch (error) {
+            logger.error(`Video analysis failed: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Complete video analysis
+     *
+     * @param {string} url
+     * @param {Object} info - Metadata already fetched by resolveEntries; fetched when omitted
      */
-    async analyzeVideo(url) {
+    async analyzeVideo(url, info = null) {
         try {
             // Get video information
-            const info = await this.getVideoInfo(url);
+            info = info || await this.getVideoInfo(url);
             
             // Display basic info
             this.displayVideoInfo(info);
             
             // Analyze formats
-            const { videoFormats, audioFormats } = this.analyzeFormats(info.formats);
+            const { videoFormats, audioFormats } = this.analyzeFormats(info.formats || []);
             
-            // Find best formats
-            const bestVideo = this.findBestVideoFormat(videoFormats);
-            const bestAudio = this.findBestAudioFormat(audioFormats);
+            // Find best formats, or take the user's choice
+            const { videoFormat: bestVideo, audioFormat: bestAudio } = await this.chooseFormats(videoFormats, audioFormats);
             
             // Display selected formats
             this.displaySelectedFormats(bestVideo, bestAudio);
             
+            logger.event('analysis', {
+                url,
+                ...this.getIdentity(info),
+                title: info.title,
+                uploader: info.uploader || null,
+                duration: info.duration || null,
+                formatCount: { video: videoFormats.length, audio: audioFormats.length }
+            });
+            logger.event('formats_selected', this.describeFormats(bestVideo, bestAudio));
+            
             return {
                 info,
                 videoFormat: bestVideo,
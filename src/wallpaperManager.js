@@ -7,17 +7,50 @@
 
 const fs = require('fs');
 const path = require('path');
-const { spawn, exec } = require('child_process');
+const CONFIG = require('./config');
 const logger = require('./logger');
 const Utils = require('./utils');
+const systemPaths = require('./systemPaths');
+const progressRenderer = require('./progressRenderer');
+const commandRunner = require('./commandRunner');
+const {
+    WallpaperError,
+    InvalidInput,
+    PermissionDenied,
+    InstallVerificationFailed,
+    fromFsError
+} = require('./errors');
 
 class WallpaperManager {
-    constructor() {
-        this.customerDir = '/Library/Application Support/com.apple.idleassetsd/Customer';
-        this.targetDir = path.join(this.customerDir, '4KSDR240FPS');
-        this.backupDir = path.join(process.cwd(), 'outputs', 'wallpaper_backups');
-        this.retryAttempts = 30; // 30 seconds of checking
-        this.retryInterval = 1000; // 1 second intervals
+    /**
+     * @param {Object} options
+     * @param {boolean} options.assumeYes - Skip confirmation prompts
+     * @param {string} options.target - Wallpaper to replace (asset name, 1-based index or 'newest')
+     * @param {boolean} options.dryRun - Print file operations and commands without executing them
+     * @param {JobJournal} options.journal - Journal recording completed stages for resume
+     */
+    constructor(options = {}) {
+        this.customerDir = systemPaths.getCustomerDir();
+        this.targetDir = systemPaths.getWallpaperDir();
+        this.backupDir = path.join(CONFIG.OUTPUT_DIR, CONFIG.WALLPAPER_SETTINGS.backupDir);
+        this.retryAttempts = CONFIG.WALLPAPER_SETTINGS.maxRetryAttempts;
+        this.retryInterval = CONFIG.WALLPAPER_SETTINGS.retryInterval;
+        this.assumeYes = Boolean(options.assumeYes);
+        this.target = options.target || null;
+        this.dryRun = Boolean(options.dryRun);
+        this.journal = options.journal || null;
+    }
+
+    /**
+     * Skip a command that acts on the running macOS system when working in a sandbox
+     */
+    skipInSandbox(description) {
+        if (!systemPaths.isSandboxed()) {
+            return false;
+        }
+
+        logger.info(`🧪 Sandbox: skipping ${description}`);
+        return true;
     }
 
     /**
@@ -31,6 +64,14 @@ class WallpaperManager {
                 return false;
             }
 
+            if (this.dryRun) {
+                if (!fs.existsSync(this.targetDir)) {
+                    logger.plan(`Create directory: ${this.targetDir}`);
+                }
+                logger.plan(`Write test file to check permissions: ${path.join(this.targetDir, '.test_write')}`);
+                return true;
+            }
+
             if (!fs.existsSync(this.targetDir)) {
                 logger.warning('⚠️  4KSDR240FPS directory not found, creating...');
                 fs.mkdirSync(this.targetDir, { recursive: true });
@@ -55,6 +96,31 @@ class WallpaperManager {
         }
     }
 
+    /**
+     * Typed error explaining why the Customer directory can't be used
+     */
+    getDirectoryAccessError() {
+        if (!fs.existsSync(this.customerDir) && systemPaths.isSandboxed()) {
+            return new WallpaperError(`Customer directory not found in sandbox: ${this.customerDir}`, {
+                hint: {
+                    message: 'Create the fake wallpaper tree, optionally with a placeholder wallpaper to replace',
+                    commands: [`mkdir -p "${this.targetDir}"`, `touch "${path.join(this.targetDir, 'placeholder.mov')}"`]
+                }
+            });
+        }
+
+        if (!fs.existsSync(this.customerDir)) {
+            return new WallpaperError(`Customer directory not found: ${this.customerDir}`, {
+                hint: {
+                    message: 'Open System Settings > Wallpaper and download any landscape wallpaper to initialize it',
+                    commands: ['open "x-apple.systempreferences:com.apple.Wallpaper-Settings.extension"']
+                }
+            });
+        }
+
+        return new PermissionDenied('Cannot access wallpaper directory. Please check permissions.');
+    }
+
     /**
      * Get list of files in the target directory with detailed info
      */
@@ -98,48 +164,53 @@ class WallpaperManager {
      * Open System Preferences to Wallpaper section
      */
     async openWallpaperSettings() {
-        return new Promise((resolve, reject) => {
-            logger.info('🔧 Opening System Preferences > Wallpaper...');
-
-            // Use AppleScript to open wallpaper settings
-            const script = `
-                tell application "System Preferences"
-                    activate
-                    set current pane to pane "com.apple.preference.desktopscreeneffect"
-                end tell
-            `;
+        if (this.skipInSandbox('opening System Preferences')) {
+            return false;
+        }
 
-            exec(`osascript -e '${script}'`, (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('Could not open System Preferences automatically');
-                    logger.info('Please manually open: System Preferences > Wallpaper');
-                    resolve(false);
-                } else {
-                    logger.success('✅ System Preferences opened');
-                    resolve(true);
-                }
-            });
-        });
+        logger.info('🔧 Opening System Preferences > Wallpaper...');
+
+        // Use AppleScript to open wallpaper settings
+        const script = `
+            tell application "System Preferences"
+                activate
+                set current pane to pane "com.apple.preference.desktopscreeneffect"
+            end tell
+        `;
+
+        if (this.dryRun) {
+            logger.plan(`Run: ${Utils.formatCommand('osascript', ['-e', script])}`);
+            return true;
+        }
+
+        if (!await commandRunner.succeeds('osascript', ['-e', script])) {
+            logger.warning('Could not open System Preferences automatically');
+            logger.info('Please manually open: System Preferences > Wallpaper');
+            return false;
+        }
+
+        logger.success('✅ System Preferences opened');
+        return true;
     }
 
     /**
      * Open Finder at the wallpaper directory
      */
     async openFinderAtWallpaperDir() {
-        return new Promise((resolve) => {
-            logger.info('📁 Opening Finder at wallpaper directory...');
+        if (this.skipInSandbox('opening Finder')) {
+            return false;
+        }
 
-            exec(`open "${this.targetDir}"`, (error, stdout, stderr) => {
-                if (error) {
-                    logger.warning('Could not open Finder automatically');
-                    logger.info(`Please manually open: ${this.targetDir}`);
-                    resolve(false);
-                } else {
-                    logger.success('✅ Finder opened at wallpaper directory');
-                    resolve(true);
-                }
-            });
-        });
+        logger.info('📁 Opening Finder at wallpaper directory...');
+
+        if (!await commandRunner.succeeds('open', [this.targetDir])) {
+            logger.warning('Could not open Finder automatically');
+            logger.info(`Please manually open: ${this.targetDir}`);
+            return false;
+        }
+
+        logger.success('✅ Finder opened at wallpaper directory');
+        return true;
     }
 
     /**
@@ -153,6 +224,12 @@ class WallpaperManager {
         logger.info('   3. Download any landscape wallpaper (e.g., "Sonoma Horizon")');
         logger.info('   4. This tool will detect it automatically');
         
+        if (this.dryRun) {
+            logger.plan(`Wait up to ${this.retryAttempts * this.retryInterval / 1000}s for a wallpaper to appear in ${this.targetDir}`);
+            const name = '<downloaded-wallpaper>.mov';
+            return { name, path: path.join(this.targetDir, name), size: 0 };
+        }
+        
         let attempts = 0;
         
         while (attempts < this.retryAttempts) {
@@ -164,13 +241,18 @@ class WallpaperManager {
             }
             
             // Show progress dots
-            process.stdout.write('.');
+            logger.inline('.');
             await new Promise(resolve => setTimeout(resolve, this.retryInterval));
             attempts++;
         }
         
-        console.log(); // New line after dots
-        throw new Error('Timeout waiting for wallpaper setup. Please download a landscape wallpaper and try again.');
+        logger.newline(); // New line after dots
+        throw new WallpaperError(`No wallpaper appeared in ${this.targetDir} within ${this.retryAttempts * this.retryInterval / 1000}s`, {
+            hint: {
+                message: 'Download any landscape wallpaper in System Settings > Wallpaper, then continue the job',
+                commands: ['open "x-apple.systempreferences:com.apple.Wallpaper-Settings.extension"', 'sudo macos-live-video-wallpaper resume']
+            }
+        });
     }
 
     /**
@@ -178,25 +260,53 @@ class WallpaperManager {
      */
     async createBackup(wallpaperFile) {
         try {
-            Utils.ensureDirectoryExists(this.backupDir);
-
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const backupName = `${path.parse(wallpaperFile.name).name}_backup_${timestamp}.mov`;
             const backupPath = path.join(this.backupDir, backupName);
 
-            fs.copyFileSync(wallpaperFile.path, backupPath);
+            if (this.dryRun) {
+                logger.plan(`Copy ${wallpaperFile.path} → ${backupPath}`);
+                logger.plan(`Fix ownership and permissions (chown to original user, chmod 664): ${backupPath}`);
+                return backupPath;
+            }
+
+            Utils.ensureDirectoryExists(this.backupDir);
+
+            const task = progressRenderer.start('backup', wallpaperFile.name, { symbol: logger.symbols.backup });
+            const copyStartTime = Date.now();
+
+            try {
+                await Utils.copyFileWithProgress(wallpaperFile.path, backupPath, (copied, total) => {
+                    const seconds = (Date.now() - copyStartTime) / 1000;
+                    const speed = seconds > 0 ? copied / seconds : 0;
+                    task.update({
+                        percentage: total > 0 ? (copied / total) * 100 : 100,
+                        speed: speed > 0 ? `${Utils.formatFileSize(speed)}/s` : null,
+                        eta: speed > 0 ? (total - copied) / speed : null
+                    });
+                });
+            } catch (error) {
+                task.fail();
+                throw error;
+            }
 
             // Fix permissions for the backup file
             logger.info('🔧 Fixing backup file permissions...');
             const permissionFixed = await Utils.fixFilePermissions(backupPath);
 
             if (permissionFixed) {
-                logger.success(`💾 Backup created with proper permissions: ${backupName}`);
+                task.complete(`💾 Backup created with proper permissions: ${backupName}`);
             } else {
-                logger.success(`💾 Backup created: ${backupName}`);
+                task.complete(`💾 Backup created: ${backupName}`);
                 logger.warning('⚠️  Backup file may require sudo to delete - run cleanup utility if needed');
             }
 
+            logger.event('backup_created', { source: wallpaperFile.path, path: backupPath });
+
+            if (this.journal) {
+                await this.journal.record('backed_up', backupPath, { target: wallpaperFile.name });
+            }
+
             return backupPath;
         } catch (error) {
             logger.warning(`Could not create backup: ${error.message}`);
@@ -204,6 +314,80 @@ class WallpaperManager {
         }
     }
 
+    /**
+     * Get list of wallpaper backups, newest first
+     */
+    getBackups() {
+        try {
+            if (!fs.existsSync(this.backupDir)) {
+                return [];
+            }
+
+            return fs.readdirSync(this.backupDir)
+                .map(file => {
+                    // Backups are named <original>_backup_<timestamp>.mov
+                    const match = file.match(/^(.*)_backup_([^_]+)\.mov$/);
+                    if (!match) {
+                        return null;
+                    }
+
+                    const filePath = path.join(this.backupDir, file);
+                    const stats = fs.statSync(filePath);
+                    return {
+                        name: file,
+                        path: filePath,
+                        originalName: `${match[1]}.mov`,
+                        size: stats.size,
+                        created: stats.birthtime,
+                        modified: stats.mtime
+                    };
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.modified - a.modified);
+        } catch (error) {
+            logger.error(`Error reading backup directory: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Restore a backup over the wallpaper it was taken from (or --target)
+     */
+    async restoreBackup(backup) {
+        try {
+            logger.header('💾 Wallpaper Restore');
+
+            const hasAccess = await this.checkCustomerDirectory();
+            if (!hasAccess) {
+                throw this.getDirectoryAccessError();
+            }
+
+            const existingWallpapers = this.getExistingWallpapers();
+            const targetName = this.target
+                ? this.resolveTargetWallpaper(existingWallpapers).name
+                : backup.originalName;
+            const current = existingWallpapers.find(wallpaper => wallpaper.name === targetName);
+
+            logger.backup(`💾 Restoring ${backup.name} → ${targetName}`);
+
+            if (current) {
+                const confirmed = await this.getUserConfirmation(current, backup.path);
+                if (!confirmed) {
+                    logger.info('❌ Restore cancelled by user');
+                    return false;
+                }
+
+                // Keep the wallpaper we're about to overwrite
+                await this.createBackup(current);
+            }
+
+            return this.installWallpaper(backup.path, targetName);
+        } catch (error) {
+            logger.error(`❌ Wallpaper restore failed: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Install video as wallpaper
      */
@@ -213,25 +397,42 @@ class WallpaperManager {
 
             logger.info(`🔄 Installing wallpaper: ${targetWallpaperName}`);
 
+            if (this.dryRun) {
+                logger.plan(`Copy ${videoPath} → ${targetPath}`);
+                logger.event('install_result', { success: true, dryRun: true, source: videoPath, target: targetPath });
+                await this.refreshWallpaperSystem();
+                return true;
+            }
+
             // Copy video to target location
             fs.copyFileSync(videoPath, targetPath);
 
             // Verify installation
-            if (fs.existsSync(targetPath)) {
-                const stats = fs.statSync(targetPath);
+            const stats = Utils.getFileStats(targetPath);
+            const sourceStats = fs.statSync(videoPath);
+
+            if (stats && stats.size === sourceStats.size) {
                 logger.success(`✅ Wallpaper installed successfully`);
                 logger.stats(`📊 Size: ${Utils.formatFileSize(stats.size)}`);
+                logger.event('install_result', { success: true, source: videoPath, target: targetPath, size: stats.size });
+
+                if (this.journal) {
+                    await this.journal.record('installed', null, { target: targetPath });
+                }
 
                 // Refresh wallpaper system to ensure animation works
                 await this.refreshWallpaperSystem();
 
                 return true;
             } else {
-                throw new Error('Installation verification failed');
+                throw new InstallVerificationFailed(stats
+                    ? `Installed file is ${stats.size} bytes, expected ${sourceStats.size}: ${targetPath}`
+                    : `Installed file not found: ${targetPath}`);
             }
         } catch (error) {
             logger.error(`❌ Failed to install wallpaper: ${error.message}`);
-            return false;
+            logger.event('install_result', { success: false, source: videoPath, error: error.message });
+            throw fromFsError(error, `Failed to install wallpaper: ${error.message}`);
         }
     }
 
@@ -261,69 +462,79 @@ class WallpaperManager {
      * Restart the wallpaper daemon
      */
     async restartWallpaperDaemon() {
-        return new Promise((resolve) => {
-            logger.info('🔄 Restarting wallpaper daemon...');
-
-            const commands = [
-                'sudo launchctl unload /System/Library/LaunchDaemons/com.apple.idleassetsd.plist',
-                'sudo launchctl load /System/Library/LaunchDaemons/com.apple.idleassetsd.plist'
-            ];
-
-            let completed = 0;
-            commands.forEach((command, index) => {
-                exec(command, (error, stdout, stderr) => {
-                    completed++;
-                    if (completed === commands.length) {
-                        if (error) {
-                            logger.warning('⚠️  Could not restart daemon (this is normal on some macOS versions)');
-                        } else {
-                            logger.success('✅ Wallpaper daemon restarted');
-                        }
-                        resolve();
-                    }
-                });
-            });
-        });
+        if (this.skipInSandbox('restart of the wallpaper daemon')) {
+            return;
+        }
+
+        logger.info('🔄 Restarting wallpaper daemon...');
+
+        const plist = systemPaths.getDaemonPlist();
+        const commands = [
+            ['sudo', ['launchctl', 'unload', plist]],
+            ['sudo', ['launchctl', 'load', plist]]
+        ];
+
+        if (this.dryRun) {
+            commands.forEach(([command, args]) => logger.plan(`Run: ${Utils.formatCommand(command, args)}`));
+            return;
+        }
+
+        // Load only after the unload has finished
+        let restarted = true;
+        for (const [command, args] of commands) {
+            restarted = await commandRunner.succeeds(command, args) && restarted;
+        }
+
+        if (restarted) {
+            logger.success('✅ Wallpaper daemon restarted');
+        } else {
+            logger.warning('⚠️  Could not restart daemon (this is normal on some macOS versions)');
+        }
     }
 
     /**
      * Force wallpaper refresh using multiple methods
      */
     async forceWallpaperRefresh() {
-        return new Promise((resolve) => {
-            logger.info('🔄 Forcing wallpaper refresh...');
-
-            // Method 1: Desktop refresh via AppleScript
-            const script = `
-                tell application "System Events"
-                    tell every desktop
-                        set picture rotation to 0
-                        delay 0.5
-                        set picture rotation to 1
-                        delay 0.5
-                        set picture rotation to 0
-                    end tell
+        logger.info('🔄 Forcing wallpaper refresh...');
+
+        // Method 1: Desktop refresh via AppleScript
+        const script = `
+            tell application "System Events"
+                tell every desktop
+                    set picture rotation to 0
+                    delay 0.5
+                    set picture rotation to 1
+                    delay 0.5
+                    set picture rotation to 0
                 end tell
-            `;
-
-            exec(`osascript -e '${script}'`, (error, stdout, stderr) => {
-                if (error) {
-                    // Method 2: Touch wallpaper files as fallback
-                    const touchCommand = `find "${this.targetDir}" -name "*.mov" -exec touch {} \\; 2>/dev/null`;
-                    exec(touchCommand, (touchError) => {
-                        if (touchError) {
-                            logger.warning('⚠️  Could not force wallpaper refresh');
-                        } else {
-                            logger.success('✅ Wallpaper files touched - refresh triggered');
-                        }
-                        resolve();
-                    });
-                } else {
-                    logger.success('✅ Wallpaper refresh triggered');
-                    resolve();
-                }
-            });
-        });
+            end tell
+        `;
+
+        // Method 2: Touch wallpaper files as fallback
+        const touchArgs = [this.targetDir, '-name', '*.mov', '-exec', 'touch', '{}', ';'];
+
+        // The files of a sandbox can be touched, the desktop is the real one
+        const sandboxed = this.skipInSandbox('AppleScript desktop refresh');
+
+        if (this.dryRun) {
+            if (!sandboxed) {
+                logger.plan(`Run: ${Utils.formatCommand('osascript', ['-e', script])}`);
+            }
+            logger.plan(`${sandboxed ? 'Run' : 'If that fails'}: ${Utils.formatCommand('find', touchArgs)}`);
+            return;
+        }
+
+        if (!sandboxed && await commandRunner.succeeds('osascript', ['-e', script])) {
+            logger.success('✅ Wallpaper refresh triggered');
+            return;
+        }
+
+        if (await commandRunner.succeeds('find', touchArgs)) {
+            logger.success('✅ Wallpaper files touched - refresh triggered');
+        } else {
+            logger.warning('⚠️  Could not force wallpaper refresh');
+        }
     }
 
     /**
@@ -334,37 +545,39 @@ class WallpaperManager {
             const readline = require('readline');
             const rl = readline.createInterface({
                 input: process.stdin,
-                output: process.stdout
+                output: logger.output
             });
 
             logger.wallpaper('🖼️  Multiple wallpapers found in directory');
             logger.info('📁 Opening Finder to help you identify the current wallpaper...');
 
             // Open Finder to help user identify current wallpaper
-            this.openFinderAtWallpaperDir();
+            if (!this.dryRun) {
+                this.openFinderAtWallpaperDir();
+            }
 
-            console.log();
+            logger.newline();
             logger.info('📋 Available wallpapers:');
-            console.log();
+            logger.newline();
 
             wallpapers.forEach((wallpaper, index) => {
                 const createdDate = Utils.formatDate(wallpaper.created);
                 const size = Utils.formatFileSize(wallpaper.size);
 
-                console.log(`  ${index + 1}. ${wallpaper.name}`);
-                console.log(`     📅 Created: ${createdDate}`);
-                console.log(`     📊 Size: ${size}`);
-                console.log();
+                logger.print(`  ${index + 1}. ${wallpaper.name}`);
+                logger.print(`     📅 Created: ${createdDate}`);
+                logger.print(`     📊 Size: ${size}`);
+                logger.newline();
             });
 
             logger.info('💡 Instructions:');
             logger.info('   1. Check which wallpaper is currently active in System Preferences');
             logger.info('   2. Find the matching file in the Finder window that opened');
             logger.info('   3. Enter the number corresponding to that wallpaper');
-            console.log();
+            logger.newline();
 
             const promptUser = () => {
-                rl.question(`🔢 Select wallpaper to replace (1-${wallpapers.length}) or 'c' to cancel: `, (answer) => {
+                rl.question(logger.formatPrompt(`🔢 Select wallpaper to replace (1-${wallpapers.length}) or 'c' to cancel: `), (answer) => {
                     if (answer.toLowerCase() === 'c' || answer.toLowerCase() === 'cancel') {
                         rl.close();
                         resolve(null);
@@ -387,15 +600,75 @@ class WallpaperManager {
         });
     }
 
+    /**
+     * Resolve the --target option against the available wallpapers
+     */
+    resolveTargetWallpaper(wallpapers) {
+        const target = String(this.target).trim();
+
+        if (target.toLowerCase() === 'newest') {
+            return wallpapers[0];
+        }
+
+        if (/^\d+$/.test(target)) {
+            const index = parseInt(target, 10);
+            if (index < 1 || index > wallpapers.length) {
+                throw new InvalidInput(`Target index ${index} is out of range (1-${wallpapers.length})`);
+            }
+            return wallpapers[index - 1];
+        }
+
+        const match = wallpapers.find(wallpaper =>
+            wallpaper.name === target || path.parse(wallpaper.name).name === target
+        );
+
+        if (!match) {
+            throw new InvalidInput(`Target wallpaper not found: ${target}`);
+        }
+
+        return match;
+    }
+
+    /**
+     * Pick the wallpaper to replace from the target option or an interactive menu
+     */
+    async chooseWallpaper(wallpapers) {
+        if (this.target) {
+            const selected = this.resolveTargetWallpaper(wallpapers);
+            logger.info(`🎯 Target wallpaper: ${selected.name}`);
+            return selected;
+        }
+
+        if (wallpapers.length === 1) {
+            return wallpapers[0];
+        }
+
+        if (this.assumeYes) {
+            throw new InvalidInput(`Found ${wallpapers.length} wallpapers; use --target to choose which one to replace`);
+        }
+
+        return this.selectWallpaperFromList(wallpapers);
+    }
+
     /**
      * Get user confirmation for wallpaper replacement
      */
     async getUserConfirmation(selectedWallpaper, newVideoPath) {
+        if (this.assumeYes) {
+            logger.info(`✅ Replacing ${selectedWallpaper.name} (confirmed by --yes)`);
+            return true;
+        }
+
+        if (this.dryRun) {
+            logger.plan(`Ask for confirmation before replacing ${selectedWallpaper.name}`);
+            return true;
+        }
+
         return new Promise((resolve) => {
             const readline = require('readline');
             const rl = readline.createInterface({
                 input: process.stdin,
-                output: process.stdout
+                output: logger.output
             });
 
             logger.warning(`⚠️  About to replace: ${selectedWallpaper.name}`);
@@ -404,7 +677,7 @@ class WallpaperManager {
             const newStats = fs.statSync(newVideoPath);
             logger.info(`📊 New video size: ${Utils.formatFileSize(newStats.size)}`);
 
-            rl.question('\n🤔 Proceed with replacement? (y/N): ', (answer) => {
+            rl.question(logger.formatPrompt('\n🤔 Proceed with replacement? (y/N): '), (answer) => {
                 rl.close();
                 resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
             });
@@ -417,11 +690,23 @@ class WallpaperManager {
     async setupWallpaper(videoPath) {
         try {
             logger.header('🖼️  Wallpaper Installation');
+
+            if (this.journal && this.journal.hasStage('installed')) {
+                logger.success(`✅ Already installed in an earlier run: ${this.journal.getStage('installed').target}`);
+                return true;
+            }
             
             // Check directory access
             const hasAccess = await this.checkCustomerDirectory();
             if (!hasAccess) {
-                throw new Error('Cannot access wallpaper directory. Please check permissions.');
+                throw this.getDirectoryAccessError();
+            }
+
+            // Resume: the target was chosen and backed up before the interruption
+            if (this.journal && await this.journal.isStageValid('backed_up')) {
+                const backup = this.journal.getStage('backed_up');
+                logger.info(`⏭️  Resuming job: ${backup.target} was already backed up`);
+                return this.installWallpaper(videoPath, backup.target);
             }
             
             // Check if directory is empty
@@ -461,29 +746,13 @@ class WallpaperManager {
                     // Install new wallpaper
                     const success = await this.installWallpaper(videoPath, wallpaperFile.name);
                     return success;
-                } else if (existingWallpapers.length === 1) {
-                    // Single wallpaper found - use existing logic
-                    const targetWallpaper = existingWallpapers[0];
-
-                    // Get user confirmation
-                    const confirmed = await this.getUserConfirmation(targetWallpaper, videoPath);
-
-                    if (!confirmed) {
-                        logger.info('❌ Wallpaper installation cancelled by user');
-                        return false;
-                    }
-
-                    // Create backup
-                    await this.createBackup(targetWallpaper);
-
-                    // Install new wallpaper
-                    const success = await this.installWallpaper(videoPath, targetWallpaper.name);
-                    return success;
                 } else {
-                    // Multiple wallpapers found - let user choose
-                    logger.info(`🔍 Found ${existingWallpapers.length} wallpapers in directory`);
+                    if (existingWallpapers.length > 1) {
+                        logger.info(`🔍 Found ${existingWallpapers.length} wallpapers in directory`);
+                    }
 
-                    const selectedWallpaper = await this.selectWallpaperFromList(existingWallpapers);
+                    // Resolve --target, or let user choose when several exist
+                    const selectedWallpaper = await this.chooseWallpaper(existingWallpapers);
 
                     if (!selectedWallpaper) {
                         logger.info('❌ Wallpaper installation cancelled by user');
@@ -508,7 +777,7 @@ class WallpaperManager {
             }
         } catch (error) {
             logger.error(`❌ Wallpaper setup failed: ${error.message}`);
-            return false;
+            throw error;
         }
     }
 }
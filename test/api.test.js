@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiveWallpaperApi = require('../src/api');
+const systemPaths = require('../src/systemPaths');
+
+test('a dry-run install resolves to the wallpaper it would replace', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mlvw-api-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const api = new LiveWallpaperApi({ root, outputDir: path.join(root, 'outputs'), target: 'newest', dryRun: true, userConfig: false });
+    const wallpaperDir = systemPaths.getWallpaperDir();
+    fs.mkdirSync(wallpaperDir, { recursive: true });
+    fs.writeFileSync(path.join(wallpaperDir, 'ABC.mov'), 'wallpaper');
+
+    const results = [];
+    api.on('install_result', payload => results.push(payload));
+
+    const target = await api.install(path.join(root, 'video.mov'));
+
+    assert.equal(target, path.join(wallpaperDir, 'ABC.mov'));
+    assert.equal(results.length, 1);
+    assert.equal(results[0].success, true);
+    assert.equal(results[0].dryRun, true);
+    assert.equal(results[0].target, target);
+    assert.equal(fs.readFileSync(target, 'utf8'), 'wallpaper');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CliOptions = require('../src/cliOptions');
+const { InvalidInput } = require('../src/errors');
+
+const DEFINITIONS = {
+    yes: { type: 'boolean', alias: 'y' },
+    install: { type: 'boolean', default: true },
+    target: { type: 'string' },
+    'output-dir': { type: 'string' }
+};
+
+const parse = (argv) => CliOptions.parse(argv, DEFINITIONS);
+
+test('applies defaults and converts names to camelCase', () => {
+    const { options, positionals } = parse([]);
+
+    assert.deepEqual(options, { yes: false, install: true, target: null, outputDir: null });
+    assert.deepEqual(positionals, []);
+});
+
+test('reads values given as the next argument or after =', () => {
+    assert.equal(parse(['--target', 'newest']).options.target, 'newest');
+    assert.equal(parse(['--output-dir=/tmp/a=b']).options.outputDir, '/tmp/a=b');
+});
+
+test('negates booleans with --no-', () => {
+    assert.equal(parse(['--no-install']).options.install, false);
+    assert.equal(parse(['--no-yes']).options.yes, false);
+});
+
+test('resolves aliases', () => {
+    assert.equal(parse(['-y']).options.yes, true);
+});
+
+test('keeps positionals, "-" and everything after --', () => {
+    const { options, positionals } = parse(['URL', '-', '--yes', '--', '--target', 'x']);
+
+    assert.equal(options.yes, true);
+    assert.equal(options.target, null);
+    assert.deepEqual(positionals, ['URL', '-', '--target', 'x']);
+});
+
+test('rejects bad options with InvalidInput', async (t) => {
+    const cases = [
+        { argv: ['--bogus'], message: 'Unknown option: --bogus' },
+        { argv: ['--no-target', 'x'], message: 'Unknown option: --no-target' },
+        { argv: ['--target'], message: 'Option --target requires a value' },
+        { argv: ['--target='], message: 'Option --target requires a value' },
+        { argv: ['--yes=true'], message: 'Option --yes does not take a value' }
+    ];
+
+    for (const { argv, message } of cases) {
+        await t.test(argv.join(' '), () => {
+            assert.throws(() => parse(argv), (error) => error instanceof InvalidInput && error.message === message);
+        });
+    }
+});
+
+test('describes booleans that default to true by their negated flag', () => {
+    const flags = CliOptions.describe(DEFINITIONS).map(entry => entry.flag);
+
+    assert.deepEqual(flags, ['-y, --yes', '--no-install', '--target <value>', '--output-dir <value>']);
+});
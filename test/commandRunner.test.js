@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/logger');
+const commandRunner = require('../src/commandRunner');
+const { WallpaperError, DependencyMissing } = require('../src/errors');
+
+const { STATUS } = commandRunner;
+
+logger.setSilent(true);
+
+test('classify maps how a command ended to a status', async (t) => {
+    const cases = [
+        { name: 'exit 0', ended: { exitCode: 0 }, status: STATUS.OK },
+        { name: 'exit 1', ended: { exitCode: 1 }, status: STATUS.FAILED },
+        { name: 'timeout wins over the exit code', ended: { exitCode: null, signal: 'SIGTERM', timedOut: true }, status: STATUS.TIMEOUT },
+        { name: 'signal from elsewhere', ended: { exitCode: null, signal: 'SIGINT' }, status: STATUS.KILLED },
+        { name: 'missing command', ended: { spawnError: { code: 'ENOENT' } }, status: STATUS.NOT_FOUND },
+        { name: 'not executable', ended: { spawnError: { code: 'EACCES' } }, status: STATUS.DENIED },
+        { name: 'not permitted', ended: { spawnError: { code: 'EPERM' } }, status: STATUS.DENIED },
+        { name: 'other spawn error', ended: { spawnError: { code: 'EMFILE' } }, status: STATUS.ERROR }
+    ];
+
+    for (const { name, ended, status } of cases) {
+        await t.test(name, () => {
+            assert.equal(commandRunner.classify(ended), status);
+        });
+    }
+});
+
+test('run captures output of a successful command', async () => {
+    const result = await commandRunner.run(process.execPath, ['-e', 'process.stdout.write("out"); process.stderr.write("err")']);
+
+    assert.equal(result.status, STATUS.OK);
+    assert.equal(result.stdout, 'out');
+    assert.equal(result.stderr, 'err');
+    assert.equal(result.exitCode, 0);
+});
+
+test('run rejects a failed command, or resolves with allowFailure', async () => {
+    const args = ['-e', 'process.exit(3)'];
+
+    await assert.rejects(commandRunner.run(process.execPath, args), (error) => {
+        assert.ok(error instanceof WallpaperError);
+        assert.equal(error.result.status, STATUS.FAILED);
+        assert.match(error.message, /failed with code 3$/);
+        return true;
+    });
+
+    const result = await commandRunner.run(process.execPath, args, { allowFailure: true });
+    assert.equal(result.status, STATUS.FAILED);
+    assert.equal(result.exitCode, 3);
+    assert.equal(await commandRunner.succeeds(process.execPath, args), false);
+});
+
+test('run builds the error of a failed command with toError', async () => {
+    await assert.rejects(
+        commandRunner.run(process.execPath, ['-e', 'process.exit(1)'], { toError: (result) => new Error(`custom ${result.exitCode}`) }),
+        { message: 'custom 1' }
+    );
+});
+
+test('run turns a missing command into DependencyMissing', async () => {
+    await assert.rejects(commandRunner.run('mlvw-no-such-command', []), (error) => {
+        assert.ok(error instanceof DependencyMissing);
+        assert.equal(error.result.status, STATUS.NOT_FOUND);
+        return true;
+    });
+});
+
+test('run stops a command after its timeout', async () => {
+    const result = await commandRunner.run(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200, allowFailure: true });
+
+    assert.equal(result.status, STATUS.TIMEOUT);
+    assert.ok(result.seconds < 5);
+});
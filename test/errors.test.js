@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    EXIT_CODES,
+    WallpaperError,
+    InvalidInput,
+    NetworkError,
+    VideoUnavailable,
+    fromYtDlpOutput,
+    withContext,
+    describeError,
+    signalExitCode
+} = require('../src/errors');
+
+test('fromYtDlpOutput picks the error type from the yt-dlp output', async (t) => {
+    const cases = [
+        { output: 'ERROR: Unsupported URL: https://example.com', type: InvalidInput, exitCode: EXIT_CODES.INVALID_INPUT },
+        { output: 'ERROR: [youtube] abc: Video unavailable', type: VideoUnavailable, exitCode: EXIT_CODES.VIDEO_UNAVAILABLE },
+        { output: 'ERROR: [youtube] abc: Private video. Sign in if you\'ve been granted access', type: VideoUnavailable, exitCode: EXIT_CODES.VIDEO_UNAVAILABLE },
+        { output: 'ERROR: [youtube] abc: Sign in to confirm your age', type: VideoUnavailable, exitCode: EXIT_CODES.VIDEO_UNAVAILABLE },
+        { output: 'ERROR: HTTP Error 404: Not Found', type: VideoUnavailable, exitCode: EXIT_CODES.VIDEO_UNAVAILABLE },
+        { output: 'ERROR: Unable to download webpage: <urlopen error [Errno 8]>', type: NetworkError, exitCode: EXIT_CODES.NETWORK_ERROR },
+        { output: 'yt-dlp timed out after 2m 0s', type: NetworkError, exitCode: EXIT_CODES.NETWORK_ERROR },
+        { output: 'ERROR: HTTP Error 503: Service Unavailable', type: NetworkError, exitCode: EXIT_CODES.NETWORK_ERROR },
+        { output: 'ERROR: something else went wrong', type: WallpaperError, exitCode: EXIT_CODES.UNKNOWN }
+    ];
+
+    for (const { output, type, exitCode } of cases) {
+        await t.test(output, () => {
+            const error = fromYtDlpOutput(output, 'yt-dlp failed');
+
+            assert.equal(error.constructor, type);
+            assert.equal(error.exitCode, exitCode);
+            assert.equal(error.message, 'yt-dlp failed');
+        });
+    }
+});
+
+test('withContext keeps the error type and hint', () => {
+    const error = withContext(new NetworkError('offline'), 'Failed to get video info');
+
+    assert.ok(error instanceof NetworkError);
+    assert.equal(error.message, 'Failed to get video info: offline');
+    assert.equal(error.exitCode, EXIT_CODES.NETWORK_ERROR);
+    assert.ok(error.hint.message);
+});
+
+test('describeError reports untyped errors as UNKNOWN', () => {
+    assert.deepEqual(describeError(new TypeError('boom')), {
+        name: 'TypeError',
+        code: 'UNKNOWN',
+        exitCode: EXIT_CODES.UNKNOWN,
+        message: 'boom',
+        hint: null
+    });
+});
+
+test('signalExitCode follows the shell convention', () => {
+    assert.equal(signalExitCode('SIGINT'), 130);
+    assert.equal(signalExitCode('SIGTERM'), 143);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const { codecFamily, evaluateFormats } = require('../src/formatPolicy');
+const { InvalidInput } = require('../src/errors');
+
+const POLICY = {
+    ...CONFIG.VIDEO_PREFERENCES,
+    preferredFormats: ['mp4', 'webm'],
+    maxResolution: 2160,
+    minFps: 0,
+    maxFps: 0,
+    maxFilesize: 0,
+    excludedCodecs: [],
+    preferredCodecs: ['h264', 'vp9', 'av1'],
+    preferHighFps: true,
+    prefer60fps: true,
+    weights: { resolution: 100, fps: 20, codec: 10, container: 5, bitrate: 1 }
+};
+
+const format = (fields) => ({ format_id: '1', ext: 'mp4', height: 1080, fps: 30, vcodec: 'avc1.640028', ...fields });
+
+test('codecFamily maps vcodec strings to families', async (t) => {
+    const cases = [
+        ['avc1.640033', 'h264'], ['avc3.4d401f', 'h264'], ['h264', 'h264'],
+        ['hvc1.1.6.L150', 'hevc'], ['hev1', 'hevc'], ['h265', 'hevc'],
+        ['vp09.00.51.08', 'vp9'], ['VP9', 'vp9'], ['vp8', 'vp8'],
+        ['av01.0.12M.08', 'av1'], ['av1', 'av1'],
+        ['none', null], [null, null], ['theora', null]
+    ];
+
+    for (const [codec, family] of cases) {
+        await t.test(String(codec), () => {
+            assert.equal(codecFamily(codec), family);
+        });
+    }
+});
+
+test('excludedCodecs rejects every codec of the family and nothing else', async (t) => {
+    const cases = [
+        { vcodec: 'avc1.640028', excludedCodecs: ['h264'], accepted: false },
+        { vcodec: 'avc1.640028', excludedCodecs: ['avc1'], accepted: false },
+        { vcodec: 'hvc1.1.6.L150', excludedCodecs: ['hevc'], accepted: false },
+        { vcodec: 'vp09.00.51.08', excludedCodecs: ['vp9'], accepted: false },
+        { vcodec: 'vp8', excludedCodecs: ['vp8'], accepted: false },
+        { vcodec: 'av01.0.12M.08', excludedCodecs: ['av1'], accepted: false },
+        { vcodec: 'av01.0.12M.08', excludedCodecs: ['h264', 'vp9'], accepted: true },
+        { vcodec: 'hvc1.1.6.L150', excludedCodecs: [], accepted: true },
+        { vcodec: undefined, excludedCodecs: ['h264', 'hevc', 'vp9', 'vp8', 'av1'], accepted: true }
+    ];
+
+    for (const { vcodec, excludedCodecs, accepted } of cases) {
+        await t.test(`${vcodec} with excludedCodecs [${excludedCodecs}]`, () => {
+            const [decision] = evaluateFormats([format({ vcodec })], { ...POLICY, excludedCodecs });
+
+            assert.equal(decision.accepted, accepted);
+            assert.deepEqual(decision.reasons, accepted ? [] : [`codec ${codecFamily(vcodec)} is in excludedCodecs`]);
+        });
+    }
+});
+
+test('hard constraints reject formats with a reason each', async (t) => {
+    const cases = [
+        { fields: { ext: '3gp' }, policy: {}, reason: 'container 3gp is not in preferredFormats' },
+        { fields: { height: 4320 }, policy: {}, reason: 'height 4320p is above maxResolution 2160p' },
+        { fields: { fps: 24 }, policy: { minFps: 25 }, reason: '24fps is below minFps 25' },
+        { fields: { fps: 120 }, policy: { maxFps: 60 }, reason: '120fps is above maxFps 60' },
+        { fields: { filesize_approx: 2048 }, policy: { maxFilesize: 1024 }, reason: '2.0KB is above maxFilesize 1.0KB' }
+    ];
+
+    for (const { fields, policy, reason } of cases) {
+        await t.test(reason, () => {
+            const [decision] = evaluateFormats([format(fields)], { ...POLICY, ...policy });
+
+            assert.equal(decision.accepted, false);
+            assert.deepEqual(decision.reasons, [reason]);
+        });
+    }
+});
+
+test('unknown codecs in the policy are an error', () => {
+    assert.throws(() => evaluateFormats([format()], { ...POLICY, preferredCodecs: ['h264', 'mpeg2'] }), (error) => {
+        assert.ok(error instanceof InvalidInput);
+        assert.equal(error.message, 'Unknown codec "mpeg2" in VIDEO_PREFERENCES.preferredCodecs');
+        return true;
+    });
+});
+
+test('bitrate is rated against the highest accepted tbr', async (t) => {
+    const cases = [
+        { name: 'both reported', tbrs: [2000, 4000], ratings: [0.5, 1] },
+        { name: 'one missing', tbrs: [undefined, 4000], ratings: [0, 1] },
+        { name: 'none reported', tbrs: [undefined, undefined], ratings: [0, 0] },
+        { name: 'rejected formats do not count', tbrs: [2000, 8000], ratings: [1], rejectSecond: true }
+    ];
+
+    for (const { name, tbrs, ratings, rejectSecond } of cases) {
+        await t.test(name, () => {
+            const formats = tbrs.map((tbr, index) => format({
+                format_id: String(index),
+                tbr,
+                ext: rejectSecond && index === 1 ? 'flv' : 'mp4'
+            }));
+            const accepted = evaluateFormats(formats, POLICY)
+                .filter(decision => decision.accepted)
+                .sort((a, b) => a.index - b.index);
+
+            assert.deepEqual(accepted.map(decision => decision.ratings.bitrate), ratings);
+        });
+    }
+});
+
+test('ranks accepted formats by their weighted score', () => {
+    const decisions = evaluateFormats([
+        format({ format_id: '720', height: 720 }),
+        format({ format_id: '1080-vp9', vcodec: 'vp09.00.40.08', ext: 'webm' }),
+        format({ format_id: '1080-h264' }),
+        format({ format_id: '1080-60', fps: 60 })
+    ], POLICY);
+
+    assert.deepEqual(decisions.map(decision => [decision.format.format_id, decision.rank]), [
+        ['1080-60', 1], ['1080-h264', 2], ['1080-vp9', 3], ['720', 4]
+    ]);
+    assert.deepEqual(decisions[0].ratings, { resolution: 1, fps: 1, codec: 1, container: 1, bitrate: 0 });
+    assert.equal(decisions[0].score, 135);
+});
+
+test('caps the fps rating at 60 with prefer60fps', () => {
+    const decisions = evaluateFormats([
+        format({ format_id: '120', fps: 120 }),
+        format({ format_id: '60', fps: 60 })
+    ], POLICY);
+
+    assert.deepEqual(decisions.map(decision => decision.ratings.fps), [1, 1]);
+    assert.deepEqual(decisions.map(decision => decision.format.format_id), ['60', '120']);
+});
+
+test('equal scores keep the later format first, as yt-dlp lists the better ones last', () => {
+    const decisions = evaluateFormats([
+        format({ format_id: 'a' }),
+        format({ format_id: 'b' }),
+        format({ format_id: 'c' })
+    ], POLICY);
+
+    assert.deepEqual(decisions.map(decision => decision.score), [135, 135, 135]);
+    assert.deepEqual(decisions.map(decision => [decision.format.format_id, decision.rank]), [['c', 1], ['b', 2], ['a', 3]]);
+});
+
+test('rejects every format when none fits the policy', () => {
+    const decisions = evaluateFormats([
+        format({ format_id: 'a', ext: 'flv' }),
+        format({ format_id: 'b', height: 4320 })
+    ], POLICY);
+
+    assert.deepEqual(decisions.map(decision => ({
+        id: decision.format.format_id,
+        accepted: decision.accepted,
+        score: decision.score,
+        rank: decision.rank
+    })), [
+        { id: 'a', accepted: false, score: null, rank: null },
+        { id: 'b', accepted: false, score: null, rank: null }
+    ]);
+    assert.deepEqual(evaluateFormats([], POLICY), []);
+});
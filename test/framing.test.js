@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveFit, getDisplaySize, planFraming, describeFraming } = require('../src/framing');
+const { InvalidInput } = require('../src/errors');
+
+const SETTINGS = { mode: 'crop', focalPoint: [0.5, 0.25], padColor: 'black', blurStrength: 20, maxLostShare: 0.3 };
+
+const SOURCES = {
+    '4:3': { width: 1440, height: 1080, sar: 1 },
+    '9:16': { width: 1080, height: 1920, sar: 1 },
+    '21:9': { width: 2560, height: 1080, sar: 1 }
+};
+
+// Each fit mode builds the same filter for any source shape; only the lost share differs
+const FILTERS = {
+    stretch: 'scale=1920:1080:flags=lanczos,setsar=1',
+    crop: 'scale=1920:1080:force_original_aspect_ratio=increase:flags=lanczos,crop=1920:1080',
+    'smart-crop': 'scale=1920:1080:force_original_aspect_ratio=increase:flags=lanczos,crop=1920:1080:(iw-ow)*0.5:(ih-oh)*0.25',
+    pad: 'scale=1920:1080:force_original_aspect_ratio=decrease:force_divisible_by=2:flags=lanczos,' +
+        'pad=1920:1080:(ow-iw)/2:(oh-ih)/2:color=black',
+    blur: 'split=2[bg][fg];' +
+        '[bg]scale=480:270:force_original_aspect_ratio=increase,crop=480:270,boxblur=20:2,scale=1920:1080,setsar=1[bg];' +
+        '[fg]scale=1920:1080:force_original_aspect_ratio=decrease:force_divisible_by=2:flags=lanczos,setsar=1[fg];' +
+        '[bg][fg]overlay=(W-w)/2:(H-h)/2'
+};
+
+const DESCRIPTIONS = {
+    stretch: {
+        '4:3': 'stretch 4:3 to 16:9 (distorted)',
+        '9:16': 'stretch 9:16 to 16:9 (distorted)',
+        '21:9': 'stretch 21:9 to 16:9 (distorted)'
+    },
+    crop: {
+        '4:3': 'crop 4:3 to 16:9 (25% of the frame cut off)',
+        '9:16': 'crop 9:16 to 16:9 (68% of the frame cut off)',
+        '21:9': 'crop 21:9 to 16:9 (25% of the frame cut off)'
+    },
+    'smart-crop': {
+        '4:3': 'smart-crop 4:3 to 16:9 (25% of the frame cut off)',
+        '9:16': 'smart-crop 9:16 to 16:9 (68% of the frame cut off)',
+        '21:9': 'smart-crop 21:9 to 16:9 (25% of the frame cut off)'
+    },
+    pad: {
+        '4:3': 'pad 4:3 to 16:9 (bars cover 25% of the screen)',
+        '9:16': 'pad 9:16 to 16:9 (bars cover 68% of the screen)',
+        '21:9': 'pad 21:9 to 16:9 (bars cover 25% of the screen)'
+    },
+    blur: {
+        '4:3': 'blur 4:3 to 16:9 (blurred background on 25% of the screen)',
+        '9:16': 'blur 9:16 to 16:9 (blurred background on 68% of the screen)',
+        '21:9': 'blur 21:9 to 16:9 (blurred background on 25% of the screen)'
+    }
+};
+
+test('planFraming builds the filter of each fit mode', async (t) => {
+    for (const mode of Object.keys(FILTERS)) {
+        for (const [shape, source] of Object.entries(SOURCES)) {
+            await t.test(`${mode} ${shape}`, () => {
+                const framing = planFraming(source, '1920x1080', resolveFit({ ...SETTINGS, mode }));
+
+                assert.equal(framing.mode, mode);
+                assert.equal(framing.filter, FILTERS[mode]);
+                assert.equal(describeFraming(framing), DESCRIPTIONS[mode][shape]);
+            });
+        }
+    }
+});
+
+test('planFraming reports the share of the frame that is lost', () => {
+    const fit = resolveFit(SETTINGS);
+    const shares = Object.values(SOURCES).map(source => planFraming(source, '1920x1080', fit).lostShare.toFixed(4));
+
+    assert.deepEqual(shares, ['0.2500', '0.6836', '0.2500']);
+});
+
+test('planFraming only scales sources that already fit', () => {
+    const framing = planFraming({ width: 3840, height: 2160, sar: 1 }, '1920x1080', resolveFit({ ...SETTINGS, mode: 'blur' }));
+
+    assert.deepEqual(framing, {
+        mode: 'scale',
+        sourceAspect: 16 / 9,
+        targetAspect: 16 / 9,
+        lostShare: 0,
+        filter: 'scale=1920:1080:flags=lanczos'
+    });
+    assert.equal(describeFraming(framing), 'scale (16:9 already fits)');
+});
+
+test('planFraming makes non-square pixels square first', () => {
+    const framing = planFraming({ width: 1440, height: 1080, sar: 4 / 3 }, '1920x1080', resolveFit(SETTINGS));
+
+    assert.equal(framing.filter, `scale=iw*sar:ih,setsar=1,${FILTERS.crop}`);
+});
+
+test('planFraming keeps the source resolution when the profile has none', () => {
+    assert.equal(planFraming(SOURCES['4:3'], null, resolveFit(SETTINGS)), null);
+});
+
+test('getDisplaySize applies rotation and pixel aspect ratio', async (t) => {
+    const cases = [
+        { name: 'square pixels', stream: { width: 1920, height: 1080 }, size: { width: 1920, height: 1080, sar: 1 } },
+        { name: 'anamorphic', stream: { width: 1440, height: 1080, sample_aspect_ratio: '4:3' }, size: { width: 1920, height: 1080, sar: 4 / 3 } },
+        { name: 'unknown sar', stream: { width: 720, height: 576, sample_aspect_ratio: '0:1' }, size: { width: 720, height: 576, sar: 1 } },
+        { name: 'rotation side data', stream: { width: 1920, height: 1080, side_data_list: [{ rotation: -90 }] }, size: { width: 1080, height: 1920, sar: 1 } },
+        { name: 'rotate tag', stream: { width: 1920, height: 1080, tags: { rotate: '270' } }, size: { width: 1080, height: 1920, sar: 1 } },
+        { name: 'upside down', stream: { width: 1920, height: 1080, tags: { rotate: '180' } }, size: { width: 1920, height: 1080, sar: 1 } },
+        { name: 'no size', stream: { codec_type: 'video' }, size: null }
+    ];
+
+    for (const { name, stream, size } of cases) {
+        await t.test(name, () => {
+            assert.deepEqual(getDisplaySize(stream), size);
+        });
+    }
+});
+
+test('resolveFit returns the focal point as x and y', () => {
+    assert.deepEqual(resolveFit(SETTINGS).focalPoint, { x: 0.5, y: 0.25 });
+    assert.deepEqual(resolveFit({ ...SETTINGS, focalPoint: [0, 1] }).focalPoint, { x: 0, y: 1 });
+});
+
+test('resolveFit rejects focal points outside the frame', async (t) => {
+    const cases = [[-0.1, 0.5], [0.5, 1.5], [2, 2], [0.5], [0.5, 0.5, 0.5], [Number.NaN, 0.5]];
+
+    for (const focalPoint of cases) {
+        await t.test(`[${focalPoint}]`, () => {
+            assert.throws(() => resolveFit({ ...SETTINGS, focalPoint }), (error) => {
+                assert.ok(error instanceof InvalidInput);
+                assert.equal(error.message, `Invalid FIT_SETTINGS: focalPoint must be two numbers between 0 and 1, like 0.5,0.3 (got ${focalPoint.join(',')})`);
+                return true;
+            });
+        });
+    }
+});
+
+test('resolveFit lists every invalid setting', () => {
+    assert.throws(() => resolveFit({ mode: 'zoom', focalPoint: [0.5, 0.5], padColor: 'rgb(0,0,0)', blurStrength: 0, maxLostShare: 2 }), {
+        message: 'Invalid FIT_SETTINGS: mode must be one of stretch, crop, smart-crop, pad, blur (got "zoom"); ' +
+            'padColor must be a color name or #RRGGBB (got "rgb(0,0,0)"); blurStrength must be positive (got 0); ' +
+            'maxLostShare must be between 0 and 1 (got 2)'
+    });
+});
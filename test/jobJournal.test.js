@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../src/config');
+const logger = require('../src/logger');
+const JobJournal = require('../src/jobJournal');
+
+logger.setSilent(true);
+
+test.beforeEach((t) => {
+    CONFIG.OUTPUT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mlvw-journal-'));
+    t.after(() => fs.rmSync(CONFIG.OUTPUT_DIR, { recursive: true, force: true }));
+});
+
+test('recordAnalysis keeps the metadata later stages read, without the format lists', async () => {
+    const videoFormat = { format_id: '137', height: 1080, tbr: 4400.5, vbr: 4400.5, filesize_approx: 52428800, fragments: [{ url: 'a' }] };
+    const audioFormat = { format_id: '140', acodec: 'mp4a.40.2', abr: 129.5, filesize: 1048576 };
+    const info = {
+        id: 'abc123',
+        title: 'Ocean',
+        extractor: 'youtube',
+        extractor_key: 'Youtube',
+        webpage_url: 'https://www.youtube.com/watch?v=abc123',
+        upload_date: '20260101',
+        duration: 120,
+        formats: [videoFormat, audioFormat],
+        requested_formats: [videoFormat, audioFormat],
+        thumbnails: [{ url: 'thumb.jpg' }]
+    };
+
+    const journal = await JobJournal.create({ url: info.webpage_url });
+    await journal.recordAnalysis({ info, videoFormat, audioFormat });
+
+    const analysis = JobJournal.load(journal.id).getAnalysis();
+    assert.deepEqual(analysis.info, {
+        id: 'abc123',
+        title: 'Ocean',
+        extractor: 'youtube',
+        extractor_key: 'Youtube',
+        webpage_url: 'https://www.youtube.com/watch?v=abc123',
+        upload_date: '20260101',
+        duration: 120
+    });
+    assert.deepEqual(analysis.videoFormat, { format_id: '137', height: 1080, tbr: 4400.5, vbr: 4400.5, filesize_approx: 52428800 });
+    assert.deepEqual(analysis.audioFormat, audioFormat);
+});
+
+test('recordAnalysis saves a missing audio format as null', async () => {
+    const journal = await JobJournal.create({ file: '/tmp/clip.mov' });
+    await journal.recordAnalysis({ info: { title: 'clip', duration: 10 }, videoFormat: { format_id: 'local' }, audioFormat: null });
+
+    assert.equal(JobJournal.load(journal.id).getAnalysis().audioFormat, null);
+});
+
+test('create names the job after the video ID in the URL', async (t) => {
+    const cases = [
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42', 'dQw4w9WgXcQ'],
+        ['https://youtu.be/dQw4w9WgXcQ', 'dQw4w9WgXcQ'],
+        ['https://vimeo.com/76979871', '76979871'],
+        ['https://example.com/', 'example_com']
+    ];
+
+    for (const [url, name] of cases) {
+        await t.test(url, async () => {
+            const journal = await JobJournal.create({ url });
+
+            assert.match(journal.id, new RegExp(`^\\d{8}-\\d{6}-${name}$`));
+        });
+    }
+});
+
+test('create names a local job after the file', async () => {
+    const journal = await JobJournal.create({ file: '/tmp/My Clip.mov' });
+
+    assert.match(journal.id, /^\d{8}-\d{6}-My_Clip$/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../src/config');
+const logger = require('../src/logger');
+const metadataCache = require('../src/metadataCache');
+
+logger.setSilent(true);
+
+const VIDEO = { id: 'dQw4w9WgXcQ', extractor_key: 'Youtube', title: 'Ocean', webpage_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' };
+
+function useOutputDir(t) {
+    CONFIG.OUTPUT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mlvw-cache-'));
+    t.after(() => fs.rmSync(CONFIG.OUTPUT_DIR, { recursive: true, force: true }));
+}
+
+test('finds a video under every link form of its site', async (t) => {
+    useOutputDir(t);
+    await metadataCache.store('https://youtu.be/dQw4w9WgXcQ', VIDEO, { extractor: 'Youtube', id: 'dQw4w9WgXcQ' });
+
+    const urls = [
+        'https://youtu.be/dQw4w9WgXcQ',
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10',
+        'https://m.youtube.com/watch?v=dQw4w9WgXcQ',
+        'https://youtube.com/shorts/dQw4w9WgXcQ'
+    ];
+
+    for (const url of urls) {
+        await t.test(url, () => {
+            const cached = metadataCache.get(url);
+
+            assert.deepEqual(cached.metadata, VIDEO);
+            assert.equal(cached.expired, false);
+        });
+    }
+});
+
+test('does not mistake a video whose ID differs only in case', async (t) => {
+    useOutputDir(t);
+    await metadataCache.store('https://youtu.be/dQw4w9WgXcQ', VIDEO, { extractor: 'Youtube', id: 'dQw4w9WgXcQ' });
+
+    assert.equal(metadataCache.get('https://youtu.be/DQW4W9WGXCQ'), null);
+});
+
+test('finds other sites by the URL the metadata was fetched for', async (t) => {
+    useOutputDir(t);
+    const metadata = { id: 'clip-7', extractor_key: 'Generic', webpage_url: 'https://example.com/media/clip.mp4' };
+    await metadataCache.store('https://example.com/media/clip.mp4?ref=share', metadata, { extractor: 'Generic', id: 'clip-7' });
+
+    assert.deepEqual(metadataCache.get('https://example.com/media/clip.mp4?ref=share').metadata, metadata);
+    assert.deepEqual(metadataCache.get('https://example.com/media/clip.mp4').metadata, metadata);
+    assert.equal(metadataCache.get('https://example.com/media/other.mp4'), null);
+});
+
+test('marks entries older than the TTL as expired', async (t) => {
+    useOutputDir(t);
+    await metadataCache.store('https://youtu.be/dQw4w9WgXcQ', VIDEO, { extractor: 'Youtube', id: 'dQw4w9WgXcQ' });
+
+    const entryPath = metadataCache.getEntryPath('Youtube', 'dQw4w9WgXcQ');
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    entry.fetchedAt = new Date(Date.now() - (CONFIG.METADATA_CACHE.ttlHours + 1) * 3600 * 1000).toISOString();
+    fs.writeFileSync(entryPath, JSON.stringify(entry));
+
+    assert.equal(metadataCache.get('https://www.youtube.com/watch?v=dQw4w9WgXcQ').expired, true);
+});
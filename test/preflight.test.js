@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/logger');
+const Utils = require('../src/utils');
+const { parseRate, estimateJob, checkDiskSpace } = require('../src/preflight');
+const { InsufficientSpace } = require('../src/errors');
+
+logger.setSilent(true);
+
+const PROFILE = { encoder: 'hevc_videotoolbox', bitrate: '8M', crf: null, resolution: '1920x1080', frameRate: 30 };
+const MB = 1024 * 1024;
+
+const estimate = (videoFormat, audioFormat = null, info = { duration: 120 }) =>
+    estimateJob({ info, videoFormat, audioFormat }, { outputDir: '/tmp/out', profile: PROFILE });
+
+const item = (result, name) => result.items.find(entry => entry.name === name);
+
+test('parseRate reads ffmpeg rates', () => {
+    assert.equal(parseRate('50M'), 50e6);
+    assert.equal(parseRate('800k'), 800e3);
+    assert.equal(parseRate('1.5m'), 1.5e6);
+    assert.equal(parseRate('128000'), 128000);
+    assert.equal(parseRate('fast'), null);
+});
+
+test('the download size falls back from filesize to filesize_approx to bitrate', async (t) => {
+    const cases = [
+        { name: 'filesize', format: { filesize: 10 * MB, filesize_approx: 20 * MB, tbr: 8000 }, bytes: 10 * MB, note: 'reported' },
+        { name: 'filesize_approx', format: { filesize_approx: 20 * MB, tbr: 8000 }, bytes: 20 * MB, note: 'approximate' },
+        { name: 'tbr and duration', format: { tbr: 8000 }, bytes: 8000 * 1000 / 8 * 120, note: 'from bitrate' },
+        { name: 'tbr without duration', format: { tbr: 8000 }, info: {}, bytes: null, note: 'not reported' },
+        { name: 'nothing', format: {}, bytes: null, note: 'not reported' }
+    ];
+
+    for (const { name, format, info, bytes, note } of cases) {
+        await t.test(name, () => {
+            const download = item(estimate(format, null, info), 'download');
+
+            assert.equal(download.bytes, bytes);
+            assert.equal(download.note, note);
+        });
+    }
+});
+
+test('the download adds the audio format, and is unknown when the audio size is', () => {
+    assert.equal(item(estimate({ filesize: 10 * MB }, { filesize_approx: 2 * MB }), 'download').bytes, 12 * MB);
+    assert.equal(item(estimate({ filesize: 10 * MB }, { acodec: 'opus' }), 'download').bytes, null);
+});
+
+test('short videos add an extended copy looped to the minimum duration', () => {
+    const result = estimate({ filesize: 10 * MB }, null, { duration: 15 });
+
+    assert.equal(item(result, 'extended').bytes, 40 * MB);
+    assert.equal(result.outputDuration, 60);
+    assert.equal(item(estimate({ filesize: 10 * MB }), 'extended'), undefined);
+});
+
+test('the .mov size follows the profile bitrate for the output duration', () => {
+    assert.equal(item(estimate({ filesize: 10 * MB }), 'converted').bytes, (8e6 + 128e3) / 8 * 120);
+});
+
+test('checkDiskSpace passes when the volume has room for the estimate and margin', async (t) => {
+    t.mock.method(Utils, 'getVolumeInfo', async () => ({ device: 'disk1', free: 100 * MB }));
+
+    const [volume] = await checkDiskSpace({ items: [{ label: 'Download', bytes: 50 * MB, dir: '/tmp/out' }], encode: null });
+
+    assert.equal(volume.fits, true);
+    assert.equal(volume.required, Math.ceil(50 * MB * 1.1));
+});
+
+test('checkDiskSpace stops with INSUFFICIENT_SPACE when a volume is too full', async (t) => {
+    t.mock.method(Utils, 'getVolumeInfo', async () => ({ device: 'disk1', free: 100 * MB }));
+    const items = [
+        { label: 'Download', bytes: 60 * MB, dir: '/tmp/out' },
+        { label: 'HEVC .mov', bytes: 40 * MB, dir: '/tmp/out' },
+        { label: 'Extended copy', bytes: null, dir: '/tmp/out' }
+    ];
+
+    await assert.rejects(checkDiskSpace({ items, encode: null }), (error) => {
+        assert.ok(error instanceof InsufficientSpace);
+        assert.equal(error.code, 'INSUFFICIENT_SPACE');
+        assert.equal(error.message, [
+            'Not enough disk space on the volume of /tmp/out: needs 110.0MB, 100.0MB free',
+            '   - Download: 60.0MB',
+            '   - HEVC .mov: 40.0MB',
+            '   - Safety margin (10%): 10.0MB'
+        ].join('\n'));
+        return true;
+    });
+});
+
+test('checkDiskSpace only warns about a full volume in a dry run', async (t) => {
+    t.mock.method(Utils, 'getVolumeInfo', async () => ({ device: 'disk1', free: 10 * MB }));
+
+    const [volume] = await checkDiskSpace({ items: [{ label: 'Download', bytes: 50 * MB, dir: '/tmp/out' }], encode: null }, { dryRun: true });
+
+    assert.equal(volume.fits, false);
+});
+
+test('checkDiskSpace passes when the free space cannot be read', async (t) => {
+    t.mock.method(Utils, 'getVolumeInfo', async () => null);
+
+    const [volume] = await checkDiskSpace({ items: [{ label: 'Download', bytes: 50 * MB, dir: '/tmp/out' }], encode: null });
+
+    assert.equal(volume.free, null);
+    assert.equal(volume.fits, true);
+});
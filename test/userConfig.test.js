@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const userConfig = require('../src/userConfig');
+const { InvalidInput } = require('../src/errors');
+
+test('validate accepts values of the default types', () => {
+    assert.deepEqual(userConfig.validate({
+        OUTPUT_DIR: '~/Movies',
+        DOWNLOAD_SETTINGS: { retryAttempts: 5 },
+        VIDEO_PREFERENCES: { excludedCodecs: ['av1'] }
+    }), []);
+});
+
+test('validate reports every problem', async (t) => {
+    const cases = [
+        { values: { OUTPUT_DIR: 3 }, error: '"OUTPUT_DIR" must be a string (got number)' },
+        { values: { DOWNLOAD_SETTINGS: { retryattempts: 5 } }, error: 'Unknown key "DOWNLOAD_SETTINGS.retryattempts" (did you mean "DOWNLOAD_SETTINGS.retryAttempts"?)' },
+        { values: { NOPE: true }, error: 'Unknown key "NOPE"' },
+        { values: { AUDIO_PREFERENCES: { preferredCodecs: ['aac', 1] } }, error: '"AUDIO_PREFERENCES.preferredCodecs[1]" must be a string (got number)' },
+        { values: { ENCODING_PROFILES: { laptop: { frameRate: '24' } } }, error: '"ENCODING_PROFILES.laptop.frameRate" must be a number or null (got string)' },
+        { values: { DEPENDENCIES: {} }, error: 'Unknown key "DEPENDENCIES"' }
+    ];
+
+    for (const { values, error } of cases) {
+        await t.test(error, () => {
+            assert.deepEqual(userConfig.validate(values), [error]);
+        });
+    }
+});
+
+test('validate points moved keys to their new place', () => {
+    assert.deepEqual(userConfig.validate({ DOWNLOAD_SETTINGS: { targetFrameRate: 30, targetResolution: '1920x1080' } }), [
+        '"DOWNLOAD_SETTINGS.targetFrameRate" moved to "ENCODING_PROFILES.<profile>.frameRate"',
+        '"DOWNLOAD_SETTINGS.targetResolution" moved to "ENCODING_PROFILES.<profile>.resolution"'
+    ]);
+});
+
+test('applyEnvironment points moved settings to their new place', () => {
+    assert.throws(() => userConfig.applyEnvironment({
+        MLVW_DOWNLOAD_SETTINGS__TARGET_FRAME_RATE: '30',
+        MLVW_DOWNLOAD_SETTINGS__TARGET_RESOLUTION: '1920x1080'
+    }), (error) => {
+        assert.ok(error instanceof InvalidInput);
+        assert.equal(error.message, [
+            'Invalid environment overrides:',
+            '   - MLVW_DOWNLOAD_SETTINGS__TARGET_FRAME_RATE: moved to ENCODING_PROFILES.<profile>.frameRate (MLVW_ENCODING_PROFILES__<PROFILE>__FRAME_RATE)',
+            '   - MLVW_DOWNLOAD_SETTINGS__TARGET_RESOLUTION: moved to ENCODING_PROFILES.<profile>.resolution (MLVW_ENCODING_PROFILES__<PROFILE>__RESOLUTION)'
+        ].join('\n'));
+        return true;
+    });
+});
+
+test('describe names the environment variable of every setting', () => {
+    const env = Object.fromEntries(userConfig.describe().map(entry => [entry.key, entry.env]));
+
+    assert.equal(env.OUTPUT_DIR, 'MLVW_OUTPUT_DIR');
+    assert.equal(env['DOWNLOAD_SETTINGS.encodingProfile'], 'MLVW_DOWNLOAD_SETTINGS__ENCODING_PROFILE');
+    assert.equal(env['ENCODING_PROFILES.max-quality.frameRate'], 'MLVW_ENCODING_PROFILES__MAX_QUALITY__FRAME_RATE');
+    assert.equal(env['VIDEO_PREFERENCES.prefer60fps'], 'MLVW_VIDEO_PREFERENCES__PREFER60FPS');
+});
+
+test('applyEnvironment converts values to the type of the default', () => {
+    userConfig.applyEnvironment({
+        MLVW_DOWNLOAD_SETTINGS__RETRY_ATTEMPTS: '7',
+        MLVW_VIDEO_PREFERENCES__PREFER60FPS: 'off',
+        MLVW_AUDIO_PREFERENCES__PREFERRED_CODECS: 'aac, opus',
+        MLVW_VIDEO_PREFERENCES__EXCLUDED_CODECS: '["av1"]',
+        MLVW_ENCODING_PROFILES__ARCHIVAL__CRF: 'null',
+        MLVW_ROOT: '/tmp/sandbox',
+        HOME: '/ignored'
+    });
+
+    assert.equal(CONFIG.DOWNLOAD_SETTINGS.retryAttempts, 7);
+    assert.equal(CONFIG.VIDEO_PREFERENCES.prefer60fps, false);
+    assert.deepEqual(CONFIG.AUDIO_PREFERENCES.preferredCodecs, ['aac', 'opus']);
+    assert.deepEqual(CONFIG.VIDEO_PREFERENCES.excludedCodecs, ['av1']);
+    assert.equal(CONFIG.ENCODING_PROFILES.archival.crf, null);
+});
+
+test('applyEnvironment rejects unknown variables and bad values without applying any', () => {
+    const retryAttempts = CONFIG.DOWNLOAD_SETTINGS.retryAttempts;
+
+    assert.throws(() => userConfig.applyEnvironment({
+        MLVW_DOWNLOAD_SETTINGS__RETRY_ATTEMPTS: '9',
+        MLVW_DOWNLOAD_SETTINGS__RETRYATTEMPTS: '5',
+        MLVW_LOGGING__PLAIN: 'maybe',
+        MLVW_DOWNLOAD_SETTINGS__TIMEOUT_SECONDS: 'Infinity',
+        MLVW_BATCH_SETTINGS__NOPE: 'x'
+    }), (error) => {
+        assert.ok(error instanceof InvalidInput);
+        assert.match(error.message, /MLVW_BATCH_SETTINGS__NOPE: unknown setting$/m);
+        assert.match(error.message, /MLVW_DOWNLOAD_SETTINGS__RETRYATTEMPTS: unknown setting \(did you mean MLVW_DOWNLOAD_SETTINGS__RETRY_ATTEMPTS\?\)/);
+        assert.match(error.message, /MLVW_DOWNLOAD_SETTINGS__TIMEOUT_SECONDS: expected a number \(got "Infinity"\)/);
+        assert.match(error.message, /MLVW_LOGGING__PLAIN: expected true\/false/);
+        return true;
+    });
+
+    assert.equal(CONFIG.DOWNLOAD_SETTINGS.retryAttempts, retryAttempts);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Utils = require('../src/utils');
+const { InvalidInput } = require('../src/errors');
+
+function makeDir(t, files = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mlvw-utils-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    files.forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+    return dir;
+}
+
+test('resolveCollision keeps a free path under every policy', (t) => {
+    const dir = makeDir(t);
+
+    for (const policy of ['skip', 'overwrite', 'suffix', 'date']) {
+        assert.deepEqual(Utils.resolveCollision(path.join(dir, 'video.mp4'), { policy }), { path: path.join(dir, 'video.mp4'), collision: false });
+    }
+});
+
+test('resolveCollision reuses the taken path for skip and overwrite', (t) => {
+    const dir = makeDir(t, ['video.mp4']);
+
+    assert.deepEqual(Utils.resolveCollision(path.join(dir, 'video.mp4'), { policy: 'skip' }), { path: path.join(dir, 'video.mp4'), collision: true });
+    assert.deepEqual(Utils.resolveCollision(path.join(dir, 'video.mp4'), { policy: 'overwrite' }), { path: path.join(dir, 'video.mp4'), collision: true });
+});
+
+test('resolveCollision counts up past taken suffixes and related files', (t) => {
+    const dir = makeDir(t, ['video.mp4', 'video_1.mov']);
+
+    const result = Utils.resolveCollision(path.join(dir, 'video.mp4'), { policy: 'suffix', relatedExtensions: ['.mov'] });
+
+    assert.deepEqual(result, { path: path.join(dir, 'video_2.mp4'), collision: false });
+});
+
+test('resolveCollision treats a related file as a collision', (t) => {
+    const dir = makeDir(t, ['video.mov']);
+
+    assert.equal(Utils.resolveCollision(path.join(dir, 'video.mp4'), { policy: 'skip', relatedExtensions: ['.mov'] }).collision, true);
+    assert.equal(Utils.resolveCollision(path.join(dir, 'video.mp4'), { policy: 'skip' }).collision, false);
+});
+
+test('resolveCollision adds a timestamp for date', (t) => {
+    const dir = makeDir(t, ['video.mp4']);
+
+    const result = Utils.resolveCollision(path.join(dir, 'video.mp4'), { policy: 'date' });
+
+    assert.match(path.basename(result.path), /^video_\d{8}-\d{6}\.mp4$/);
+    assert.equal(result.collision, false);
+});
+
+test('resolveCollision rejects unknown policies', () => {
+    assert.throws(() => Utils.resolveCollision('/tmp/video.mp4', { policy: 'rename' }), InvalidInput);
+});
+
+test('getUrlVideoId finds the video ID of common URL shapes', async (t) => {
+    const cases = [
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL1', 'dQw4w9WgXcQ'],
+        ['https://youtu.be/dQw4w9WgXcQ?si=share', 'dQw4w9WgXcQ'],
+        ['https://youtube.com/shorts/abcDEF12345/', 'abcDEF12345'],
+        ['https://vimeo.com/76979871', '76979871'],
+        ['https://example.com', null],
+        ['ftp://example.com/video', null],
+        ['/Users/me/video.mp4', null]
+    ];
+
+    for (const [url, id] of cases) {
+        await t.test(url, () => {
+            assert.equal(Utils.getUrlVideoId(url), id);
+        });
+    }
+});
+
+test('getUrlIdentity knows the extractor of well-known sites only', async (t) => {
+    const cases = [
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10', { extractor: 'Youtube', id: 'dQw4w9WgXcQ' }],
+        ['https://m.youtube.com/watch?v=dQw4w9WgXcQ', { extractor: 'Youtube', id: 'dQw4w9WgXcQ' }],
+        ['https://music.youtube.com/watch?v=dQw4w9WgXcQ', { extractor: 'Youtube', id: 'dQw4w9WgXcQ' }],
+        ['https://youtu.be/dQw4w9WgXcQ', { extractor: 'Youtube', id: 'dQw4w9WgXcQ' }],
+        ['https://www.youtube.com/shorts/dQw4w9WgXcQ', { extractor: 'Youtube', id: 'dQw4w9WgXcQ' }],
+        ['https://vimeo.com/76979871', { extractor: 'Vimeo', id: '76979871' }],
+        ['https://example.com/media/clip.mp4', null],
+        ['https://youtube.com/', null]
+    ];
+
+    for (const [url, identity] of cases) {
+        await t.test(url, () => {
+            assert.deepEqual(Utils.getUrlIdentity(url), identity);
+        });
+    }
+});
+
+test('formatDate formats file dates and formatUploadDate yt-dlp upload dates', () => {
+    assert.equal(Utils.formatDate(new Date(2026, 0, 2, 15, 4)), 'Jan 2, 2026, 03:04 PM');
+    assert.equal(Utils.formatUploadDate('20260102'), '2026-01-02');
+    assert.equal(Utils.formatUploadDate(undefined), 'Unknown date');
+});